@@ -3,10 +3,17 @@
  * Demonstrates how to connect to the VoIP server and make calls
  */
 
-import { SIPMessage, SIPMethods } from './sip/sip-message.js';
+import { SIPMessage, SIPMethods, SIPStatusCodes } from './sip/sip-message.js';
+import { TransactionManager } from './sip/sip-transaction.js';
+import { Dialog } from './sip/sip-dialog.js';
+import { NameAddr } from './sip/sip-uri.js';
+import { Digest } from './sip/sip-auth.js';
 import { UDPTransport } from './network/udp-transport.js';
 import { RTPSession } from './rtp/rtp-session.js';
-import { G711Codec } from './codecs/g711.js';
+import { codecRegistry } from './codecs/codec-registry.js';
+import { AudioConverter, isSameFormat } from './codecs/resampler.js';
+import { DTMF, DTMF_CONTENT_TYPES } from './rtp/dtmf.js';
+import { OfferAnswer } from './sdp/offer-answer.js';
 import { v4 as uuidv4 } from 'uuid';
 import { EventEmitter } from 'events';
 
@@ -18,17 +25,49 @@ export class VoIPClient extends EventEmitter {
     this.serverHost = options.serverHost || '127.0.0.1';
     this.serverPort = options.serverPort || 5060;
     this.localPort = options.localPort || 5061;
+    this.rtpPort = options.rtpPort || 10001;
+    this.ptime = options.ptime || 20;
+    // Codecs to offer and accept, in order of preference
+    this.codecs = options.codecs || codecRegistry;
+    // Send comfort noise instead of silence when the other side supports CN (RFC 3389)
+    this.vad = options.vad || false;
+    // PCM format of sendAudio() and audioFrame events, e.g. { sampleRate: 48000, channels: 2 };
+    // defaults to the negotiated codec's own
+    this.audioFormat = options.audioFormat || null;
+    // Address other parties can reach us on; the sockets bind to 0.0.0.0
+    this.publicHost = options.publicHost || '127.0.0.1';
+    // Credentials for answering digest challenges
+    this.authUsername = options.authUsername || this.username;
+    this.password = options.password ?? null;
     
     this.transport = new UDPTransport({
       host: '0.0.0.0',
       sipPort: this.localPort,
-      rtpPort: 10001
+      rtpPort: this.rtpPort,
+      // RTCP on the port above RTP (RFC 3550 §11)
+      rtcpPort: options.rtcpPort || this.rtpPort + 1
+    });
+    this.transactionManager = new TransactionManager(this.transport, {
+      timers: options.timers
     });
     
     this.registered = false;
+    // REGISTERs reuse one Call-ID with increasing CSeq so the registrar can order them (RFC 3261 §10.2.4)
+    this.registration = {
+      callId: uuidv4(),
+      cseq: 0,
+      fromTag: Math.random().toString(36).substr(2, 8),
+      expires: options.expires || 3600,
+      pendingExpires: null,
+      refreshTimer: null
+    };
     this.activeCall = null;
+    // A call hung up before it was answered, kept until its INVITE is over
+    this.cancelledCall = null;
+    this.pendingInvite = null;
     this.rtpSession = null;
-    this.codec = new G711Codec('mulaw');
+    // Converts sendAudio() input given in another format, e.g. a 44.1 kHz prompt
+    this.audioConverter = null;
     
     this.setupEventHandlers();
   }
@@ -45,6 +84,10 @@ export class VoIPClient extends EventEmitter {
       this.handleRTPData(data, rinfo);
     });
     
+    this.transport.on('rtcpData', (data) => {
+      this.rtpSession?.handleRTCP(data);
+    });
+    
     this.transport.on('bound', () => {
       console.log('Client transport bound');
     });
@@ -76,6 +119,10 @@ export class VoIPClient extends EventEmitter {
       this.hangup();
     }
     
+    // Stop registration refreshes and retransmission timers before the socket goes away
+    clearTimeout(this.registration.refreshTimer);
+    this.registration.refreshTimer = null;
+    this.transactionManager.destroy();
     this.transport.close();
     console.log('VoIP Client stopped');
     this.emit('stopped');
@@ -84,27 +131,37 @@ export class VoIPClient extends EventEmitter {
   /**
    * Register with the server
    */
-  register() {
+  register(expires = this.registration.expires) {
+    const registration = this.registration;
     const message = new SIPMessage();
     message.method = SIPMethods.REGISTER;
     message.uri = `sip:${this.serverHost}:${this.serverPort}`;
     message.version = 'SIP/2.0';
     
-    const callId = uuidv4();
-    const cseq = 1;
+    registration.cseq++;
+    registration.pendingExpires = expires;
+    clearTimeout(registration.refreshTimer);
+    registration.refreshTimer = null;
     
-    message.setHeader('via', `SIP/2.0/UDP ${this.transport.host}:${this.localPort};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
-    message.setHeader('from', `sip:${this.username}@${this.serverHost};tag=${Math.random().toString(36).substr(2, 8)}`);
+    message.setHeader('via', `SIP/2.0/UDP ${this.getSentBy()};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
+    message.setHeader('from', `sip:${this.username}@${this.serverHost};tag=${registration.fromTag}`);
     message.setHeader('to', `sip:${this.username}@${this.serverHost}`);
-    message.setHeader('call-id', callId);
-    message.setHeader('cseq', `${cseq} REGISTER`);
-    message.setHeader('contact', `sip:${this.username}@${this.transport.host}:${this.localPort}`);
-    message.setHeader('expires', '3600');
+    message.setHeader('call-id', registration.callId);
+    message.setHeader('cseq', `${registration.cseq} REGISTER`);
+    message.setHeader('contact', this.getContact());
+    message.setHeader('expires', String(expires));
     message.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
     message.setHeader('content-length', '0');
     
-    this.transport.sendSIPMessage(message, this.serverHost, this.serverPort);
-    console.log(`Registering as ${this.username}...`);
+    this.sendRequest(message);
+    console.log(expires === 0 ? `Unregistering ${this.username}...` : `Registering as ${this.username}...`);
+  }
+
+  /**
+   * Remove our binding from the registrar
+   */
+  unregister() {
+    this.register(0);
   }
 
   /**
@@ -124,47 +181,47 @@ export class VoIPClient extends EventEmitter {
     const callId = uuidv4();
     const cseq = 1;
     
-    message.setHeader('via', `SIP/2.0/UDP ${this.transport.host}:${this.localPort};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
+    message.setHeader('via', `SIP/2.0/UDP ${this.getSentBy()};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
+    message.setHeader('max-forwards', '70');
     message.setHeader('from', `sip:${this.username}@${this.serverHost};tag=${Math.random().toString(36).substr(2, 8)}`);
     message.setHeader('to', `sip:${targetUser}@${this.serverHost}`);
     message.setHeader('call-id', callId);
     message.setHeader('cseq', `${cseq} INVITE`);
-    message.setHeader('contact', `sip:${this.username}@${this.transport.host}:${this.localPort}`);
+    message.setHeader('contact', this.getContact());
     message.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
     message.setHeader('content-type', 'application/sdp');
     
-    // Generate SDP
-    const sdp = this.generateSDP();
-    message.setHeader('content-length', sdp.length.toString());
+    // Offer our codecs
+    const media = this.createMediaNegotiation();
+    const sdp = media.createOffer();
+    message.setHeader('content-length', Buffer.byteLength(sdp).toString());
     message.body = sdp;
     
     this.activeCall = {
       callId,
       targetUser,
       state: 'calling',
-      startTime: Date.now()
+      startTime: Date.now(),
+      invite: message,
+      dialog: null,
+      media
     };
     
-    this.transport.sendSIPMessage(message, this.serverHost, this.serverPort);
+    this.sendRequest(message);
     console.log(`Calling ${targetUser}...`);
   }
 
   /**
-   * Generate SDP for INVITE
+   * Create the offer/answer state for a new call
    */
-  generateSDP() {
-    const rtpPort = this.transport.getAvailableRTPPort();
-    
-    return `v=0
-o=${this.username} 1234567890 1234567890 IN IP4 ${this.transport.host}
-s=VoIP Call
-c=IN IP4 ${this.transport.host}
-t=0 0
-m=audio ${rtpPort} RTP/AVP 0 8
-a=rtpmap:0 PCMU/8000
-a=rtpmap:8 PCMA/8000
-a=ptime:20
-a=maxptime:40`;
+  createMediaNegotiation() {
+    return new OfferAnswer({
+      username: this.username,
+      address: this.publicHost,
+      port: this.transport.rtpPort,
+      ptime: this.ptime,
+      registry: this.codecs
+    });
   }
 
   /**
@@ -176,20 +233,19 @@ a=maxptime:40`;
       return;
     }
     
-    const message = new SIPMessage();
-    message.method = SIPMethods.BYE;
-    message.uri = `sip:${this.activeCall.targetUser}@${this.serverHost}:${this.serverPort}`;
-    message.version = 'SIP/2.0';
-    
-    message.setHeader('via', `SIP/2.0/UDP ${this.transport.host}:${this.localPort};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
-    message.setHeader('from', `sip:${this.username}@${this.serverHost};tag=${Math.random().toString(36).substr(2, 8)}`);
-    message.setHeader('to', `sip:${this.activeCall.targetUser}@${this.serverHost}`);
-    message.setHeader('call-id', this.activeCall.callId);
-    message.setHeader('cseq', `2 BYE`);
-    message.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
-    message.setHeader('content-length', '0');
+    const dialog = this.activeCall.dialog;
     
-    this.transport.sendSIPMessage(message, this.serverHost, this.serverPort);
+    if (dialog?.isConfirmed()) {
+      this.sendInDialogRequest(SIPMethods.BYE);
+      dialog.terminate();
+    } else if (this.activeCall.invite) {
+      // Not answered yet: cancel the INVITE instead, which can only be done
+      // once it has drawn a provisional response (RFC 3261 §9.1)
+      this.cancelledCall = this.activeCall;
+      if (this.activeCall.provisional) {
+        this.sendCancel(this.activeCall);
+      }
+    }
     
     if (this.rtpSession) {
       this.rtpSession.stop();
@@ -201,6 +257,15 @@ a=maxptime:40`;
     
     console.log('Call ended');
     this.activeCall = null;
+    this.emit('callEnded');
+  }
+
+  /**
+   * Cancel a call's INVITE
+   */
+  sendCancel(call) {
+    call.cancel = call.invite.createCancel();
+    this.sendRequest(call.cancel);
   }
 
   /**
@@ -210,9 +275,178 @@ a=maxptime:40`;
     console.log(`Received SIP ${message.method || message.statusCode} from ${rinfo.address}:${rinfo.port}`);
     
     if (message.isRequest()) {
+      // Retransmissions are absorbed by their server transaction
+      if (this.transactionManager.handleRequest(message)) {
+        return;
+      }
+      
+      if (message.method !== SIPMethods.ACK) {
+        this.transactionManager.createServerTransaction(message, rinfo);
+      }
+      
       this.handleSIPRequest(message, rinfo);
-    } else {
-      this.handleSIPResponse(message, rinfo);
+    } else if (!this.transactionManager.handleResponse(message)) {
+      console.warn(`Dropping stray ${message.statusCode} response`);
+    }
+  }
+
+  /**
+   * Send a request to the server through a client transaction
+   * The optional outcome ({ resolve, reject }) is settled by the final response,
+   * that of the retry if the request had to be resent with credentials
+   */
+  sendRequest(request, destination = { address: this.serverHost, port: this.serverPort }, outcome = null) {
+    return this.transactionManager.createClientTransaction(request, destination, {
+      response: (response) => {
+        // A challenge we can answer never reaches the TU; the retry's responses do
+        if ((response.statusCode === 401 || response.statusCode === 407) &&
+            this.resendWithCredentials(request, response, destination, outcome)) {
+          return;
+        }
+        this.handleSIPResponse(response, response.rinfo);
+        
+        if (response.statusCode >= 300) {
+          outcome?.reject(new Error(`${request.method} rejected with ${response.statusCode}`));
+        } else if (response.statusCode >= 200) {
+          outcome?.resolve(response);
+        }
+      },
+      timeout: () => {
+        this.handleRequestTimeout(request);
+        outcome?.reject(new Error(`${request.method} request timed out`));
+      },
+      transportError: (error) => outcome?.reject(error)
+    });
+  }
+
+  /**
+   * Answer a 401/407 by resending the request with credentials and the next CSeq (RFC 3261 §22.2)
+   * Returns false if the challenge can't be answered, so the failure reaches the caller
+   */
+  resendWithCredentials(request, response, destination, outcome = null) {
+    if (this.password === null) return false;
+    // A cancelled INVITE is not worth retrying
+    if (request.method === SIPMethods.INVITE && this.cancelledCall?.invite === request) return false;
+    
+    const proxy = response.statusCode === 407;
+    const challenges = response.getHeaders(proxy ? 'proxy-authenticate' : 'www-authenticate')
+      .map(value => Digest.parseHeader(value))
+      .filter(challenge => challenge?.scheme.toLowerCase() === 'digest' && challenge.nonce &&
+        Digest.isSupported(challenge.algorithm));
+    
+    // The server lists its preferred algorithm first (RFC 8760 §2.4)
+    const challenge = challenges[0];
+    if (!challenge) return false;
+    
+    // Our credentials were already tried for this realm; only a stale nonce is worth another go
+    const previous = request.authRealms?.includes(challenge.realm);
+    if (previous && challenge.stale?.toLowerCase() !== 'true') {
+      console.log(`Authentication failed for ${this.authUsername} in ${challenge.realm}`);
+      return false;
+    }
+    
+    const retry = SIPMessage.parse(request.toString());
+    retry.authRealms = [...(request.authRealms || []), challenge.realm];
+    retry.setHeader('via', `SIP/2.0/UDP ${this.getSentBy()};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
+    
+    const cseq = this.nextCSeq(request);
+    retry.setHeader('cseq', `${cseq} ${request.method}`);
+    
+    // Keep credentials for other realms, replace the ones for this realm
+    const headerName = proxy ? 'proxy-authorization' : 'authorization';
+    const otherCredentials = retry.getHeaders(headerName)
+      .filter(value => Digest.parseHeader(value)?.realm !== challenge.realm);
+    retry.setHeader(headerName, [...otherCredentials, Digest.createAuthorization({
+      challenge,
+      method: request.method,
+      uri: request.uri,
+      username: this.authUsername,
+      password: this.password,
+      body: request.body
+    })]);
+    
+    if (request.method === SIPMethods.INVITE && this.activeCall?.invite === request) {
+      this.activeCall.invite = retry;
+    }
+    
+    console.log(`Answering ${response.statusCode} challenge for ${request.method} (${challenge.algorithm || 'MD5'})`);
+    this.sendRequest(retry, destination, outcome);
+    return true;
+  }
+
+  /**
+   * CSeq for resending a request, kept in step with the registration or dialog it belongs to
+   */
+  nextCSeq(request) {
+    if (request.method === SIPMethods.REGISTER) {
+      return ++this.registration.cseq;
+    }
+    
+    // In-dialog requests take the dialog's next local CSeq
+    const dialog = this.activeCall?.dialog;
+    if (dialog && request.getTags().toTag && dialog.getId() === Dialog.idForResponse(request)) {
+      const sequence = ++dialog.localSeq;
+      if (request.method === SIPMethods.INVITE) {
+        dialog.inviteSeq = sequence;
+      }
+      return sequence;
+    }
+    
+    return request.getCSeq().sequence + 1;
+  }
+
+  /**
+   * Send a request within the active call's dialog
+   */
+  sendInDialogRequest(method, options = {}, outcome = null) {
+    const dialog = this.activeCall?.dialog;
+    if (!dialog) {
+      throw new Error(`No dialog to send ${method} in`);
+    }
+    
+    const request = dialog.createRequest(method, options);
+    request.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
+    
+    return this.sendRequest(request, dialog.getNextHop(), outcome);
+  }
+
+  /**
+   * Find the active call's dialog for an incoming in-dialog request
+   */
+  matchDialog(request) {
+    const dialog = this.activeCall?.dialog;
+    if (dialog && dialog.getId() === Dialog.idForIncomingRequest(request)) {
+      return dialog;
+    }
+    return null;
+  }
+
+  /**
+   * Host and port we put in Via headers
+   */
+  getSentBy() {
+    return `${this.publicHost}:${this.localPort}`;
+  }
+
+  /**
+   * Contact header value for this client
+   */
+  getContact() {
+    return `<sip:${this.username}@${this.getSentBy()}>`;
+  }
+
+  /**
+   * Handle a request that never got a final response (Timer B or F)
+   */
+  handleRequestTimeout(request) {
+    console.log(`${request.method} request timed out`);
+    
+    if (request.method === SIPMethods.INVITE && this.activeCall?.callId === request.getCallId()) {
+      this.activeCall.state = 'failed';
+      this.activeCall = null;
+    }
+    if (request.method === SIPMethods.INVITE && this.cancelledCall?.callId === request.getCallId()) {
+      this.cancelledCall = null;
     }
   }
 
@@ -222,13 +456,26 @@ a=maxptime:40`;
   handleSIPRequest(request, rinfo) {
     switch (request.method) {
       case SIPMethods.INVITE:
-        this.handleIncomingCall(request, rinfo);
+        if (request.getTags().toTag) {
+          this.handleReinvite(request, rinfo);
+        } else {
+          this.handleIncomingCall(request, rinfo);
+        }
+        break;
+      case SIPMethods.ACK:
+        this.handleAck(request, rinfo);
         break;
       case SIPMethods.BYE:
         this.handleBye(request, rinfo);
         break;
+      case SIPMethods.CANCEL:
+        this.handleCancel(request, rinfo);
+        break;
+      case SIPMethods.INFO:
+        this.handleInfo(request, rinfo);
+        break;
       default:
-        this.sendResponse(request, 501, 'Not Implemented', rinfo);
+        this.reply(request, 501, 'Not Implemented', rinfo);
     }
   }
 
@@ -239,62 +486,252 @@ a=maxptime:40`;
     const statusCode = response.statusCode;
     
     if (response.getCSeq()?.method === 'REGISTER') {
-      if (statusCode === 200) {
-        this.registered = true;
-        console.log('Registration successful');
-        this.emit('registered');
-      } else {
-        console.log(`Registration failed: ${statusCode}`);
-      }
+      this.handleRegisterResponse(response);
     } else if (response.getCSeq()?.method === 'INVITE') {
       this.handleInviteResponse(response, rinfo);
     }
   }
 
+  /**
+   * Handle REGISTER response
+   */
+  handleRegisterResponse(response) {
+    const statusCode = response.statusCode;
+    const registration = this.registration;
+    
+    if (response.getCallId() !== registration.callId || response.getCSeq().sequence !== registration.cseq) {
+      return;
+    }
+    
+    if (statusCode === 423) {
+      // Interval too brief: retry with the registrar's minimum
+      const minExpires = parseInt(response.getHeader('min-expires'));
+      if (!isNaN(minExpires) && minExpires > registration.pendingExpires) {
+        console.log(`Registration interval too brief, retrying with ${minExpires}s`);
+        registration.expires = minExpires;
+        this.register(minExpires);
+        return;
+      }
+    }
+    
+    if (statusCode < 200) return;
+    
+    if (statusCode !== 200) {
+      console.log(`Registration failed: ${statusCode}`);
+      this.emit('registrationFailed', statusCode);
+      return;
+    }
+    
+    if (registration.pendingExpires === 0) {
+      this.registered = false;
+      console.log('Unregistration successful');
+      this.emit('unregistered');
+      return;
+    }
+    
+    // The registrar may grant a different interval than we asked for
+    const expires = this.getGrantedExpires(response) ?? registration.pendingExpires;
+    
+    // Refresh halfway through so the binding never lapses
+    registration.refreshTimer = setTimeout(() => this.register(), expires * 500);
+    registration.refreshTimer.unref?.();
+    
+    this.registered = true;
+    console.log(`Registration successful (expires in ${expires}s)`);
+    this.emit('registered', expires);
+  }
+
+  /**
+   * Find the expiry the registrar granted our contact in a REGISTER response
+   */
+  getGrantedExpires(response) {
+    const ourUri = NameAddr.parse(this.getContact()).uri;
+    
+    for (const value of response.getHeaders('contact')) {
+      const contact = NameAddr.tryParse(value);
+      if (contact && contact.uri.equals(ourUri)) {
+        const expires = parseInt(contact.getParam('expires') ?? response.getHeader('expires'));
+        return isNaN(expires) ? null : expires;
+      }
+    }
+    
+    return null;
+  }
+
   /**
    * Handle INVITE response
    */
   handleInviteResponse(response, rinfo) {
     const statusCode = response.statusCode;
     
+    if (this.cancelledCall?.callId === response.getCallId()) {
+      this.handleCancelledInviteResponse(response, rinfo);
+      return;
+    }
+    
+    if (!this.activeCall || this.activeCall.callId !== response.getCallId()) {
+      return;
+    }
+    
+    const call = this.activeCall;
+    
+    // Responses to our re-INVITEs have a different CSeq than the initial INVITE
+    if (!call.invite || response.getCSeq().sequence !== call.invite.getCSeq().sequence) {
+      this.handleReinviteResponse(response, rinfo);
+      return;
+    }
+    
+    if (statusCode < 200) {
+      call.provisional = true;
+    }
+    
+    // A 1xx with a To tag creates an early dialog; the 2xx confirms it
+    if (statusCode > 100 && statusCode < 300 && response.getTags().toTag) {
+      if (!call.dialog) {
+        call.dialog = Dialog.createAsUAC(call.invite, response, {
+          sentBy: this.getSentBy(),
+          localContact: this.getContact()
+        });
+      } else {
+        call.dialog.updateFromResponse(response);
+      }
+    }
+    
     if (statusCode === 180) {
       console.log('Call is ringing...');
-      this.activeCall.state = 'ringing';
-    } else if (statusCode === 200) {
+      call.state = 'ringing';
+    } else if (statusCode >= 200 && statusCode < 300 && call.state === 'established') {
+      // Retransmitted 2xx: our ACK was lost
+      this.sendAck(response, rinfo);
+    } else if (statusCode >= 200 && statusCode < 300) {
       console.log('Call answered!');
-      this.activeCall.state = 'established';
+      call.state = 'established';
       
       // Send ACK
       this.sendAck(response, rinfo);
       
-      // Start RTP session
-      this.startRTPSession(response);
+      const negotiated = call.media.processAnswer(response.body);
+      if (!negotiated) {
+        console.log('No usable media in the answer, hanging up');
+        this.hangup();
+        return;
+      }
       
-    } else if (statusCode >= 400) {
+      // Start RTP session
+      this.startRTPSession(negotiated);
+      this.emit('callEstablished');
+    
+    } else if (statusCode >= 300) {
       console.log(`Call failed: ${statusCode}`);
       this.activeCall.state = 'failed';
       this.activeCall = null;
+      this.emit('callFailed', statusCode);
+    }
+  }
+
+  /**
+   * Handle a response to the INVITE of a call we hung up before it was answered
+   */
+  handleCancelledInviteResponse(response, rinfo) {
+    const call = this.cancelledCall;
+    const statusCode = response.statusCode;
+    if (response.getCSeq().sequence !== call.invite.getCSeq().sequence) return;
+    
+    if (statusCode < 200) {
+      // The CANCEL was held back until now
+      if (!call.cancel) {
+        this.sendCancel(call);
+      }
+      return;
+    }
+    
+    if (statusCode >= 300) {
+      // Normally 487 Request Terminated, ACKed by the INVITE transaction
+      this.cancelledCall = null;
+      return;
+    }
+    
+    // The 2xx crossed our CANCEL, so the call was set up after all:
+    // confirm it with an ACK and end it with a BYE (RFC 3261 §9.1)
+    if (!call.dialog) {
+      call.dialog = Dialog.createAsUAC(call.invite, response, {
+        sentBy: this.getSentBy(),
+        localContact: this.getContact()
+      });
+    } else {
+      call.dialog.updateFromResponse(response);
+    }
+    this.sendAck(response, rinfo, call);
+    
+    if (!call.bye) {
+      console.log('Call answered after it was cancelled, hanging up');
+      call.bye = call.dialog.createRequest(SIPMethods.BYE);
+      call.bye.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
+      call.dialog.terminate();
+      
+      const finish = () => {
+        if (this.cancelledCall === call) {
+          this.cancelledCall = null;
+        }
+      };
+      this.sendRequest(call.bye, call.dialog.getNextHop(), { resolve: finish, reject: finish });
+    }
+  }
+
+  /**
+   * Handle a response to a re-INVITE we sent
+   */
+  handleReinviteResponse(response, rinfo) {
+    const statusCode = response.statusCode;
+    const call = this.activeCall;
+    if (statusCode < 200 || !call.dialog) return;
+    
+    if (statusCode >= 300) {
+      // The call continues with the previous media (RFC 3261 §14.1)
+      console.log(`Re-INVITE failed: ${statusCode}`);
+      call.media.state = 'stable';
+      return;
+    }
+    
+    const retransmission = call.ack?.getCSeq().sequence === response.getCSeq().sequence;
+    call.dialog.updateFromResponse(response);
+    this.sendAck(response, rinfo);
+    
+    if (!retransmission && call.media.state === 'offered') {
+      const negotiated = call.media.processAnswer(response.body);
+      if (negotiated) {
+        this.applyNegotiatedMedia(negotiated);
+      }
+    }
+  }
+
+  /**
+   * Send a re-INVITE with a new offer, e.g. after our media address changed
+   */
+  reinvite() {
+    if (!this.activeCall?.dialog?.isConfirmed()) {
+      console.log('No established call to modify');
+      return null;
     }
+    
+    const sdp = this.activeCall.media.createOffer();
+    return this.sendInDialogRequest(SIPMethods.INVITE, { body: sdp, contentType: 'application/sdp' });
   }
 
   /**
    * Send ACK
    */
-  sendAck(response, rinfo) {
-    const ack = new SIPMessage();
-    ack.method = SIPMethods.ACK;
-    ack.uri = `sip:${this.activeCall.targetUser}@${this.serverHost}:${this.serverPort}`;
-    ack.version = 'SIP/2.0';
+  sendAck(response, rinfo, call = this.activeCall) {
+    const dialog = call.dialog;
     
-    ack.setHeader('via', `SIP/2.0/UDP ${this.transport.host}:${this.localPort};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
-    ack.setHeader('from', response.getHeader('to'));
-    ack.setHeader('to', response.getHeader('from'));
-    ack.setHeader('call-id', this.activeCall.callId);
-    ack.setHeader('cseq', `1 ACK`);
-    ack.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
-    ack.setHeader('content-length', '0');
+    // The ACK for a 2xx is its own transaction and is resent as-is for retransmitted 2xx
+    if (!call.ack || call.ack.getCSeq().sequence !== response.getCSeq().sequence) {
+      call.ack = dialog.createRequest(SIPMethods.ACK);
+      call.ack.setHeader('user-agent', 'VoIP-Learning-Client/1.0');
+    }
     
-    this.transport.sendSIPMessage(ack, this.serverHost, this.serverPort);
+    const nextHop = dialog.getNextHop();
+    this.transport.sendSIPMessage(call.ack, nextHop.address, nextHop.port);
   }
 
   /**
@@ -302,39 +739,177 @@ a=maxptime:40`;
    */
   handleIncomingCall(request, rinfo) {
     const from = request.getHeader('from');
-    const callId = request.getCallId();
+    
+    if (this.activeCall || this.pendingInvite) {
+      this.reply(request, 486, 'Busy Here', rinfo);
+      return;
+    }
+    
+    // An INVITE without SDP gets our offer in the 200 OK instead
+    const media = this.createMediaNegotiation();
+    if (request.body && !media.createAnswer(request.body)) {
+      this.reply(request, 488, 'Not Acceptable Here', rinfo);
+      return;
+    }
     
     console.log(`Incoming call from ${from}`);
     
+    const localTag = Math.random().toString(36).substr(2, 8);
+    const ringing = request.createResponse(180, 'Ringing');
+    ringing.setHeader('to', `${request.getHeader('to')};tag=${localTag}`);
+    ringing.setHeader('contact', this.getContact());
+    if (request.getHeader('record-route')) {
+      ringing.setHeader('record-route', request.getHeaders('record-route'));
+    }
+    ringing.setHeader('content-length', '0');
+    this.sendResponse(ringing, rinfo);
+    
     // Auto-answer for demo
-    setTimeout(() => {
-      this.answerCall(request, rinfo);
-    }, 1000);
+    this.pendingInvite = {
+      request,
+      rinfo,
+      localTag,
+      media,
+      timer: setTimeout(() => {
+        this.pendingInvite = null;
+        this.answerCall(request, rinfo, localTag, media);
+      }, 1000)
+    };
+  }
+
+  /**
+   * Handle ACK request
+   */
+  handleAck(request, rinfo) {
+    if (!this.matchDialog(request)) return;
+    
+    // We sent the offer in the 200 OK, so the answer is in the ACK
+    const media = this.activeCall.media;
+    if (media.state === 'offered' && request.body) {
+      const negotiated = media.processAnswer(request.body);
+      if (negotiated) {
+        this.applyNegotiatedMedia(negotiated);
+      }
+    }
+    
+    if (this.activeCall.state === 'answered') {
+      this.activeCall.state = 'established';
+      this.emit('callEstablished');
+    }
+  }
+
+  /**
+   * Handle a re-INVITE within the active call
+   */
+  handleReinvite(request, rinfo) {
+    const dialog = this.matchDialog(request);
+    if (!dialog) {
+      this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+      return;
+    }
+    
+    if (!dialog.receiveRequest(request)) {
+      this.reply(request, 500, 'Server Internal Error', rinfo);
+      return;
+    }
+    
+    // A re-INVITE carries a new offer, or asks for ours when it has no body
+    const media = this.activeCall.media;
+    let sdp;
+    if (request.body) {
+      sdp = media.createAnswer(request.body);
+      if (!sdp) {
+        this.reply(request, 488, 'Not Acceptable Here', rinfo);
+        return;
+      }
+      this.applyNegotiatedMedia(media.negotiated);
+    } else {
+      sdp = media.createOffer();
+    }
+    
+    const response = request.createResponse(200, 'OK');
+    response.setHeader('contact', this.getContact());
+    response.setHeader('content-type', 'application/sdp');
+    response.setHeader('content-length', Buffer.byteLength(sdp).toString());
+    response.body = sdp;
+    
+    this.sendResponse(response, rinfo);
+    console.log('Call modified by remote party');
+  }
+
+  /**
+   * Handle CANCEL request
+   */
+  handleCancel(request, rinfo) {
+    const inviteTransaction = this.transactionManager.matchCancelledTransaction(request);
+    if (!inviteTransaction) {
+      this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+      return;
+    }
+    
+    this.reply(request, 200, 'OK', rinfo);
+    
+    // Too late to cancel once the INVITE has a final response
+    const pending = this.pendingInvite;
+    if (pending?.request !== inviteTransaction.message) {
+      return;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingInvite = null;
+    
+    const terminated = pending.request.createResponse(487, 'Request Terminated');
+    terminated.setHeader('to', `${pending.request.getHeader('to')};tag=${pending.localTag}`);
+    terminated.setHeader('content-length', '0');
+    this.sendResponse(terminated, pending.rinfo);
+    
+    console.log('Incoming call cancelled');
   }
 
   /**
    * Answer incoming call
    */
-  answerCall(request, rinfo) {
+  answerCall(request, rinfo, localTag = Math.random().toString(36).substr(2, 8), media = null) {
     const response = request.createResponse(200, 'OK');
+    response.setHeader('to', `${request.getHeader('to')};tag=${localTag}`);
+    response.setHeader('contact', this.getContact());
+    
+    // Proxies that record-routed expect to see their entries back (RFC 3261 §12.1.1)
+    if (request.getHeader('record-route')) {
+      response.setHeader('record-route', request.getHeaders('record-route'));
+    }
     
-    // Generate SDP
-    const sdp = this.generateSDP();
+    // Answer the offer in the INVITE, or make one if it had none
+    if (!media) {
+      media = this.createMediaNegotiation();
+      if (request.body && !media.createAnswer(request.body)) {
+        this.reply(request, 488, 'Not Acceptable Here', rinfo);
+        return;
+      }
+    }
+    const sdp = request.body ? media.getLocalSdp() : media.createOffer();
     response.setHeader('content-type', 'application/sdp');
-    response.setHeader('content-length', sdp.length.toString());
+    response.setHeader('content-length', Buffer.byteLength(sdp).toString());
     response.body = sdp;
     
     this.activeCall = {
       callId: request.getCallId(),
       targetUser: 'incoming',
-      state: 'established',
-      startTime: Date.now()
+      state: 'answered',
+      startTime: Date.now(),
+      media,
+      dialog: Dialog.createAsUAS(request, response, {
+        sentBy: this.getSentBy(),
+        localContact: this.getContact()
+      })
     };
     
-    this.transport.sendSIPMessage(response, rinfo.address, rinfo.port);
+    this.sendResponse(response, rinfo);
     
     // Start RTP session
-    this.startRTPSession(response);
+    if (media.negotiated) {
+      this.startRTPSession(media.negotiated);
+    }
     
     console.log('Call answered');
   }
@@ -342,28 +917,82 @@ a=maxptime:40`;
   /**
    * Start RTP session
    */
-  startRTPSession(response) {
+  startRTPSession(negotiated) {
+    this.audioConverter = null;
+    
+    // The session takes its encoder and decoder for the negotiated codec from the registry
     this.rtpSession = new RTPSession({
-      payloadType: 0, // PCMU
-      clockRate: 8000
+      payloadType: negotiated.payloadType,
+      encodingName: negotiated.encodingName,
+      clockRate: negotiated.clockRate,
+      channels: negotiated.channels,
+      fmtp: negotiated.fmtp,
+      ptime: negotiated.ptime,
+      remoteAddress: negotiated.remoteAddress,
+      remotePort: negotiated.remotePort,
+      direction: negotiated.direction,
+      comfortNoise: negotiated.comfortNoise,
+      telephoneEvent: negotiated.telephoneEvent,
+      vad: this.vad,
+      audioFormat: this.audioFormat,
+      registry: this.codecs
     });
     
-    this.rtpSession.on('packetReady', (packet) => {
-      // Handle incoming audio
-      const decoded = this.codec.decode(packet.payload);
-      console.log(`Received ${decoded.length} bytes of audio`);
+    // Handle incoming audio; lost frames arrive concealed, silence as comfort noise
+    this.rtpSession.on('audioFrame', (frame) => {
+      const note = frame.concealed ? ' (concealed)' : frame.comfortNoise ? ' (comfort noise)' : '';
+      console.log(`Received ${frame.pcm.length} bytes of audio${note}`);
+    });
+    
+    this.rtpSession.on('rtcp', (data, address, port) => {
+      this.transport.sendRTCPData(data, address, port);
+    });
+    
+    // Key presses in both directions (RFC 4733)
+    this.rtpSession.on('dtmfPacket', (packet, address, port) => {
+      this.transport.sendRTPPacket(packet, address, port);
+    });
+    this.rtpSession.on('dtmf', (event) => {
+      console.log(`Received DTMF ${event.digit} (${event.duration} ms)`);
+      this.emit('dtmf', event);
     });
     
     this.rtpSession.start();
-    console.log('RTP session started');
+    console.log(`RTP session started, sending ${negotiated.encodingName} to ${negotiated.remoteAddress}:${negotiated.remotePort}`);
+  }
+
+  /**
+   * Start or reconfigure the RTP session after a new offer/answer exchange
+   */
+  applyNegotiatedMedia(negotiated) {
+    if (!this.rtpSession) {
+      this.startRTPSession(negotiated);
+      return;
+    }
+    
+    // Re-target: the new answer may move the remote media address or port, or change the codec
+    this.rtpSession.configure(negotiated);
+    console.log(`RTP re-targeted to ${negotiated.remoteAddress}:${negotiated.remotePort}`);
   }
 
   /**
    * Handle BYE request
    */
   handleBye(request, rinfo) {
+    const dialog = this.matchDialog(request);
+    if (!dialog) {
+      this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+      return;
+    }
+    
+    if (!dialog.receiveRequest(request)) {
+      this.reply(request, 500, 'Server Internal Error', rinfo);
+      return;
+    }
+    
     const response = request.createResponse(200, 'OK');
-    this.transport.sendSIPMessage(response, rinfo.address, rinfo.port);
+    this.sendResponse(response, rinfo);
+    dialog.terminate();
     
     if (this.rtpSession) {
       this.rtpSession.stop();
@@ -372,6 +1001,7 @@ a=maxptime:40`;
     
     this.activeCall = null;
     console.log('Call ended by remote party');
+    this.emit('callEnded');
   }
 
   /**
@@ -387,19 +1017,138 @@ a=maxptime:40`;
    * Send SIP response
    */
   sendResponse(response, rinfo) {
-    this.transport.sendSIPMessage(response, rinfo.address, rinfo.port);
+    // Responses normally go out through their server transaction
+    if (!this.transactionManager.respond(response)) {
+      this.transport.sendSIPMessage(response, rinfo.address, rinfo.port);
+    }
+  }
+
+  /**
+   * Create and send a response without a body
+   */
+  reply(request, statusCode, reasonPhrase, rinfo) {
+    const response = request.createResponse(statusCode, reasonPhrase || SIPStatusCodes[statusCode]);
+    response.setHeader('content-length', '0');
+    this.sendResponse(response, rinfo);
+  }
+
+  /**
+   * Send audio data: 16-bit PCM in the call's audio format, or in `format`
+   * ({ sampleRate, channels }) and converted to it first
+   */
+  sendAudio(audioData, format = null) {
+    const session = this.rtpSession;
+    if (!session || !this.activeCall || !session.canSend()) {
+      return [];
+    }
+    
+    if (format && !isSameFormat(format, session.getAudioFormat())) {
+      const converter = this.audioConverter;
+      if (!converter || !isSameFormat(converter.from, format) || !isSameFormat(converter.to, session.getAudioFormat())) {
+        this.audioConverter = new AudioConverter(format, session.getAudioFormat());
+      }
+      audioData = this.audioConverter.process(audioData);
+    }
+    
+    // Telephone-events replace the audio while a digit is being sent
+    if (session.isSendingDTMF()) {
+      return [];
+    }
+    
+    // Packetize into one frame of 16-bit PCM per negotiated ptime
+    const frameBytes = session.getPCMSamplesPerPacket() * 2;
+    const packets = [];
+    
+    for (let offset = 0; offset < audioData.length; offset += frameBytes) {
+      const frame = audioData.subarray(offset, offset + frameBytes);
+      
+      // Talkspurts start with the marker bit (RFC 3551 §4.1); with VAD, silence
+      // goes out as occasional SID frames or not at all
+      const packet = session.sendFrame(frame);
+      if (!packet) continue;
+      
+      this.transport.sendRTPPacket(packet, session.remoteAddress, session.remotePort);
+      packets.push(packet);
+    }
+    
+    return packets;
   }
 
   /**
-   * Send audio data
+   * Handle INFO within the call: DTMF signaled out of band instead of as RTP events
    */
-  sendAudio(audioData) {
-    if (this.rtpSession && this.activeCall) {
-      const encoded = this.codec.encode(audioData);
-      const packet = this.rtpSession.createPacket(encoded);
+  handleInfo(request, rinfo) {
+    const dialog = this.matchDialog(request);
+    if (!dialog) {
+      this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+      return;
+    }
+    
+    if (!dialog.receiveRequest(request)) {
+      this.reply(request, 500, 'Server Internal Error', rinfo);
+      return;
+    }
+    
+    // An INFO without a body only checks that the dialog is still alive
+    if (!request.body) {
+      this.reply(request, 200, 'OK', rinfo);
+      return;
+    }
+    
+    const contentType = request.getHeader('content-type');
+    const event = DTMF.parseInfoBody(contentType, request.body);
+    if (!event) {
+      const type = (contentType || '').split(';')[0].trim().toLowerCase();
+      if (Object.values(DTMF_CONTENT_TYPES).includes(type)) {
+        this.reply(request, 400, 'Bad Request', rinfo);
+        return;
+      }
       
-      // Send to server (in real implementation, you'd send to the remote party)
-      this.transport.sendRTPPacket(packet, this.serverHost, this.serverPort + 1);
+      const response = request.createResponse(415, 'Unsupported Media Type');
+      response.setHeader('accept', Object.values(DTMF_CONTENT_TYPES).join(', '));
+      response.setHeader('content-length', '0');
+      this.sendResponse(response, rinfo);
+      return;
+    }
+    
+    this.reply(request, 200, 'OK', rinfo);
+    console.log(`Received DTMF ${event.digit} (${event.duration} ms) via INFO`);
+    this.emit('dtmf', { ...event, method: 'info' });
+  }
+
+  /**
+   * Send DTMF digits in the active call, as RFC 4733 telephone-events by default
+   * or as SIP INFO requests with `{ method: 'info' }`
+   */
+  sendDtmf(digits, options = {}) {
+    if (options.method === 'info') {
+      return this.sendDtmfInfo(digits, options);
+    }
+    
+    if (!this.rtpSession || !this.activeCall) {
+      return Promise.reject(new Error('No active call'));
+    }
+    
+    console.log(`Sending DTMF ${digits}`);
+    return this.rtpSession.sendDTMF(digits, options);
+  }
+
+  /**
+   * Send one INFO per digit, each after the previous one was answered
+   */
+  async sendDtmfInfo(digits, options = {}) {
+    if (!this.activeCall?.dialog?.isConfirmed()) {
+      throw new Error('No established call');
+    }
+    
+    const contentType = options.contentType || DTMF_CONTENT_TYPES.RELAY;
+    const bodies = String(digits).split('').map(digit => DTMF.createInfoBody(digit, { ...options, contentType }));
+    
+    console.log(`Sending DTMF ${digits} via INFO`);
+    for (const body of bodies) {
+      await new Promise((resolve, reject) => {
+        this.sendInDialogRequest(SIPMethods.INFO, { body, contentType }, { resolve, reject });
+      });
     }
   }
 
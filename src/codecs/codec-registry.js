@@ -0,0 +1,205 @@
+/**
+ * Codec Registry
+ * The audio codecs this stack implements, and the one place they are declared
+ *
+ * Each codec is registered once with what SDP and RTP need to know about it:
+ * - encodingName, clockRate, channels: its rtpmap (RFC 4566 §6)
+ * - payloadType: a static type (RFC 3551), or null for a dynamic one (96-127)
+ * - frameSize: ms of audio per codec frame; ptime must be a multiple of it
+ * - sampleRate: rate of the 16-bit PCM it takes and gives (defaults to clockRate);
+ *   with channels, the codec's native format, which RTPSession converts the
+ *   application's audio format to and from
+ * - fmtp: format parameters to offer, if any
+ * - createEncoder(options) / createDecoder(options): new instances per stream
+ *
+ * Encoders and decoders keep their own state, so every stream gets its own:
+ * - encoder.encode(pcm) -> payload
+ * - decoder.decode(payload) -> pcm, and optionally decoder.createPLC()
+ * - either may have reset() to start over after a discontinuity
+ *
+ * Offer/answer builds its m= lines from the registry and RTPSession creates
+ * its encoder and decoder from it, so adding a codec is one register() call.
+ */
+
+import { G711Codec } from './g711.js';
+import { G722Codec } from './g722.js';
+import { G726Codec } from './g726.js';
+import { L16Codec } from './l16.js';
+
+export class CodecRegistry {
+  constructor() {
+    // In order of preference
+    this.codecs = [];
+  }
+
+  /**
+   * Add a codec, replacing any registered under the same name, clock rate and channels
+   */
+  register(codec) {
+    const { encodingName, clockRate, createEncoder, createDecoder } = codec;
+    if (!encodingName || !clockRate || typeof createEncoder !== 'function' || typeof createDecoder !== 'function') {
+      throw new Error('A codec needs an encodingName, clockRate, createEncoder and createDecoder');
+    }
+    
+    const entry = {
+      payloadType: null,
+      channels: 1,
+      sampleRate: clockRate,
+      frameSize: CODEC_REGISTRY_CONSTANTS.DEFAULT_FRAME_SIZE,
+      fmtp: null,
+      ...codec
+    };
+    
+    const index = this.codecs.findIndex(existing => sameFormat(existing, entry));
+    if (index === -1) {
+      this.codecs.push(entry);
+    } else {
+      this.codecs[index] = entry;
+    }
+    return this;
+  }
+
+  /**
+   * Remove a codec
+   */
+  unregister(encodingName, clockRate, channels = 1) {
+    this.codecs = this.codecs.filter(codec => !sameFormat(codec, { encodingName, clockRate, channels }));
+    return this;
+  }
+
+  /**
+   * Find a codec by encoding name, clock rate and channels (as in an rtpmap)
+   */
+  find({ encodingName, clockRate, channels = 1 }) {
+    if (!encodingName) return null;
+    return this.codecs.find(codec => sameFormat(codec, { encodingName, clockRate, channels })) || null;
+  }
+
+  /**
+   * Find a codec by its static payload type
+   */
+  findByPayloadType(payloadType) {
+    return this.codecs.find(codec => codec.payloadType === payloadType) || null;
+  }
+
+  /**
+   * All registered codecs, most preferred first
+   */
+  list() {
+    return [...this.codecs];
+  }
+
+  /**
+   * The codecs as SDP formats, with dynamic payload types numbered from 96
+   * around the static ones and any `reserved` (e.g. telephone-event's)
+   */
+  getSdpCodecs(reserved = []) {
+    const used = new Set([...reserved, ...this.codecs.map(codec => codec.payloadType).filter(pt => pt !== null)]);
+    let next = CODEC_REGISTRY_CONSTANTS.DYNAMIC_PAYLOAD_MIN;
+    
+    const formats = [];
+    for (const codec of this.codecs) {
+      let payloadType = codec.payloadType;
+      if (payloadType === null) {
+        while (used.has(next)) next++;
+        if (next > CODEC_REGISTRY_CONSTANTS.DYNAMIC_PAYLOAD_MAX) break;
+        payloadType = next;
+        used.add(next);
+      }
+      
+      formats.push({
+        payloadType,
+        encodingName: codec.encodingName,
+        clockRate: codec.clockRate,
+        channels: codec.channels,
+        fmtp: codec.fmtp
+      });
+    }
+    return formats;
+  }
+
+  /**
+   * New encoder for a negotiated format; throws if no such codec is registered
+   */
+  createEncoder(format, options = {}) {
+    return this.require(format).createEncoder({ fmtp: format.fmtp ?? null, ...options });
+  }
+
+  /**
+   * New decoder for a negotiated format; throws if no such codec is registered
+   */
+  createDecoder(format, options = {}) {
+    return this.require(format).createDecoder({ fmtp: format.fmtp ?? null, ...options });
+  }
+
+  /**
+   * Find a codec or fail
+   */
+  require(format) {
+    const codec = this.find(format);
+    if (!codec) {
+      throw new Error(`No codec registered for ${format.encodingName}/${format.clockRate}`);
+    }
+    return codec;
+  }
+}
+
+/**
+ * Whether two codec descriptions are the same rtpmap format
+ */
+function sameFormat(a, b) {
+  return a.encodingName.toLowerCase() === b.encodingName.toLowerCase() &&
+    a.clockRate === b.clockRate &&
+    (a.channels || 1) === (b.channels || 1);
+}
+
+export const CODEC_REGISTRY_CONSTANTS = {
+  DYNAMIC_PAYLOAD_MIN: 96,
+  DYNAMIC_PAYLOAD_MAX: 127,
+  DEFAULT_FRAME_SIZE: 20   // ms
+};
+
+// Codecs available to every call, in order of preference
+export const codecRegistry = new CodecRegistry()
+  .register({
+    encodingName: 'PCMU', payloadType: 0, clockRate: 8000, channels: 1, frameSize: 10,
+    createEncoder: () => new G711Codec('mulaw'),
+    createDecoder: () => new G711Codec('mulaw')
+  })
+  .register({
+    encodingName: 'PCMA', payloadType: 8, clockRate: 8000, channels: 1, frameSize: 10,
+    createEncoder: () => new G711Codec('alaw'),
+    createDecoder: () => new G711Codec('alaw')
+  })
+  .register({
+    // 16 kHz audio on an 8000 Hz RTP clock (RFC 3551 §4.5.2)
+    encodingName: 'G722', payloadType: 9, clockRate: 8000, sampleRate: 16000, channels: 1, frameSize: 10,
+    createEncoder: () => new G722Codec(),
+    createDecoder: () => new G722Codec()
+  });
+
+// G.726 at each rate, in RFC 3551 bit order and then AAL2 order (RFC 3551 §4.5.4)
+for (const packing of ['rfc3551', 'aal2']) {
+  for (const bitRate of [32000, 40000, 24000, 16000]) {
+    const prefix = packing === 'aal2' ? 'AAL2-' : '';
+    codecRegistry.register({
+      encodingName: `${prefix}G726-${bitRate / 1000}`, clockRate: 8000, channels: 1, frameSize: 10,
+      createEncoder: () => new G726Codec({ bitRate, packing }),
+      createDecoder: () => new G726Codec({ bitRate, packing })
+    });
+  }
+}
+
+// Uncompressed linear PCM, last as it is the most bandwidth
+for (const { payloadType = null, clockRate, channels } of [
+  { clockRate: 16000, channels: 1 },
+  { clockRate: 8000, channels: 1 },
+  { payloadType: 11, clockRate: 44100, channels: 1 },
+  { payloadType: 10, clockRate: 44100, channels: 2 }
+]) {
+  codecRegistry.register({
+    encodingName: 'L16', payloadType, clockRate, channels, frameSize: 10,
+    createEncoder: () => new L16Codec({ sampleRate: clockRate, channels }),
+    createDecoder: () => new L16Codec({ sampleRate: clockRate, channels })
+  });
+}
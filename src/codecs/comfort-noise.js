@@ -0,0 +1,91 @@
+/**
+ * Comfort Noise (RFC 3389)
+ * Silence Insertion Descriptor (SID) payloads and the noise played in their place
+ *
+ * During silence the sender stops sending audio and instead sends an
+ * occasional SID frame on payload type 13 (CN). Its first byte is the
+ * background noise level in -dBov (0-127); any further bytes are quantized
+ * reflection coefficients describing the noise spectrum. The receiver plays
+ * noise at that level until speech resumes, so the line does not sound dead.
+ *
+ * We send level-only SID frames (a model order of 0, RFC 3389 §3.1), and
+ * generate white noise; spectral coefficients from the far end are kept but
+ * not used for shaping.
+ */
+
+import { VAD_CONSTANTS } from './vad.js';
+
+export class ComfortNoise {
+  /**
+   * Build a SID payload from a noise level in dBov (and optional quantized coefficients)
+   */
+  static encodeSID(level, coefficients = []) {
+    const payload = Buffer.alloc(1 + coefficients.length);
+    
+    payload[0] = Math.min(127, Math.max(0, Math.round(-level)));
+    coefficients.forEach((coefficient, i) => {
+      payload[1 + i] = coefficient & 0xFF;
+    });
+    
+    return payload;
+  }
+
+  /**
+   * Parse a SID payload into its level in dBov and the raw quantized coefficients
+   */
+  static decodeSID(payload) {
+    if (!payload || payload.length < 1) {
+      throw new Error('SID payload too short');
+    }
+    
+    return {
+      level: -(payload[0] & 0x7F),
+      coefficients: Array.from(payload.subarray(1))
+    };
+  }
+}
+
+/**
+ * Generates noise at the level of the last SID frame received
+ */
+export class ComfortNoiseGenerator {
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.level = VAD_CONSTANTS.MIN_LEVEL;
+    this.coefficients = [];
+  }
+
+  /**
+   * Take the noise description from a received SID payload
+   */
+  update(payload) {
+    const sid = ComfortNoise.decodeSID(payload);
+    this.level = sid.level;
+    this.coefficients = sid.coefficients;
+  }
+
+  /**
+   * Generate samples of 16-bit PCM noise whose rms matches the SID level
+   */
+  generate(sampleCount) {
+    const pcm = Buffer.alloc(sampleCount * 2);
+    if (this.level <= VAD_CONSTANTS.MIN_LEVEL) return pcm;
+    
+    // Uniform noise in [-a, a] has an rms of a / sqrt(3)
+    const rms = VAD_CONSTANTS.FULL_SCALE * Math.pow(10, this.level / 20);
+    const amplitude = rms * Math.sqrt(3);
+    
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = Math.round((this.random() * 2 - 1) * amplitude);
+      pcm.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+    }
+    
+    return pcm;
+  }
+}
+
+export const COMFORT_NOISE_CONSTANTS = {
+  PAYLOAD_TYPE: 13,
+  SID_LEVEL_CHANGE: 3,     // dB change in the noise that triggers a new SID
+  SID_INTERVAL: 1000       // ms between SID frames while the noise is steady
+};
@@ -0,0 +1,339 @@
+/**
+ * G.711 Packet Loss Concealment
+ * Waveform substitution following ITU-T G.711 Appendix I
+ *
+ * Decoded speech is kept in a history buffer. When a frame is lost:
+ * - the pitch period is estimated by normalized cross-correlation over the
+ *   last 20 ms (a coarse search on every 2nd sample, then a fine search)
+ * - the last pitch period is repeated, with a quarter-period overlap-add
+ *   at the seams; more periods are used as the erasure gets longer so the
+ *   repetition doesn't buzz
+ * - after the first 10 ms the output fades by 20% per 10 ms and is silent
+ *   after 60 ms
+ * - when real speech resumes the synthetic signal is overlap-added into it
+ *
+ * Output is delayed by 3.75 ms (POVERLAPMAX samples) so there is real speech
+ * to blend with the start of a concealed frame. Works on 10 ms frames of
+ * 8 kHz 16-bit PCM; packets are processed in 10 ms steps.
+ */
+
+export class G711PLC {
+  constructor() {
+    const { HISTORYLEN, POVERLAPMAX } = G711_PLC_CONSTANTS;
+    
+    this.history = new Int16Array(HISTORYLEN);
+    this.pitchbuf = new Float64Array(HISTORYLEN);
+    this.lastq = new Float64Array(POVERLAPMAX);
+    
+    this.erasecnt = 0;       // consecutive erased 10 ms frames
+    this.pitch = 0;          // period estimate in samples
+    this.poverlap = 0;       // overlap-add length, a quarter period
+    this.poffset = 0;        // read position in the repeated pitch buffer
+    this.pitchblen = 0;      // length of the repeated segment
+    this.pitchbufstart = 0;  // where the repeated segment starts in pitchbuf
+  }
+
+  /**
+   * Whether the last frame was concealed
+   */
+  isConcealing() {
+    return this.erasecnt > 0;
+  }
+
+  /**
+   * Pass a received frame through; returns it delayed, blended with the concealment if one just ended
+   */
+  processGood(pcm) {
+    return this.processFrames(pcm, frame => this.addToHistory(frame));
+  }
+
+  /**
+   * Synthesize a lost frame of the given number of samples
+   */
+  processMissing(sampleCount) {
+    return this.processFrames(Buffer.alloc(sampleCount * 2), frame => this.conceal(frame));
+  }
+
+  /**
+   * Run 16-bit little-endian PCM through a per-frame step, 10 ms at a time
+   */
+  processFrames(pcm, step) {
+    const { FRAMESZ } = G711_PLC_CONSTANTS;
+    const output = Buffer.from(pcm);
+    const frame = new Int16Array(FRAMESZ);
+    
+    // A trailing partial frame (ptime not a multiple of 10 ms) is passed through
+    for (let offset = 0; offset + FRAMESZ * 2 <= output.length; offset += FRAMESZ * 2) {
+      for (let i = 0; i < FRAMESZ; i++) {
+        frame[i] = output.readInt16LE(offset + i * 2);
+      }
+      
+      step(frame);
+      
+      for (let i = 0; i < FRAMESZ; i++) {
+        output.writeInt16LE(frame[i], offset + i * 2);
+      }
+    }
+    
+    return output;
+  }
+
+  /**
+   * Generate the synthetic signal for an erased frame, in place
+   */
+  conceal(out) {
+    const { HISTORYLEN, FRAMESZ, POVERLAPMAX } = G711_PLC_CONSTANTS;
+    
+    if (this.erasecnt === 0) {
+      // Start of an erasure: find the pitch and prepare one period for repetition
+      this.pitchbuf.set(this.history);
+      this.pitch = this.findPitch();
+      this.poverlap = this.pitch >> 2;
+      
+      // Keep the last quarter period; it is blended into the start of the copy
+      const end = HISTORYLEN;
+      this.lastq.set(this.pitchbuf.subarray(end - this.poverlap, end));
+      this.poffset = 0;
+      this.pitchblen = this.pitch;
+      this.pitchbufstart = end - this.pitchblen;
+      overlapAdd(this.lastq, 0, this.pitchbuf, this.pitchbufstart - this.poverlap,
+        this.pitchbuf, end - this.poverlap, this.poverlap);
+      
+      // Update the last quarter wavelength in the history buffer
+      for (let i = 0; i < this.poverlap; i++) {
+        this.history[HISTORYLEN - this.poverlap + i] = this.pitchbuf[end - this.poverlap + i];
+      }
+      
+      this.getSynthetic(out, 0, FRAMESZ);
+    } else if (this.erasecnt === 1 || this.erasecnt === 2) {
+      // Tail of the previous pitch estimate
+      const tmp = new Int16Array(POVERLAPMAX);
+      const saveoffset = this.poffset;
+      this.getSynthetic(tmp, 0, this.poverlap);
+      
+      // Add a period to the pitch buffer
+      this.poffset = saveoffset;
+      while (this.poffset > this.pitch) {
+        this.poffset -= this.pitch;
+      }
+      this.pitchblen += this.pitch;
+      this.pitchbufstart = HISTORYLEN - this.pitchblen;
+      overlapAdd(this.lastq, 0, this.pitchbuf, this.pitchbufstart - this.poverlap,
+        this.pitchbuf, HISTORYLEN - this.poverlap, this.poverlap);
+      
+      // Overlap-add the old pitch buffer with the new
+      this.getSynthetic(out, 0, FRAMESZ);
+      overlapAdd(tmp, 0, out, 0, out, 0, this.poverlap);
+      this.scaleSpeech(out);
+    } else if (this.erasecnt > G711_PLC_CONSTANTS.MAX_ERASED_FRAMES) {
+      out.fill(0);
+    } else {
+      this.getSynthetic(out, 0, FRAMESZ);
+      this.scaleSpeech(out);
+    }
+    
+    this.erasecnt++;
+    this.saveSpeech(out);
+  }
+
+  /**
+   * Add a received frame to the history, in place; ends any concealment with an overlap-add
+   */
+  addToHistory(frame) {
+    const { FRAMESZ, EOVERLAPINCR } = G711_PLC_CONSTANTS;
+    
+    if (this.erasecnt) {
+      // The longer the erasure, the longer the blend back into real speech
+      const olen = Math.min(FRAMESZ, this.poverlap + (this.erasecnt - 1) * EOVERLAPINCR);
+      const overlapbuf = new Int16Array(FRAMESZ);
+      this.getSynthetic(overlapbuf, 0, olen);
+      this.overlapAddAtEnd(frame, overlapbuf, olen);
+      this.erasecnt = 0;
+    }
+    
+    this.saveSpeech(frame);
+  }
+
+  /**
+   * Copy repeated pitch periods into out
+   */
+  getSynthetic(out, offset, size) {
+    while (size) {
+      const cnt = Math.min(size, this.pitchblen - this.poffset);
+      for (let i = 0; i < cnt; i++) {
+        out[offset + i] = this.pitchbuf[this.pitchbufstart + this.poffset + i];
+      }
+      
+      this.poffset += cnt;
+      if (this.poffset === this.pitchblen) {
+        this.poffset = 0;
+      }
+      offset += cnt;
+      size -= cnt;
+    }
+  }
+
+  /**
+   * Shift a frame into the history and swap it for the delayed output, in place
+   */
+  saveSpeech(frame) {
+    const { HISTORYLEN, FRAMESZ, POVERLAPMAX } = G711_PLC_CONSTANTS;
+    
+    this.history.copyWithin(0, FRAMESZ);
+    this.history.set(frame, HISTORYLEN - FRAMESZ);
+    frame.set(this.history.subarray(HISTORYLEN - FRAMESZ - POVERLAPMAX, HISTORYLEN - POVERLAPMAX));
+  }
+
+  /**
+   * Attenuate synthetic speech: 20% per 10 ms after the first frame, ramped across the frame
+   */
+  scaleSpeech(out) {
+    const { ATTENFAC, ATTENINCR } = G711_PLC_CONSTANTS;
+    let gain = 1 - (this.erasecnt - 1) * ATTENFAC;
+    
+    for (let i = 0; i < out.length; i++) {
+      out[i] = Math.trunc(out[i] * gain);
+      gain -= ATTENINCR;
+    }
+  }
+
+  /**
+   * Blend the (attenuated) synthetic signal f into the start of real speech s
+   */
+  overlapAddAtEnd(s, f, cnt) {
+    const { ATTENFAC } = G711_PLC_CONSTANTS;
+    const incr = 1 / cnt;
+    const gain = Math.max(0, 1 - (this.erasecnt - 1) * ATTENFAC);
+    const incrg = incr * gain;
+    let lw = (1 - incr) * gain;
+    let rw = incr;
+    
+    for (let i = 0; i < cnt; i++) {
+      s[i] = clamp16(lw * f[i] + rw * s[i]);
+      lw -= incrg;
+      rw += incr;
+    }
+  }
+
+  /**
+   * Estimate the pitch period from the end of the history (normalized cross-correlation)
+   */
+  findPitch() {
+    const { HISTORYLEN, CORRLEN, CORRBUFLEN, NDEC, PITCHDIFF, PITCH_MAX, CORRMINPOWER } = G711_PLC_CONSTANTS;
+    const buf = this.pitchbuf;
+    const l = HISTORYLEN - CORRLEN;
+    let r = HISTORYLEN - CORRBUFLEN;
+    
+    // Coarse search on every NDEC-th sample
+    let energy = 0;
+    let corr = 0;
+    for (let i = 0; i < CORRLEN; i += NDEC) {
+      energy += buf[r + i] * buf[r + i];
+      corr += buf[r + i] * buf[l + i];
+    }
+    let bestcorr = corr / Math.sqrt(Math.max(energy, CORRMINPOWER));
+    let bestmatch = 0;
+    
+    for (let j = NDEC; j <= PITCHDIFF; j += NDEC) {
+      energy -= buf[r] * buf[r];
+      energy += buf[r + CORRLEN] * buf[r + CORRLEN];
+      r += NDEC;
+      
+      corr = 0;
+      for (let i = 0; i < CORRLEN; i += NDEC) {
+        corr += buf[r + i] * buf[l + i];
+      }
+      corr /= Math.sqrt(Math.max(energy, CORRMINPOWER));
+      if (corr >= bestcorr) {
+        bestcorr = corr;
+        bestmatch = j;
+      }
+    }
+    
+    // Fine search around the coarse match
+    let j = Math.max(0, bestmatch - (NDEC - 1));
+    const k = Math.min(PITCHDIFF, bestmatch + (NDEC - 1));
+    let rp = HISTORYLEN - CORRBUFLEN + j;
+    
+    energy = 0;
+    corr = 0;
+    for (let i = 0; i < CORRLEN; i++) {
+      energy += buf[rp + i] * buf[rp + i];
+      corr += buf[rp + i] * buf[l + i];
+    }
+    bestcorr = corr / Math.sqrt(Math.max(energy, CORRMINPOWER));
+    bestmatch = j;
+    
+    for (j++; j <= k; j++) {
+      energy -= buf[rp] * buf[rp];
+      energy += buf[rp + CORRLEN] * buf[rp + CORRLEN];
+      rp++;
+      
+      corr = 0;
+      for (let i = 0; i < CORRLEN; i++) {
+        corr += buf[rp + i] * buf[l + i];
+      }
+      corr /= Math.sqrt(Math.max(energy, CORRMINPOWER));
+      if (corr > bestcorr) {
+        bestcorr = corr;
+        bestmatch = j;
+      }
+    }
+    
+    return PITCH_MAX - bestmatch;
+  }
+
+  /**
+   * Forget all history
+   */
+  reset() {
+    this.history.fill(0);
+    this.erasecnt = 0;
+    this.poffset = 0;
+  }
+}
+
+/**
+ * Cross-fade l into r over cnt samples, writing o (a triangular window)
+ */
+function overlapAdd(l, lOffset, r, rOffset, o, oOffset, cnt) {
+  const incr = 1 / cnt;
+  let lw = 1 - incr;
+  let rw = incr;
+  const clamp = o instanceof Int16Array;
+
+  for (let i = 0; i < cnt; i++) {
+    const t = lw * l[lOffset + i] + rw * r[rOffset + i];
+    o[oOffset + i] = clamp ? clamp16(t) : t;
+    lw -= incr;
+    rw += incr;
+  }
+}
+
+/**
+ * Saturate to the 16-bit range
+ */
+function clamp16(value) {
+  return Math.max(-32768, Math.min(32767, value));
+}
+
+// Parameters from ITU-T G.711 Appendix I (8 kHz)
+const PITCH_MAX = 120; // 66.6 Hz
+const POVERLAPMAX = PITCH_MAX >> 2;
+
+export const G711_PLC_CONSTANTS = {
+  PITCH_MIN: 40,                        // 200 Hz
+  PITCH_MAX,
+  PITCHDIFF: PITCH_MAX - 40,
+  POVERLAPMAX,
+  HISTORYLEN: PITCH_MAX * 3 + POVERLAPMAX,
+  NDEC: 2,                              // decimation for the coarse pitch search
+  CORRLEN: 160,                         // 20 ms correlation window
+  CORRBUFLEN: 160 + PITCH_MAX,
+  CORRMINPOWER: 250,
+  EOVERLAPINCR: 32,                     // end overlap grows 4 ms per erased frame
+  FRAMESZ: 80,                          // 10 ms
+  ATTENFAC: 0.2,                        // attenuation per 10 ms
+  ATTENINCR: 0.2 / 80,
+  MAX_ERASED_FRAMES: 5                  // silence after 60 ms
+};
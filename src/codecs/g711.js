@@ -6,6 +6,8 @@
  * Used extensively in VoIP for its simplicity and low computational requirements
  */
 
+import { G711PLC } from './g711-plc.js';
+
 export class G711Codec {
   constructor(type = 'mulaw') {
     this.type = type.toLowerCase(); // 'mulaw' or 'alaw'
@@ -46,7 +48,8 @@ export class G711Codec {
    * Encode using μ-law
    */
   encodeMulaw(pcmData) {
-    const encoded = Buffer.alloc(pcmData.length);
+    // One byte per 16-bit sample
+    const encoded = Buffer.alloc(Math.floor(pcmData.length / 2));
     
     for (let i = 0; i < pcmData.length; i += 2) {
       const sample = pcmData.readInt16LE(i);
@@ -74,7 +77,8 @@ export class G711Codec {
    * Encode using A-law
    */
   encodeAlaw(pcmData) {
-    const encoded = Buffer.alloc(pcmData.length);
+    // One byte per 16-bit sample
+    const encoded = Buffer.alloc(Math.floor(pcmData.length / 2));
     
     for (let i = 0; i < pcmData.length; i += 2) {
       const sample = pcmData.readInt16LE(i);
@@ -254,6 +258,13 @@ export class G711Codec {
     return sample;
   }
 
+  /**
+   * Create a packet loss concealer for this codec's decoded output (G.711 Appendix I)
+   */
+  createPLC() {
+    return new G711PLC();
+  }
+
   /**
    * Get codec information
    */
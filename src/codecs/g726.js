@@ -0,0 +1,499 @@
+/**
+ * G.726 Codec Implementation
+ * ADPCM at 16, 24, 32 and 40 kbit/s (ITU-T G.726)
+ *
+ * 8 kHz 16-bit PCM is coded as the difference from an adaptive pole-zero
+ * prediction, quantized to 2-5 bits with an adaptive step size. Encoder and
+ * decoder run the same backward adaptation, so nothing but the codes is sent.
+ * The arithmetic follows the ITU fixed-point description (as in the widely
+ * used public domain Sun implementation), working on 14-bit linear samples.
+ *
+ * Bit packing differs by encoding name (RFC 3551 §4.5.4):
+ * - G726-16/24/32/40: the first code goes in the least significant bits of
+ *   the first octet ("little-endian")
+ * - AAL2-G726-16/24/32/40: ITU-T I.366.2 Annex E order, the first code in the
+ *   most significant bits ("big-endian")
+ */
+
+export class G726Codec {
+  constructor(options = {}) {
+    const bitRate = options.bitRate || 32000;
+    this.mode = G726_MODES[bitRate];
+    if (!this.mode) {
+      throw new Error(`Unsupported G.726 bit rate: ${bitRate}`);
+    }
+    
+    this.bitRate = bitRate;
+    this.bitsPerCode = this.mode.bits;
+    this.packing = options.packing || 'rfc3551'; // or 'aal2'
+    this.sampleRate = 8000;
+    this.channels = 1;
+    this.bitsPerSample = 16;
+    
+    this.reset();
+  }
+
+  /**
+   * Start over from the initial encoder and decoder state
+   */
+  reset() {
+    this.encoderState = createState();
+    this.decoderState = createState();
+  }
+
+  /**
+   * Encode 16-bit PCM to packed G.726 codes
+   */
+  encode(pcmData) {
+    const samples = pcmData.length >> 1;
+    const codes = new Uint8Array(samples);
+    
+    for (let i = 0; i < samples; i++) {
+      codes[i] = this.encodeSample(pcmData.readInt16LE(i * 2));
+    }
+    
+    return this.pack(codes);
+  }
+
+  /**
+   * Decode packed G.726 codes to 16-bit PCM
+   */
+  decode(encodedData) {
+    const codes = this.unpack(encodedData);
+    const pcm = Buffer.alloc(codes.length * 2);
+    
+    for (let i = 0; i < codes.length; i++) {
+      pcm.writeInt16LE(this.decodeSample(codes[i]), i * 2);
+    }
+    
+    return pcm;
+  }
+
+  /**
+   * Encode one 16-bit sample to a code
+   */
+  encodeSample(sample) {
+    const state = this.encoderState;
+    const { mode } = this;
+    const sl = sample >> 2; // 14-bit dynamic range
+    
+    const sezi = predictorZero(state);
+    const sez = sezi >> 1;
+    const se = (sezi + predictorPole(state)) >> 1;
+    
+    const d = sl - se;
+    const y = stepSize(state);
+    const code = quantize(d, y, mode);
+    const dq = reconstruct(code & mode.signBit, mode.dqln[code], y);
+    const sr = dq < 0 ? se - (dq & 0x3FFF) : se + dq;
+    
+    update(state, mode, y, mode.wi[code], mode.fi[code], dq, sr, sr + sez - se);
+    return code;
+  }
+
+  /**
+   * Decode one code to a 16-bit sample
+   */
+  decodeSample(code) {
+    const state = this.decoderState;
+    const { mode } = this;
+    code &= (1 << mode.bits) - 1;
+    
+    const sezi = predictorZero(state);
+    const sez = sezi >> 1;
+    const se = (sezi + predictorPole(state)) >> 1;
+    
+    const y = stepSize(state);
+    const dq = reconstruct(code & mode.signBit, mode.dqln[code], y);
+    const sr = dq < 0 ? se - (dq & 0x3FFF) : se + dq;
+    
+    update(state, mode, y, mode.wi[code], mode.fi[code], dq, sr, sr - se + sez);
+    return saturate(sr << 2);
+  }
+
+  /**
+   * Pack codes into octets in this codec's bit order
+   */
+  pack(codes) {
+    const bits = this.bitsPerCode;
+    const packed = Buffer.alloc(Math.ceil(codes.length * bits / 8));
+    const aal2 = this.packing === 'aal2';
+    let buffer = 0;
+    let count = 0;
+    let out = 0;
+    
+    for (const code of codes) {
+      buffer = aal2 ? (buffer << bits) | code : buffer | (code << count);
+      count += bits;
+      while (count >= 8) {
+        count -= 8;
+        packed[out++] = aal2 ? (buffer >> count) & 0xFF : buffer & 0xFF;
+        if (!aal2) buffer >>= 8;
+      }
+      if (aal2) buffer &= (1 << count) - 1;
+    }
+    // Leftover bits of a short frame, padded with zeros
+    if (count > 0) {
+      packed[out] = aal2 ? (buffer << (8 - count)) & 0xFF : buffer & 0xFF;
+    }
+    
+    return packed;
+  }
+
+  /**
+   * Unpack octets into codes; trailing bits too few for a code are ignored
+   */
+  unpack(packed) {
+    const bits = this.bitsPerCode;
+    const mask = (1 << bits) - 1;
+    const codes = new Uint8Array(Math.floor(packed.length * 8 / bits));
+    const aal2 = this.packing === 'aal2';
+    let buffer = 0;
+    let count = 0;
+    let out = 0;
+    
+    for (const octet of packed) {
+      buffer = aal2 ? (buffer << 8) | octet : buffer | (octet << count);
+      count += 8;
+      while (count >= bits && out < codes.length) {
+        count -= bits;
+        if (aal2) {
+          codes[out++] = (buffer >> count) & mask;
+          buffer &= (1 << count) - 1;
+        } else {
+          codes[out++] = buffer & mask;
+          buffer >>= bits;
+        }
+      }
+    }
+    
+    return codes;
+  }
+
+  /**
+   * Get codec information
+   */
+  getInfo() {
+    return {
+      name: `G.726-${this.bitRate / 1000}`,
+      sampleRate: this.sampleRate,
+      channels: this.channels,
+      bitsPerSample: this.bitsPerSample,
+      bitsPerCode: this.bitsPerCode,
+      packing: this.packing,
+      compressionRatio: 16 / this.bitsPerCode,
+      bitRate: this.bitRate
+    };
+  }
+
+  /**
+   * Get bit rate
+   */
+  getBitRate() {
+    return this.bitRate;
+  }
+
+  /**
+   * Get samples per frame
+   */
+  getSamplesPerFrame() {
+    return 160; // 20ms at 8kHz
+  }
+
+  /**
+   * Get frame size in bytes
+   */
+  getFrameSize() {
+    return this.getSamplesPerFrame() * this.bitsPerCode / 8; // 40-100 bytes
+  }
+}
+
+/**
+ * Fresh ADPCM state
+ */
+function createState() {
+  return {
+    yl: 34816,  // locked quantizer scale factor
+    yu: 544,    // unlocked quantizer scale factor
+    dms: 0,     // short term mean of F(I)
+    dml: 0,     // long term mean of F(I)
+    ap: 0,      // speed control
+    a: [0, 0],  // pole predictor coefficients
+    b: [0, 0, 0, 0, 0, 0], // zero predictor coefficients
+    pk: [0, 0], // signs of previous dqsez
+    dq: [32, 32, 32, 32, 32, 32], // previous quantized differences, in floating point
+    sr: [32, 32], // previous reconstructed signal, in floating point
+    td: 0       // tone detect
+  };
+}
+
+/**
+ * Index of the first table entry above a value
+ */
+function quan(value, table) {
+  let i = 0;
+  while (i < table.length && value >= table[i]) i++;
+  return i;
+}
+
+/**
+ * Multiply a predictor coefficient by a floating point signal value (FMULT)
+ */
+function fmult(an, srn) {
+  const anmag = an > 0 ? an : (-an) & 0x1FFF;
+  const anexp = quan(anmag, POWER2) - 6;
+  const anmant = anmag === 0 ? 32 : anexp >= 0 ? anmag >> anexp : anmag << -anexp;
+  const wanexp = anexp + ((srn >> 6) & 0xF) - 13;
+  const wanmant = (anmant * (srn & 0x3F) + 0x30) >> 4;
+  const product = wanexp >= 0 ? (wanmant << wanexp) & 0x7FFF : wanmant >> -wanexp;
+  return (an ^ srn) < 0 ? -product : product;
+}
+
+/**
+ * Zero section of the signal estimate (sezi)
+ */
+function predictorZero(state) {
+  let sezi = 0;
+  for (let i = 0; i < 6; i++) {
+    sezi += fmult(state.b[i] >> 2, state.dq[i]);
+  }
+  return sezi;
+}
+
+/**
+ * Pole section of the signal estimate
+ */
+function predictorPole(state) {
+  return fmult(state.a[1] >> 2, state.sr[1]) + fmult(state.a[0] >> 2, state.sr[0]);
+}
+
+/**
+ * Quantizer scale factor, mixing the locked and unlocked factors by speed control
+ */
+function stepSize(state) {
+  if (state.ap >= 256) return state.yu;
+
+  let y = state.yl >> 6;
+  const dif = state.yu - y;
+  const al = state.ap >> 2;
+  if (dif > 0) {
+    y += (dif * al) >> 6;
+  } else if (dif < 0) {
+    y += (dif * al + 0x3F) >> 6;
+  }
+  return y;
+}
+
+/**
+ * Quantize a difference signal against the mode's decision levels
+ */
+function quantize(d, y, mode) {
+  // LOG: base 2 logarithm of |d|, 4-bit exponent and 7-bit mantissa
+  const dqm = Math.abs(d);
+  const exp = quan(dqm >> 1, POWER2);
+  const mant = ((dqm << 7) >> exp) & 0x7F;
+  const dl = (exp << 7) + mant;
+
+  // SUBTB, QUAN
+  const i = quan(dl - (y >> 2), mode.levels);
+  const top = (1 << mode.bits) - 1;
+  if (d < 0) return top - i;
+  // A positive difference below the first level is sent as a negative zero (1988 revision)
+  if (i === 0 && mode.zeroLevel) return top;
+  return i;
+}
+
+/**
+ * Quantized difference from a log magnitude; negative values in sign-magnitude form
+ */
+function reconstruct(sign, dqln, y) {
+  const dql = dqln + (y >> 2);
+  if (dql < 0) return sign ? -0x8000 : 0;
+
+  const dex = (dql >> 7) & 15;
+  const dqt = 128 + (dql & 127);
+  const dq = (dqt << 7) >> (14 - dex);
+  return sign ? dq - 0x8000 : dq;
+}
+
+/**
+ * Adapt the scale factors, predictor and speed control after each sample
+ */
+function update(state, mode, y, wi, fi, dq, sr, dqsez) {
+  const pk0 = dqsez < 0 ? 1 : 0;
+  const mag = dq & 0x7FFF;
+
+  // TRANS: transition detector
+  const ylint = state.yl >> 15;
+  const ylfrac = (state.yl >> 10) & 0x1F;
+  const thr1 = (32 + ylfrac) << ylint;
+  const thr2 = ylint > 9 ? 31 << 10 : thr1;
+  const dqthr = (thr2 + (thr2 >> 1)) >> 1;
+  const tr = state.td !== 0 && mag > dqthr ? 1 : 0;
+
+  // Quantizer scale factor adaptation
+  state.yu = Math.min(5120, Math.max(544, y + ((wi - y) >> 5)));
+  state.yl += state.yu + ((-state.yl) >> 6);
+
+  // Adaptive predictor coefficients
+  let a2p = 0;
+  if (tr === 1) {
+    state.a[0] = state.a[1] = 0;
+    state.b.fill(0);
+  } else {
+    const pks1 = pk0 ^ state.pk[0];
+    
+    // UPA2
+    a2p = state.a[1] - (state.a[1] >> 7);
+    if (dqsez !== 0) {
+      const fa1 = pks1 ? state.a[0] : -state.a[0];
+      if (fa1 < -8191) {
+        a2p -= 0x100;
+      } else if (fa1 > 8191) {
+        a2p += 0xFF;
+      } else {
+        a2p += fa1 >> 5;
+      }
+      
+      if (pk0 ^ state.pk[1]) {
+        if (a2p <= -12160) a2p = -12288;
+        else if (a2p >= 12416) a2p = 12288;
+        else a2p -= 0x80;
+      } else if (a2p <= -12416) {
+        a2p = -12288;
+      } else if (a2p >= 12160) {
+        a2p = 12288;
+      } else {
+        a2p += 0x80;
+      }
+    }
+    state.a[1] = toInt16(a2p);
+    
+    // UPA1, LIMD
+    state.a[0] -= state.a[0] >> 8;
+    if (dqsez !== 0) {
+      state.a[0] += pks1 === 0 ? 192 : -192;
+    }
+    const a1ul = 15360 - a2p;
+    state.a[0] = Math.min(a1ul, Math.max(-a1ul, state.a[0]));
+    
+    // UPB: the 40 kbit/s mode leaks more slowly
+    for (let i = 0; i < 6; i++) {
+      state.b[i] -= state.b[i] >> (mode.bits === 5 ? 9 : 8);
+      if (mag) {
+        state.b[i] += (dq ^ state.dq[i]) >= 0 ? 128 : -128;
+      }
+      state.b[i] = toInt16(state.b[i]);
+    }
+  }
+
+  // FLOAT A: quantized difference to 4-bit exponent, 6-bit mantissa
+  for (let i = 5; i > 0; i--) {
+    state.dq[i] = state.dq[i - 1];
+  }
+  if (mag === 0) {
+    state.dq[0] = dq >= 0 ? 0x20 : toInt16(0xFC20);
+  } else {
+    const exp = quan(mag, POWER2);
+    const value = (exp << 6) + ((mag << 6) >> exp);
+    state.dq[0] = dq >= 0 ? value : value - 0x400;
+  }
+
+  // FLOAT B: reconstructed signal likewise
+  state.sr[1] = state.sr[0];
+  if (sr === 0) {
+    state.sr[0] = 0x20;
+  } else if (sr > 0) {
+    const exp = quan(sr, POWER2);
+    state.sr[0] = (exp << 6) + ((sr << 6) >> exp);
+  } else if (sr > -32768) {
+    const exp = quan(-sr, POWER2);
+    state.sr[0] = (exp << 6) + ((-sr << 6) >> exp) - 0x400;
+  } else {
+    state.sr[0] = toInt16(0xFC20);
+  }
+
+  // DELAY A
+  state.pk[1] = state.pk[0];
+  state.pk[0] = pk0;
+
+  // TONE
+  state.td = tr === 0 && a2p < -11776 ? 1 : 0;
+
+  // Adaptation speed control
+  state.dms += (fi - state.dms) >> 5;
+  state.dml += ((fi << 2) - state.dml) >> 7;
+  if (tr === 1) {
+    state.ap = 256;
+  } else if (y < 1536 || state.td === 1 || Math.abs((state.dms << 2) - state.dml) >= (state.dml >> 3)) {
+    state.ap += (0x200 - state.ap) >> 4;
+  } else {
+    state.ap += (-state.ap) >> 4;
+  }
+}
+
+/**
+ * Wrap to a signed 16-bit value, as the reference's short variables do
+ */
+function toInt16(value) {
+  return (value << 16) >> 16;
+}
+
+/**
+ * Clamp to the 16-bit range
+ */
+function saturate(value) {
+  return Math.min(32767, Math.max(-32768, value));
+}
+
+const POWER2 = [1, 2, 4, 8, 0x10, 0x20, 0x40, 0x80, 0x100, 0x200, 0x400, 0x800, 0x1000, 0x2000, 0x4000];
+
+// Per bit rate: decision levels, log quantizer outputs, scale factor
+// multipliers (W, scaled by 32) and speed control weights (F) per code
+const G726_MODES = {
+  16000: {
+    bits: 2,
+    signBit: 0x02,
+    zeroLevel: false,
+    levels: [261],
+    dqln: [116, 365, 365, 116],
+    wi: [-704, 14048, 14048, -704],
+    fi: [0, 0xE00, 0xE00, 0]
+  },
+  24000: {
+    bits: 3,
+    signBit: 0x04,
+    zeroLevel: true,
+    levels: [8, 218, 331],
+    dqln: [-2048, 135, 273, 373, 373, 273, 135, -2048],
+    wi: [-128, 960, 4384, 18624, 18624, 4384, 960, -128],
+    fi: [0, 0x200, 0x400, 0xE00, 0xE00, 0x400, 0x200, 0]
+  },
+  32000: {
+    bits: 4,
+    signBit: 0x08,
+    zeroLevel: true,
+    levels: [-124, 80, 178, 246, 300, 349, 400],
+    dqln: [-2048, 4, 135, 213, 273, 323, 373, 425, 425, 373, 323, 273, 213, 135, 4, -2048],
+    wi: [-384, 576, 1312, 2048, 3584, 6336, 11360, 35904, 35904, 11360, 6336, 3584, 2048, 1312, 576, -384],
+    fi: [0, 0, 0, 0x200, 0x200, 0x200, 0x600, 0xE00, 0xE00, 0x600, 0x200, 0x200, 0x200, 0, 0, 0]
+  },
+  40000: {
+    bits: 5,
+    signBit: 0x10,
+    zeroLevel: true,
+    levels: [-122, -16, 68, 139, 198, 250, 298, 339, 378, 413, 445, 475, 502, 528, 553],
+    dqln: [-2048, -66, 28, 104, 169, 224, 274, 318, 358, 395, 429, 459, 488, 514, 539, 566,
+      566, 539, 514, 488, 459, 429, 395, 358, 318, 274, 224, 169, 104, 28, -66, -2048],
+    wi: [448, 448, 768, 1248, 1280, 1312, 1856, 3200, 4512, 5728, 7008, 8960, 11456, 14080, 16928, 22272,
+      22272, 16928, 14080, 11456, 8960, 7008, 5728, 4512, 3200, 1856, 1312, 1280, 1248, 768, 448, 448],
+    fi: [0, 0, 0, 0, 0, 0x200, 0x200, 0x200, 0x200, 0x200, 0x400, 0x600, 0x800, 0xA00, 0xC00, 0xC00,
+      0xC00, 0xC00, 0xA00, 0x800, 0x600, 0x400, 0x200, 0x200, 0x200, 0x200, 0x200, 0, 0, 0, 0, 0]
+  }
+};
+
+export const G726_CONSTANTS = {
+  SAMPLE_RATE: 8000,
+  BIT_RATES: [16000, 24000, 32000, 40000],
+  PACKING: ['rfc3551', 'aal2']
+};
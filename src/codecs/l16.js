@@ -0,0 +1,74 @@
+/**
+ * L16 Codec Implementation
+ * Uncompressed 16-bit linear PCM (RFC 3551 §4.5.11)
+ *
+ * On the wire samples are big-endian (network byte order), with channels
+ * interleaved one sample each per sampling instant. Any sample rate and
+ * channel count can be negotiated; the RTP clock is the sample rate.
+ * Static payload types 10 and 11 are 44.1 kHz stereo and mono.
+ */
+
+export class L16Codec {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.channels = options.channels || 1;
+    this.bitsPerSample = 16;
+  }
+
+  /**
+   * Encode 16-bit little-endian PCM to network byte order
+   */
+  encode(pcmData) {
+    // An odd trailing byte is not a sample
+    const encoded = Buffer.from(pcmData.subarray(0, pcmData.length & ~1));
+    return encoded.swap16();
+  }
+
+  /**
+   * Decode network byte order samples to 16-bit little-endian PCM
+   */
+  decode(encodedData) {
+    const pcm = Buffer.from(encodedData.subarray(0, encodedData.length & ~1));
+    return pcm.swap16();
+  }
+
+  /**
+   * Get codec information
+   */
+  getInfo() {
+    return {
+      name: 'L16',
+      sampleRate: this.sampleRate,
+      channels: this.channels,
+      bitsPerSample: this.bitsPerSample,
+      compressionRatio: 1,
+      bitRate: this.getBitRate()
+    };
+  }
+
+  /**
+   * Get bit rate
+   */
+  getBitRate() {
+    return this.sampleRate * this.channels * 16;
+  }
+
+  /**
+   * Get samples per frame, across all channels
+   */
+  getSamplesPerFrame() {
+    return this.sampleRate / 50 * this.channels; // 20ms
+  }
+
+  /**
+   * Get frame size in bytes
+   */
+  getFrameSize() {
+    return this.getSamplesPerFrame() * 2;
+  }
+}
+
+export const L16_CONSTANTS = {
+  PAYLOAD_TYPE_STEREO_44100: 10,
+  PAYLOAD_TYPE_MONO_44100: 11
+};
@@ -0,0 +1,263 @@
+/**
+ * Sample Rate and Channel Conversion
+ * Polyphase resampling and channel mixing for 16-bit PCM
+ *
+ * A rate change by L/M (e.g. 8000 -> 44100 is 441/80) is done as a
+ * windowed-sinc low-pass filter evaluated only at the output instants: the
+ * filter is split into L phases, and each output sample takes one phase's taps
+ * against the input. The cutoff sits just below the lower of the two Nyquist
+ * rates, so upsampling removes images and downsampling removes aliases, and
+ * the filter gets longer in proportion when decimating.
+ *
+ * Resamplers are stateful: they keep the tail of the previous call, so a
+ * stream fed in frames sounds the same as one fed all at once. The filter
+ * delays the signal by half its length (about 2 ms).
+ *
+ * An audio format here is { sampleRate, channels } of interleaved 16-bit PCM.
+ */
+
+export class Resampler {
+  constructor(options = {}) {
+    this.inputRate = options.inputRate;
+    this.outputRate = options.outputRate;
+    this.channels = options.channels || 1;
+    if (!this.inputRate || !this.outputRate) {
+      throw new Error('A resampler needs an inputRate and outputRate');
+    }
+    
+    const divisor = gcd(this.inputRate, this.outputRate);
+    this.upFactor = this.outputRate / divisor;   // L
+    this.downFactor = this.inputRate / divisor;  // M
+    
+    // Keep the filter as many input samples wide per zero crossing of the narrower band
+    const ratio = Math.min(1, this.outputRate / this.inputRate);
+    const halfTaps = Math.ceil((options.zeroCrossings || RESAMPLER_CONSTANTS.ZERO_CROSSINGS) / ratio);
+    this.taps = halfTaps * 2;
+    this.cutoff = ratio * RESAMPLER_CONSTANTS.CUTOFF;
+    this.coefficients = this.designFilter();
+    
+    this.reset();
+  }
+
+  /**
+   * Forget the stream so far
+   */
+  reset() {
+    // History starts with a filter's worth of silence, so the first call is
+    // not held back waiting for lookahead
+    this.history = Array.from({ length: this.channels }, () => new Float64Array(this.taps - 1));
+    this.position = 0; // next output instant, in 1/L input samples from history[0]
+  }
+
+  /**
+   * One set of taps per phase, each normalized to unity gain at DC
+   */
+  designFilter() {
+    const L = this.upFactor;
+    const N = this.taps;
+    const coefficients = [];
+    
+    for (let phase = 0; phase < L; phase++) {
+      const taps = new Float64Array(N);
+      let sum = 0;
+      for (let j = 0; j < N; j++) {
+        // Distance from the output instant to input tap j, in input samples
+        const t = N / 2 - 1 - j + phase / L;
+        taps[j] = sinc(this.cutoff * t) * kaiser(t / (N / 2), RESAMPLER_CONSTANTS.KAISER_BETA);
+        sum += taps[j];
+      }
+      for (let j = 0; j < N; j++) {
+        taps[j] /= sum;
+      }
+      coefficients.push(taps);
+    }
+    
+    return coefficients;
+  }
+
+  /**
+   * Resample interleaved 16-bit PCM; any input length works, and a frame that
+   * lasts a whole number of output samples gives exactly that many
+   * (20 ms at 8 kHz in, 20 ms at 44.1 kHz out)
+   */
+  process(pcmData) {
+    const channels = this.channels;
+    const frames = Math.floor(pcmData.length / 2 / channels);
+    if (this.inputRate === this.outputRate) {
+      return Buffer.from(pcmData.subarray(0, frames * channels * 2));
+    }
+    
+    // Append the new input to each channel's history
+    const previous = this.history[0].length;
+    for (let c = 0; c < channels; c++) {
+      const history = new Float64Array(previous + frames);
+      history.set(this.history[c]);
+      for (let i = 0; i < frames; i++) {
+        history[previous + i] = pcmData.readInt16LE((i * channels + c) * 2);
+      }
+      this.history[c] = history;
+    }
+    
+    const L = this.upFactor;
+    const M = this.downFactor;
+    const N = this.taps;
+    const available = previous + frames;
+    const output = [];
+    
+    // Output instant i + phase/L needs input up to i + N - 1
+    while (Math.floor(this.position / L) + N <= available) {
+      const start = Math.floor(this.position / L);
+      const taps = this.coefficients[this.position % L];
+      for (let c = 0; c < channels; c++) {
+        const history = this.history[c];
+        let sum = 0;
+        for (let j = 0; j < N; j++) {
+          sum += history[start + j] * taps[j];
+        }
+        output.push(Math.max(-32768, Math.min(32767, Math.round(sum))));
+      }
+      this.position += M;
+    }
+    
+    // Drop the input no later output can reach
+    const consumed = Math.floor(this.position / L);
+    for (let c = 0; c < channels; c++) {
+      this.history[c] = this.history[c].slice(consumed);
+    }
+    this.position -= consumed * L;
+    
+    const pcm = Buffer.alloc(output.length * 2);
+    output.forEach((sample, i) => pcm.writeInt16LE(sample, i * 2));
+    return pcm;
+  }
+}
+
+/**
+ * Convert interleaved 16-bit PCM between channel counts: mono is copied to
+ * every channel, anything is averaged down to mono, and other layouts map
+ * output channel c from input channels c, c + outputs, ... (or c mod inputs)
+ */
+export function mixChannels(pcmData, inputChannels, outputChannels) {
+  const frames = Math.floor(pcmData.length / 2 / inputChannels);
+  const pcm = Buffer.alloc(frames * outputChannels * 2);
+
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < outputChannels; c++) {
+      let sum = 0;
+      let count = 0;
+      if (outputChannels < inputChannels) {
+        for (let k = c; k < inputChannels; k += outputChannels) {
+          sum += pcmData.readInt16LE((i * inputChannels + k) * 2);
+          count++;
+        }
+      } else {
+        sum = pcmData.readInt16LE((i * inputChannels + c % inputChannels) * 2);
+        count = 1;
+      }
+      pcm.writeInt16LE(Math.round(sum / count), (i * outputChannels + c) * 2);
+    }
+  }
+
+  return pcm;
+}
+
+/**
+ * Converts a stream of PCM from one audio format to another, mixing channels
+ * on whichever side of the resampler has fewer of them
+ */
+export class AudioConverter {
+  constructor(from, to) {
+    this.from = { sampleRate: from.sampleRate, channels: from.channels || 1 };
+    this.to = { sampleRate: to.sampleRate, channels: to.channels || 1 };
+    
+    this.resampler = this.from.sampleRate === this.to.sampleRate ? null : new Resampler({
+      inputRate: this.from.sampleRate,
+      outputRate: this.to.sampleRate,
+      channels: Math.min(this.from.channels, this.to.channels)
+    });
+  }
+
+  /**
+   * Whether the two formats differ at all
+   */
+  isPassthrough() {
+    return isSameFormat(this.from, this.to);
+  }
+
+  /**
+   * Convert a chunk of the stream
+   */
+  process(pcmData) {
+    if (this.isPassthrough()) return pcmData;
+    
+    let pcm = pcmData;
+    if (this.to.channels < this.from.channels) {
+      pcm = mixChannels(pcm, this.from.channels, this.to.channels);
+    }
+    if (this.resampler) {
+      pcm = this.resampler.process(pcm);
+    }
+    if (this.to.channels > this.from.channels) {
+      pcm = mixChannels(pcm, this.from.channels, this.to.channels);
+    }
+    return pcm;
+  }
+
+  /**
+   * Forget the stream so far
+   */
+  reset() {
+    this.resampler?.reset();
+  }
+}
+
+/**
+ * Whether two audio formats have the same rate and channel count
+ */
+export function isSameFormat(a, b) {
+  return a.sampleRate === b.sampleRate && (a.channels || 1) === (b.channels || 1);
+}
+
+/**
+ * Normalized sinc
+ */
+function sinc(x) {
+  if (x === 0) return 1;
+  return Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+/**
+ * Kaiser window at x in [-1, 1]
+ */
+function kaiser(x, beta) {
+  if (Math.abs(x) > 1) return 0;
+  return besselI0(beta * Math.sqrt(1 - x * x)) / besselI0(beta);
+}
+
+/**
+ * Zeroth order modified Bessel function of the first kind, by its power series
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50 && term > sum * 1e-12; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+  }
+  return sum;
+}
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+export const RESAMPLER_CONSTANTS = {
+  SAMPLE_RATES: [8000, 16000, 32000, 44100, 48000],
+  ZERO_CROSSINGS: 16,   // filter half-length, in samples of the lower rate
+  CUTOFF: 0.92,         // fraction of the lower Nyquist rate passed
+  KAISER_BETA: 8        // about 80 dB stopband
+};
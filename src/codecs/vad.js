@@ -0,0 +1,100 @@
+/**
+ * Voice Activity Detection
+ * Energy-based speech/silence decision for 16-bit PCM frames
+ *
+ * Each frame's level is measured in dBov (relative to a full-scale square
+ * wave, as RFC 3389 uses for comfort noise). A background noise estimate
+ * follows the quiet frames quickly and rises only slowly, so speech does not
+ * drag it up. A frame is speech when it is clearly above the noise and above
+ * an absolute floor; a hangover keeps the talkspurt open over short pauses
+ * so word endings are not clipped.
+ */
+
+export class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.threshold = options.threshold ?? VAD_CONSTANTS.THRESHOLD;
+    this.minSpeechLevel = options.minSpeechLevel ?? VAD_CONSTANTS.MIN_SPEECH_LEVEL;
+    this.hangover = options.hangover ?? VAD_CONSTANTS.HANGOVER;
+    
+    this.reset();
+  }
+
+  /**
+   * Forget the noise estimate and end any talkspurt
+   */
+  reset() {
+    this.noiseLevel = VAD_CONSTANTS.INITIAL_NOISE_LEVEL; // dBov
+    this.level = VAD_CONSTANTS.MIN_LEVEL;                // dBov of the last frame
+    this.hangoverLeft = 0;                               // ms
+    this.active = false;
+  }
+
+  /**
+   * Classify a frame of 16-bit PCM; returns true while in a talkspurt
+   */
+  process(pcm) {
+    const samples = pcm.length >> 1;
+    if (samples === 0) return this.active;
+    
+    const level = measureLevel(pcm);
+    const frameMs = samples * 1000 / this.sampleRate;
+    const speech = level > Math.max(this.noiseLevel + this.threshold, this.minSpeechLevel);
+    
+    this.updateNoise(level, speech);
+    this.level = level;
+    
+    if (speech) {
+      this.hangoverLeft = this.hangover;
+      this.active = true;
+    } else if (this.hangoverLeft > 0) {
+      this.hangoverLeft -= frameMs;
+    } else {
+      this.active = false;
+    }
+    
+    return this.active;
+  }
+
+  /**
+   * Track the background: fall fast to quiet frames, creep up otherwise
+   */
+  updateNoise(level, speech) {
+    if (level < this.noiseLevel) {
+      this.noiseLevel += (level - this.noiseLevel) * VAD_CONSTANTS.NOISE_FALL;
+    } else {
+      const rise = speech ? VAD_CONSTANTS.NOISE_RISE_SPEECH : VAD_CONSTANTS.NOISE_RISE;
+      this.noiseLevel += (level - this.noiseLevel) * rise;
+    }
+  }
+}
+
+/**
+ * Level of a frame of 16-bit PCM in dBov, down to MIN_LEVEL for digital silence
+ */
+export function measureLevel(pcm) {
+  const samples = pcm.length >> 1;
+  if (samples === 0) return VAD_CONSTANTS.MIN_LEVEL;
+
+  let energy = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2);
+    energy += sample * sample;
+  }
+
+  const rms = Math.sqrt(energy / samples);
+  if (rms === 0) return VAD_CONSTANTS.MIN_LEVEL;
+  return Math.max(VAD_CONSTANTS.MIN_LEVEL, 20 * Math.log10(rms / VAD_CONSTANTS.FULL_SCALE));
+}
+
+export const VAD_CONSTANTS = {
+  FULL_SCALE: 32767,          // rms of a full-scale square wave: 0 dBov
+  MIN_LEVEL: -127,            // dBov, the lowest level a SID frame can carry
+  INITIAL_NOISE_LEVEL: -70,   // dBov
+  MIN_SPEECH_LEVEL: -55,      // dBov; anything quieter is never speech
+  THRESHOLD: 9,               // dB above the noise estimate
+  HANGOVER: 200,              // ms of talkspurt kept after the last speech frame
+  NOISE_FALL: 0.2,            // fraction of the gap closed per frame
+  NOISE_RISE: 0.05,
+  NOISE_RISE_SPEECH: 0.01
+};
@@ -0,0 +1,267 @@
+/**
+ * RTP Port Allocator
+ * Hands out RTP/RTCP port pairs from a configured range, one socket pair per media stream
+ *
+ * RTP uses an even port and RTCP the odd port right above it (RFC 3550 §11).
+ * A pair is only handed out once both sockets are actually bound, so ports
+ * taken by other programs are skipped. Ports are handed out round-robin so a
+ * just-released pair isn't reused while stray packets for the old call may
+ * still arrive.
+ */
+
+import { EventEmitter } from 'events';
+import dgram from 'dgram';
+
+/**
+ * The RTP and RTCP sockets of one media stream
+ *
+ * Events:
+ * - 'rtp' (data, rinfo): packet received on the RTP port
+ * - 'rtcp' (data, rinfo): packet received on the RTCP port
+ */
+export class RTPSocketPair extends EventEmitter {
+  constructor(key, rtpPort) {
+    super();
+    
+    this.key = key;
+    this.rtpPort = rtpPort;
+    this.rtcpPort = rtpPort + 1;
+    this.rtpSocket = null;
+    this.rtcpSocket = null;
+    
+    this.stats = {
+      rtpPacketsReceived: 0,
+      rtcpPacketsReceived: 0,
+      rtpPacketsSent: 0,
+      rtcpPacketsSent: 0
+    };
+  }
+
+  /**
+   * Bind both sockets; fails (closing what was bound) if either port is taken
+   */
+  async bind(host) {
+    try {
+      this.rtpSocket = await this.bindSocket(host, this.rtpPort, 'rtp');
+      this.rtcpSocket = await this.bindSocket(host, this.rtcpPort, 'rtcp');
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Bind one socket and forward what it receives
+   */
+  bindSocket(host, port, kind) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      
+      socket.once('error', reject);
+      socket.bind(port, host, () => {
+        socket.off('error', reject);
+        
+        socket.on('error', (error) => {
+          console.error(`${kind.toUpperCase()} socket error on port ${port}:`, error);
+        });
+        socket.on('message', (msg, rinfo) => {
+          this.stats[`${kind}PacketsReceived`]++;
+          this.emit(kind, msg, rinfo);
+        });
+        
+        resolve(socket);
+      });
+    });
+  }
+
+  /**
+   * Send an RTP packet from this stream's RTP port (symmetric RTP)
+   */
+  sendRTP(data, host, port) {
+    this.send(this.rtpSocket, data, host, port);
+    this.stats.rtpPacketsSent++;
+  }
+
+  /**
+   * Send an RTCP packet from this stream's RTCP port
+   */
+  sendRTCP(data, host, port) {
+    this.send(this.rtcpSocket, data, host, port);
+    this.stats.rtcpPacketsSent++;
+  }
+
+  /**
+   * Send a datagram on one of the sockets
+   */
+  send(socket, data, host, port) {
+    if (!socket) {
+      throw new Error(`RTP ports for ${this.key} are not bound`);
+    }
+    
+    socket.send(data, port, host, (error) => {
+      if (error) {
+        console.error(`Error sending media for ${this.key}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Close both sockets
+   */
+  close() {
+    for (const socket of [this.rtpSocket, this.rtcpSocket]) {
+      socket?.close();
+    }
+    this.rtpSocket = null;
+    this.rtcpSocket = null;
+    this.emit('closed');
+  }
+}
+
+export class RTPPortAllocator {
+  constructor(options = {}) {
+    this.host = options.host || '0.0.0.0';
+    
+    // First RTP port (rounded up to even) and last usable RTCP port
+    const minPort = options.minPort ?? RTP_PORT_CONSTANTS.MIN_PORT;
+    this.minPort = minPort % 2 === 0 ? minPort : minPort + 1;
+    this.maxPort = options.maxPort ?? RTP_PORT_CONSTANTS.MAX_PORT;
+    
+    if (this.maxPort <= this.minPort) {
+      throw new Error(`Invalid RTP port range ${this.minPort}-${this.maxPort}`);
+    }
+    
+    // key -> RTPSocketPair
+    this.allocations = new Map();
+    // key -> promise of the pair still being bound, shared by concurrent callers
+    this.pending = new Map();
+    // Keys released while their pair was still being bound
+    this.cancelled = new Set();
+    // Even ports that are bound or being bound
+    this.reserved = new Set();
+    this.nextPort = this.minPort;
+    
+    this.stats = {
+      allocations: 0,
+      releases: 0,
+      bindFailures: 0,
+      exhausted: 0
+    };
+  }
+
+  /**
+   * Number of RTP/RTCP pairs in the range
+   */
+  getCapacity() {
+    return Math.floor((this.maxPort - this.minPort + 1) / 2);
+  }
+
+  /**
+   * Reserve and bind a port pair for a media stream
+   * Returns the socket pair, or null if every pair in the range is in use
+   * or the stream was released before its pair was bound
+   */
+  async allocate(key) {
+    if (this.allocations.has(key)) {
+      return this.allocations.get(key);
+    }
+    
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.bindPair(key).then((pair) => {
+        this.pending.delete(key);
+        
+        // Nobody is left to free a pair released while it was being bound
+        if (this.cancelled.delete(key) && pair) {
+          this.release(key);
+          return null;
+        }
+        return pair;
+      }));
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * Find a free port pair in the range and bind it
+   */
+  async bindPair(key) {
+    for (let attempt = 0; attempt < this.getCapacity(); attempt++) {
+      const port = this.nextPort;
+      this.nextPort = port + 3 > this.maxPort ? this.minPort : port + 2;
+      
+      if (this.reserved.has(port)) continue;
+      this.reserved.add(port);
+      
+      const pair = new RTPSocketPair(key, port);
+      try {
+        await pair.bind(this.host);
+      } catch (error) {
+        // Taken by someone else; try the next pair
+        this.reserved.delete(port);
+        this.stats.bindFailures++;
+        continue;
+      }
+      
+      this.allocations.set(key, pair);
+      this.stats.allocations++;
+      return pair;
+    }
+    
+    this.stats.exhausted++;
+    console.warn(`No free RTP port pair in ${this.minPort}-${this.maxPort} for ${key}`);
+    return null;
+  }
+
+  /**
+   * Get the socket pair allocated to a stream
+   */
+  get(key) {
+    return this.allocations.get(key) || null;
+  }
+
+  /**
+   * Close a stream's sockets and return its ports to the pool
+   */
+  release(key) {
+    const pair = this.allocations.get(key);
+    if (!pair) {
+      // Still being bound: allocate() closes it once the bind completes
+      if (this.pending.has(key)) {
+        this.cancelled.add(key);
+        return true;
+      }
+      return false;
+    }
+    
+    pair.close();
+    this.allocations.delete(key);
+    this.reserved.delete(pair.rtpPort);
+    this.stats.releases++;
+    return true;
+  }
+
+  /**
+   * Release every allocation, including those still being bound
+   */
+  releaseAll() {
+    for (const key of [...this.allocations.keys(), ...this.pending.keys()]) {
+      this.release(key);
+    }
+  }
+
+  /**
+   * Get allocator statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      inUse: this.allocations.size,
+      capacity: this.getCapacity()
+    };
+  }
+}
+
+export const RTP_PORT_CONSTANTS = {
+  MIN_PORT: 10000,
+  MAX_PORT: 20000
+};
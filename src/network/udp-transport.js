@@ -7,6 +7,7 @@ import { EventEmitter } from 'events';
 import dgram from 'dgram';
 import { SIPMessage } from '../sip/sip-message.js';
 import { RTPPacket } from '../rtp/rtp-packet.js';
+import { RTPPortAllocator } from './rtp-port-allocator.js';
 
 export class UDPTransport extends EventEmitter {
   constructor(options = {}) {
@@ -16,9 +17,19 @@ export class UDPTransport extends EventEmitter {
     this.sipPort = options.sipPort || 5060;
     this.rtpPort = options.rtpPort || 10000;
     this.rtpPortRange = options.rtpPortRange || 100;
+    // RTCP for the shared RTP socket is optional (per-stream pairs carry their own)
+    this.rtcpPort = options.rtcpPort || null;
+    
+    // Per-stream RTP/RTCP pairs come from the range above the shared RTP port
+    this.portAllocator = new RTPPortAllocator({
+      host: this.host,
+      minPort: options.rtpPortMin ?? this.rtpPort + 2,
+      maxPort: options.rtpPortMax ?? this.rtpPort + this.rtpPortRange - 1
+    });
     
     this.sipSocket = null;
     this.rtpSocket = null;
+    this.rtcpSocket = null;
     this.isBound = false;
     
     // Connection tracking
@@ -31,6 +42,8 @@ export class UDPTransport extends EventEmitter {
       sipPacketsReceived: 0,
       rtpPacketsSent: 0,
       rtpPacketsReceived: 0,
+      rtcpPacketsSent: 0,
+      rtcpPacketsReceived: 0,
       bytesSent: 0,
       bytesReceived: 0,
       errors: 0
@@ -44,6 +57,9 @@ export class UDPTransport extends EventEmitter {
     try {
       await this.bindSIPSocket();
       await this.bindRTPSocket();
+      if (this.rtcpPort) {
+        await this.bindRTCPSocket();
+      }
       this.isBound = true;
       
       console.log(`UDP Transport bound - SIP: ${this.host}:${this.sipPort}, RTP: ${this.host}:${this.rtpPort}`);
@@ -118,6 +134,35 @@ export class UDPTransport extends EventEmitter {
     });
   }
 
+  /**
+   * Bind RTCP socket
+   */
+  async bindRTCPSocket() {
+    return new Promise((resolve, reject) => {
+      this.rtcpSocket = dgram.createSocket('udp4');
+      
+      this.rtcpSocket.once('error', reject);
+      this.rtcpSocket.bind(this.rtcpPort, this.host, () => {
+        this.rtcpSocket.off('error', reject);
+        
+        this.rtcpSocket.on('error', (error) => {
+          console.error('RTCP socket error:', error);
+          this.stats.errors++;
+          this.emit('error', error);
+        });
+        
+        this.rtcpSocket.on('message', (msg, rinfo) => {
+          this.stats.rtcpPacketsReceived++;
+          this.stats.bytesReceived += msg.length;
+          this.emit('rtcpData', msg, rinfo);
+        });
+        
+        console.log(`RTCP socket listening on ${this.host}:${this.rtcpPort}`);
+        resolve();
+      });
+    });
+  }
+
   /**
    * Handle incoming SIP message
    */
@@ -242,22 +287,51 @@ export class UDPTransport extends EventEmitter {
   }
 
   /**
-   * Get available RTP port
+   * Send a compound RTCP packet
+   */
+  sendRTCPData(data, host, port) {
+    if (!this.isBound || !this.rtcpSocket) {
+      throw new Error('RTCP socket not bound');
+    }
+    
+    this.rtcpSocket.send(data, port, host, (error) => {
+      if (error) {
+        console.error('Error sending RTCP data:', error);
+        this.stats.errors++;
+      } else {
+        this.stats.rtcpPacketsSent++;
+        this.stats.bytesSent += data.length;
+      }
+    });
+  }
+
+  /**
+   * Reserve and bind an RTP/RTCP port pair for a media stream; null when the range is exhausted
    */
-  getAvailableRTPPort() {
-    // Simple port allocation - in production, you'd want more sophisticated port management
-    return this.rtpPort + Math.floor(Math.random() * this.rtpPortRange);
+  async allocateRTPPorts(key) {
+    return this.portAllocator.allocate(key);
   }
 
   /**
-   * Create RTP session
+   * Close a media stream's port pair and return it to the range
    */
-  createRTPSession(ssrc, remoteHost, remotePort) {
+  releaseRTPPorts(key) {
+    return this.portAllocator.release(key);
+  }
+
+  /**
+   * Create RTP session on its own port pair; null when no ports are free
+   */
+  async createRTPSession(ssrc, remoteHost, remotePort) {
+    const ports = await this.allocateRTPPorts(ssrc);
+    if (!ports) return null;
+    
     const session = {
       ssrc,
       remoteHost,
       remotePort,
-      localPort: this.getAvailableRTPPort(),
+      localPort: ports.rtpPort,
+      rtcpPort: ports.rtcpPort,
       packetsSent: 0,
       packetsReceived: 0,
       bytesSent: 0,
@@ -285,6 +359,7 @@ export class UDPTransport extends EventEmitter {
     const session = this.rtpSessions.get(ssrc);
     if (session) {
       this.rtpSessions.delete(ssrc);
+      this.releaseRTPPorts(ssrc);
       this.emit('rtpSessionRemoved', session);
     }
   }
@@ -298,8 +373,10 @@ export class UDPTransport extends EventEmitter {
       isBound: this.isBound,
       sipPort: this.sipPort,
       rtpPort: this.rtpPort,
+      rtcpPort: this.rtcpPort,
       activeConnections: this.connections.size,
-      activeRTPSessions: this.rtpSessions.size
+      activeRTPSessions: this.rtpSessions.size,
+      rtpPorts: this.portAllocator.getStats()
     };
   }
 
@@ -350,6 +427,12 @@ export class UDPTransport extends EventEmitter {
       this.rtpSocket = null;
     }
     
+    if (this.rtcpSocket) {
+      this.rtcpSocket.close();
+      this.rtcpSocket = null;
+    }
+    
+    this.portAllocator.releaseAll();
     this.connections.clear();
     this.rtpSessions.clear();
     
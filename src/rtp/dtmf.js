@@ -0,0 +1,259 @@
+/**
+ * DTMF over RTP
+ * Telephone-event payloads following RFC 4733
+ *
+ * Event payload (4 bytes):
+ * - Event (8 bits): 0-9, * = 10, # = 11, A-D = 12-15, flash = 16
+ * - E (1 bit): end of event
+ * - R (1 bit): reserved
+ * - Volume (6 bits): power level in -dBm0 (0-63)
+ * - Duration (16 bits): in RTP timestamp units since the event started
+ *
+ * All packets of one event carry the RTP timestamp of its start. The first
+ * has the marker bit set; later ones extend the duration, and the final
+ * packet (E bit set) is sent three times in case it is lost (RFC 4733 §2.5.1.4).
+ *
+ * The same key presses can also be signaled out of band in SIP INFO bodies:
+ * - application/dtmf-relay: "Signal=5\r\nDuration=160\r\n" (duration in ms)
+ * - application/dtmf: just the digit (or its event code)
+ */
+
+import { EventEmitter } from 'events';
+
+export class DTMF {
+  /**
+   * Event code for a digit (0-9, *, #, A-D, or '!' for flash), or null
+   */
+  static eventCode(digit) {
+    const code = DTMF_EVENTS.indexOf(String(digit).toUpperCase());
+    return code === -1 ? null : code;
+  }
+
+  /**
+   * Digit for an event code, or null for events we don't name
+   */
+  static digit(eventCode) {
+    return DTMF_EVENTS[eventCode] ?? null;
+  }
+
+  /**
+   * Build a telephone-event payload
+   */
+  static encodePayload({ event, end = false, volume = DTMF_CONSTANTS.DEFAULT_VOLUME, duration = 0 }) {
+    const payload = Buffer.alloc(4);
+    
+    payload[0] = event & 0xFF;
+    payload[1] = (end ? 0x80 : 0) | (volume & 0x3F);
+    payload.writeUInt16BE(Math.min(duration, 0xFFFF), 2);
+    
+    return payload;
+  }
+
+  /**
+   * Parse a telephone-event payload
+   */
+  static parsePayload(payload) {
+    if (!payload || payload.length < 4) {
+      throw new Error('Telephone-event payload too short');
+    }
+    
+    return {
+      event: payload[0],
+      end: (payload[1] & 0x80) !== 0,
+      volume: payload[1] & 0x3F,
+      duration: payload.readUInt16BE(2)
+    };
+  }
+
+  /**
+   * Payloads for one digit, one per packet interval: a marker packet, duration
+   * updates, then the end packet three times
+   */
+  static createEventPayloads(digit, options = {}) {
+    const event = DTMF.eventCode(digit);
+    if (event === null) {
+      throw new Error(`Invalid DTMF digit: ${digit}`);
+    }
+    
+    const clockRate = options.clockRate || 8000;
+    const ptime = options.ptime || 20;
+    const volume = options.volume ?? DTMF_CONSTANTS.DEFAULT_VOLUME;
+    const totalDuration = Math.round((options.duration || DTMF_CONSTANTS.DEFAULT_DURATION) * clockRate / 1000);
+    const step = Math.round(ptime * clockRate / 1000);
+    const payloads = [];
+    
+    // Progress packets while the tone is on
+    for (let duration = step; duration < totalDuration; duration += step) {
+      payloads.push({ payload: DTMF.encodePayload({ event, volume, duration }), marker: payloads.length === 0 });
+    }
+    
+    for (let i = 0; i < DTMF_CONSTANTS.END_RETRANSMISSIONS; i++) {
+      payloads.push({
+        payload: DTMF.encodePayload({ event, end: true, volume, duration: totalDuration }),
+        marker: payloads.length === 0
+      });
+    }
+    
+    return payloads;
+  }
+
+  /**
+   * Body for a SIP INFO carrying one digit
+   */
+  static createInfoBody(digit, options = {}) {
+    if (DTMF.eventCode(digit) === null) {
+      throw new Error(`Invalid DTMF digit: ${digit}`);
+    }
+    
+    const contentType = options.contentType || DTMF_CONTENT_TYPES.RELAY;
+    if (contentType === DTMF_CONTENT_TYPES.DTMF) {
+      return `${digit}\r\n`;
+    }
+    
+    const duration = options.duration || DTMF_CONSTANTS.DEFAULT_DURATION;
+    return `Signal=${digit}\r\nDuration=${duration}\r\n`;
+  }
+
+  /**
+   * Parse a SIP INFO body into { digit, event, duration }; null if it carries no valid digit
+   */
+  static parseInfoBody(contentType, body) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const text = String(body || '').trim();
+    let signal;
+    let duration = null;
+    
+    if (type === DTMF_CONTENT_TYPES.RELAY) {
+      for (const line of text.split(/\r?\n/)) {
+        const separator = line.indexOf('=');
+        if (separator === -1) continue;
+        
+        const name = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        if (name === 'signal') signal = value;
+        if (name === 'duration') duration = parseInt(value, 10);
+      }
+    } else if (type === DTMF_CONTENT_TYPES.DTMF) {
+      signal = text;
+    } else {
+      return null;
+    }
+    
+    if (!signal) return null;
+    
+    // Some senders use event codes (10 for *, 11 for #, 16 for flash) instead of characters
+    const event = /^\d+$/.test(signal) ? parseInt(signal, 10) : DTMF.eventCode(signal);
+    const digit = DTMF.digit(event);
+    if (event === null || digit === null) return null;
+    
+    return {
+      digit,
+      event,
+      duration: Number.isFinite(duration) && duration > 0 ? duration : DTMF_CONSTANTS.DEFAULT_DURATION
+    };
+  }
+}
+
+/**
+ * Turns received telephone-event packets into one 'dtmf' event per key press
+ *
+ * Events:
+ * - 'dtmf' ({ digit, event, duration, volume, timestamp }): duration in ms
+ */
+export class DTMFReceiver extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.clockRate = options.clockRate || 8000;
+    // The event in progress and the last one reported, keyed by RTP timestamp
+    this.current = null;
+    this.lastReported = null;
+    
+    this.stats = {
+      events: 0,
+      packets: 0,
+      duplicates: 0,
+      invalid: 0
+    };
+  }
+
+  /**
+   * Handle a telephone-event RTP packet
+   */
+  receive(packet) {
+    let info;
+    try {
+      info = DTMF.parsePayload(packet.payload);
+    } catch (error) {
+      this.stats.invalid++;
+      return;
+    }
+    
+    this.stats.packets++;
+    const timestamp = packet.timestamp;
+    
+    // Retransmitted end packets of an event already reported
+    if (timestamp === this.lastReported) {
+      this.stats.duplicates++;
+      return;
+    }
+    
+    // A new event while the previous one never saw its end: report what we had
+    if (this.current && this.current.timestamp !== timestamp) {
+      this.report();
+    }
+    
+    if (!this.current) {
+      this.current = { timestamp, event: info.event, duration: 0, volume: info.volume };
+    }
+    this.current.duration = Math.max(this.current.duration, info.duration);
+    this.current.volume = info.volume;
+    
+    if (info.end) {
+      this.report();
+    }
+  }
+
+  /**
+   * Emit the event in progress
+   */
+  report() {
+    const current = this.current;
+    this.current = null;
+    this.lastReported = current.timestamp;
+    this.stats.events++;
+    
+    this.emit('dtmf', {
+      digit: DTMF.digit(current.event),
+      event: current.event,
+      duration: current.duration * 1000 / this.clockRate,
+      volume: current.volume,
+      timestamp: current.timestamp
+    });
+  }
+
+  /**
+   * Report an event whose end packets never arrived (e.g. when the stream stops)
+   */
+  flush() {
+    if (this.current) {
+      this.report();
+    }
+  }
+}
+
+// Event codes 0-16 (RFC 4733 §3.2); '!' stands for flash
+export const DTMF_EVENTS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '#', 'A', 'B', 'C', 'D', '!'];
+
+// SIP INFO body formats we read and write
+export const DTMF_CONTENT_TYPES = {
+  RELAY: 'application/dtmf-relay',
+  DTMF: 'application/dtmf'
+};
+
+export const DTMF_CONSTANTS = {
+  DEFAULT_DURATION: 100,   // ms
+  DEFAULT_GAP: 50,         // ms between digits
+  DEFAULT_VOLUME: 10,      // -dBm0
+  END_RETRANSMISSIONS: 3
+};
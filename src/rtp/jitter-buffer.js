@@ -0,0 +1,421 @@
+/**
+ * Adaptive Jitter Buffer
+ * Holds received RTP packets and plays them out one frame per ptime on a clock
+ *
+ * The clock counts ticks from the time it was started rather than trusting
+ * the timer, so a timer callback that runs late plays every frame that has
+ * come due and playout does not drift behind the sender.
+ *
+ * Packets are slotted by RTP timestamp. A talkspurt (the first packet, or a
+ * packet with the marker bit once the previous talkspurt has drained) is held
+ * for the target delay before playout starts; the target follows the
+ * interarrival jitter passed in with each packet (RFC 3550 A.8, as measured by
+ * RTPSource) and is only changed at those boundaries, where the silence hides
+ * the shift.
+ *
+ * Within a talkspurt each tick plays the frame due at the playout point:
+ * - a missing frame with later frames buffered is lost: the clock moves on
+ * - an empty buffer is an underrun: the clock holds, adding one ptime of delay
+ * - packets for slots already played are late and discarded
+ * - a backlog beyond the target (or the size limit) is an overrun: the oldest
+ *   frames are dropped to catch up
+ * - a timestamp jump between consecutive sequence numbers (a sender restart
+ *   or a new source) rebases the stream instead of waiting for the gap
+ *
+ * After a comfort noise (SID) frame the sender is silent on purpose (RFC 3389):
+ * empty ticks are silence rather than underruns, and playout keeps going
+ * until the next talkspurt arrives.
+ *
+ * Events:
+ * - 'frame' (packet): next frame to play
+ * - 'missing' ({ timestamp, sequenceNumber }): a frame that never arrived in time
+ * - 'silence' ({ timestamp, sequenceNumber }): a slot to fill with comfort noise
+ */
+
+import { EventEmitter } from 'events';
+
+export class JitterBuffer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.clockRate = options.clockRate || 8000;
+    this.ptime = options.ptime || 20; // ms per frame
+    this.minDelay = options.minDelay ?? JITTER_BUFFER_CONSTANTS.MIN_DELAY;
+    this.maxDelay = options.maxDelay ?? JITTER_BUFFER_CONSTANTS.MAX_DELAY;
+    this.maxPackets = options.maxPackets || JITTER_BUFFER_CONSTANTS.MAX_PACKETS;
+    this.targetDelay = this.clampDelay(options.initialDelay ?? JITTER_BUFFER_CONSTANTS.INITIAL_DELAY);
+    this.comfortNoisePayloadType = options.comfortNoisePayloadType ?? null;
+    
+    // Stream timestamp -> { packet, arrivalTime }; timestamps are rebased by offset
+    this.frames = new Map();
+    this.offset = 0;
+    this.state = 'idle'; // idle | buffering | playing
+    this.playoutTimestamp = 0;
+    this.playoutSequence = 0;
+    this.talkspurtStart = 0;
+    this.emptyTicks = 0;
+    this.silent = false; // the last frame played was a SID
+    this.timer = null;
+    this.clockStart = 0;
+    this.ticks = 0; // ticks run since clockStart
+    
+    // Last packet received, for jump detection
+    this.lastPacket = null;
+    // Interarrival jitter in ms, as last given with a packet
+    this.jitter = 0;
+    this.jitterSamples = 0;
+    
+    this.stats = {
+      framesPlayed: 0,
+      framesMissing: 0,
+      underruns: 0,
+      overruns: 0,
+      late: 0,
+      duplicates: 0,
+      timestampJumps: 0,
+      talkspurts: 0,
+      silenceFrames: 0
+    };
+  }
+
+  /**
+   * Number of buffered packets
+   */
+  get size() {
+    return this.frames.size;
+  }
+
+  /**
+   * RTP timestamp units per frame
+   */
+  getSamplesPerFrame() {
+    return Math.round(this.clockRate * this.ptime / 1000);
+  }
+
+  /**
+   * Update the frame duration or clock rate after renegotiation
+   */
+  configure(options = {}) {
+    if (options.clockRate) this.clockRate = options.clockRate;
+    if (options.comfortNoisePayloadType !== undefined) this.comfortNoisePayloadType = options.comfortNoisePayloadType;
+    if (options.ptime && options.ptime !== this.ptime) {
+      this.ptime = options.ptime;
+      if (this.timer) {
+        this.stop();
+        this.start();
+      }
+    }
+  }
+
+  /**
+   * Start the playout clock
+   */
+  start() {
+    if (this.timer) return;
+    
+    this.clockStart = Date.now();
+    this.ticks = 0;
+    this.timer = setInterval(() => this.runClock(), this.ptime);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Run every tick that is due by now, each at its own time on the clock
+   */
+  runClock(now = Date.now()) {
+    const due = Math.floor((now - this.clockStart) / this.ptime);
+    
+    // After a stall longer than the buffer can hold (a blocked event loop),
+    // carry on from now instead of playing out a burst
+    if (due - this.ticks > this.maxDelay / this.ptime) {
+      this.ticks = due - 1;
+    }
+    
+    while (this.ticks < due) {
+      this.ticks++;
+      this.tick(this.clockStart + this.ticks * this.ptime);
+    }
+  }
+
+  /**
+   * Stop the playout clock
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Drop everything buffered and wait for a new talkspurt
+   */
+  clear() {
+    this.frames.clear();
+    this.state = 'idle';
+    this.lastPacket = null;
+    this.emptyTicks = 0;
+    this.silent = false;
+  }
+
+  /**
+   * Add a received packet, with the source's interarrival jitter in ms if known
+   */
+  push(packet, arrivalTime = Date.now(), jitter = null) {
+    if (jitter !== null) {
+      this.jitter = jitter;
+      this.jitterSamples++;
+    }
+    this.detectJump(packet);
+    this.lastPacket = packet;
+    
+    const timestamp = (packet.timestamp + this.offset) >>> 0;
+    
+    if (this.state === 'playing' && timestampDiff(timestamp, this.playoutTimestamp) < 0) {
+      // Its slot has already been played (or concealed)
+      this.stats.late++;
+      return false;
+    }
+    
+    if (this.frames.has(timestamp)) {
+      this.stats.duplicates++;
+      return false;
+    }
+    
+    // A new talkspurt once nothing of the previous one is left to play
+    if (this.state === 'idle' || (packet.marker && !this.hasFramesBefore(timestamp))) {
+      this.beginTalkspurt(timestamp, arrivalTime);
+    }
+    
+    this.frames.set(timestamp, { packet, arrivalTime });
+    this.trimOverrun();
+    return true;
+  }
+
+  /**
+   * Hold a talkspurt for the target delay before it starts playing
+   */
+  beginTalkspurt(timestamp, arrivalTime) {
+    // Keep the initial delay until there is a jitter estimate to go on
+    if (this.jitterSamples >= JITTER_BUFFER_CONSTANTS.MIN_JITTER_SAMPLES) {
+      this.targetDelay = this.clampDelay(this.computeTargetDelay());
+    }
+    this.state = 'buffering';
+    this.talkspurtStart = arrivalTime;
+    this.playoutTimestamp = timestamp;
+    this.emptyTicks = 0;
+    this.stats.talkspurts++;
+  }
+
+  /**
+   * Play out the frame that is due; run once per ptime by the clock
+   */
+  tick(now = Date.now()) {
+    if (this.state === 'idle') return;
+    
+    if (this.state === 'buffering') {
+      if (now - this.talkspurtStart < this.targetDelay) {
+        // Comfort noise carries on while the next talkspurt fills up
+        if (this.silent) this.emitSilence();
+        return;
+      }
+      
+      // Start from the earliest frame that made it into the talkspurt
+      this.playoutTimestamp = this.getEarliestTimestamp() ?? this.playoutTimestamp;
+      this.state = 'playing';
+    }
+    
+    if (this.frames.size === 0 && this.silent) {
+      this.emitSilence();
+      this.playoutTimestamp = (this.playoutTimestamp + this.getSamplesPerFrame()) >>> 0;
+      return;
+    }
+    
+    if (this.frames.size === 0) {
+      // Nothing to play: hold the clock, which stretches the delay by one frame
+      this.stats.underruns++;
+      this.emptyTicks++;
+      this.emit('missing', { timestamp: this.playoutTimestamp, sequenceNumber: this.playoutSequence });
+      
+      // The sender has stopped (hangup, hold or silence suppression)
+      if (this.emptyTicks * this.ptime >= this.maxDelay) {
+        this.state = 'idle';
+      }
+      return;
+    }
+    this.emptyTicks = 0;
+    
+    const frame = this.frames.get(this.playoutTimestamp);
+    if (frame) {
+      this.frames.delete(this.playoutTimestamp);
+      this.playoutSequence = (frame.packet.sequenceNumber + 1) & 0xFFFF;
+      this.stats.framesPlayed++;
+      this.silent = frame.packet.payloadType === this.comfortNoisePayloadType;
+      this.emit('frame', frame.packet);
+    } else {
+      // Later frames are here, so this one is lost or late: move on without it
+      this.stats.framesMissing++;
+      this.emit('missing', { timestamp: this.playoutTimestamp, sequenceNumber: this.playoutSequence });
+      this.playoutSequence = (this.playoutSequence + 1) & 0xFFFF;
+    }
+    
+    this.playoutTimestamp = (this.playoutTimestamp + this.getSamplesPerFrame()) >>> 0;
+  }
+
+  /**
+   * Ask for a slot of comfort noise while the sender is silent
+   */
+  emitSilence() {
+    this.stats.silenceFrames++;
+    this.emit('silence', { timestamp: this.playoutTimestamp, sequenceNumber: this.playoutSequence });
+  }
+
+  /**
+   * Rebase the timestamps when consecutive packets jump in time (RFC 3550 §5.1)
+   */
+  detectJump(packet) {
+    const last = this.lastPacket;
+    if (!last) return;
+    
+    if (packet.ssrc !== last.ssrc) {
+      // A different sender is a new stream: its timestamps start fresh
+      this.rebase(packet, last);
+      return;
+    }
+    
+    // A talkspurt may start any time after the last one, and SID frames are
+    // only sent now and then; their gaps are silence, not a jump
+    if (packet.marker || last.payloadType === this.comfortNoisePayloadType) return;
+    
+    const sequenceDelta = (packet.sequenceNumber - last.sequenceNumber) & 0xFFFF;
+    if (sequenceDelta === 0 || sequenceDelta > JITTER_BUFFER_CONSTANTS.MAX_SEQUENCE_GAP) return;
+    
+    // Expected advance for the packets in between, plus slack for silence suppression
+    const expected = sequenceDelta * this.getSamplesPerFrame();
+    const actual = timestampDiff(packet.timestamp, last.timestamp);
+    const limit = this.maxDelay * this.clockRate / 1000;
+    
+    if (actual < 0 || actual - expected > limit) {
+      this.rebase(packet, last, sequenceDelta);
+    }
+  }
+
+  /**
+   * Map a jumped packet's timestamp to where the stream would have been
+   */
+  rebase(packet, last, sequenceDelta = 1) {
+    const lastTimestamp = (last.timestamp + this.offset) >>> 0;
+    const expected = (lastTimestamp + sequenceDelta * this.getSamplesPerFrame()) >>> 0;
+    
+    this.offset = (expected - packet.timestamp) >>> 0;
+    this.stats.timestampJumps++;
+  }
+
+  /**
+   * Catch up while the buffer holds more than it should: skip a silence gap
+   * in front of the playout point first, then drop the oldest frames
+   */
+  trimOverrun() {
+    const limit = Math.min(this.maxDelay,
+      Math.max(this.targetDelay * 2, this.targetDelay + JITTER_BUFFER_CONSTANTS.OVERRUN_SLACK));
+    
+    while (this.frames.size > this.maxPackets ||
+           (this.state === 'playing' && this.getBufferedDelay() > limit)) {
+      const earliest = this.getEarliestTimestamp();
+      
+      if (this.state === 'playing' && timestampDiff(earliest, this.playoutTimestamp) > 0) {
+        this.playoutTimestamp = earliest;
+        continue;
+      }
+      
+      this.frames.delete(earliest);
+      this.stats.overruns++;
+      if (this.state === 'playing') {
+        this.playoutTimestamp = this.getEarliestTimestamp() ?? this.playoutTimestamp;
+      }
+    }
+  }
+
+  /**
+   * Whether any buffered frame comes before a timestamp
+   */
+  hasFramesBefore(timestamp) {
+    for (const buffered of this.frames.keys()) {
+      if (timestampDiff(buffered, timestamp) < 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Earliest buffered timestamp, or null
+   */
+  getEarliestTimestamp() {
+    let earliest = null;
+    for (const timestamp of this.frames.keys()) {
+      if (earliest === null || timestampDiff(timestamp, earliest) < 0) {
+        earliest = timestamp;
+      }
+    }
+    return earliest;
+  }
+
+  /**
+   * Audio held from the playout point to the end of the newest frame, in ms
+   */
+  getBufferedDelay() {
+    let latest = null;
+    for (const timestamp of this.frames.keys()) {
+      if (latest === null || timestampDiff(timestamp, latest) > 0) {
+        latest = timestamp;
+      }
+    }
+    if (latest === null) return 0;
+    
+    const span = timestampDiff(latest, this.playoutTimestamp) + this.getSamplesPerFrame();
+    return Math.max(0, span) * 1000 / this.clockRate;
+  }
+
+  /**
+   * Delay that covers the measured jitter plus one frame of scheduling slack
+   */
+  computeTargetDelay() {
+    return this.jitter * JITTER_BUFFER_CONSTANTS.JITTER_MULTIPLIER + this.ptime;
+  }
+
+  /**
+   * Keep a delay within the configured bounds
+   */
+  clampDelay(delay) {
+    return Math.min(this.maxDelay, Math.max(this.minDelay, delay));
+  }
+
+  /**
+   * Get jitter buffer statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      state: this.state,
+      size: this.frames.size,
+      targetDelay: this.targetDelay,
+      bufferedDelay: this.getBufferedDelay(),
+      jitter: this.jitter
+    };
+  }
+}
+
+/**
+ * Signed difference between two 32-bit RTP timestamps
+ */
+function timestampDiff(a, b) {
+  return (a - b) | 0;
+}
+
+export const JITTER_BUFFER_CONSTANTS = {
+  MIN_DELAY: 20,          // ms
+  MAX_DELAY: 500,         // ms
+  INITIAL_DELAY: 60,      // ms, until jitter has been measured
+  MAX_PACKETS: 50,
+  OVERRUN_SLACK: 60,      // ms allowed beyond the target before dropping
+  JITTER_MULTIPLIER: 4,
+  MIN_JITTER_SAMPLES: 5,
+  MAX_SEQUENCE_GAP: 100
+};
@@ -0,0 +1,295 @@
+/**
+ * Media Relay
+ * Anchors a proxied call's media on the server and transcodes between its legs
+ *
+ * Each leg negotiates with the server on its own RTP port pair, so the caller
+ * and callee can end up with different codecs or packet times. Per direction:
+ * - Same codec and ptime on both legs: packets are forwarded unchanged but for
+ *   the payload type, which is renumbered to the other leg's
+ * - Otherwise audio is decoded, converted to the other codec's native format
+ *   (sample rate and channels), re-cut into the other leg's ptime and encoded.
+ *   The result is a new stream with its own SSRC, sequence numbers and a
+ *   timestamp mapped from the incoming one, so gaps in the input stay gaps.
+ * - Comfort noise and telephone-events go through as they are (renumbered,
+ *   and re-timed when transcoding) if the other leg negotiated them, and are
+ *   dropped otherwise. Events must also match in clock rate, as their
+ *   durations are in clock units.
+ *
+ * Encoders and decoders come from the codec registry, so any pair of
+ * registered codecs can be bridged. RTCP is not relayed.
+ */
+
+import { RTPPacket } from './rtp-packet.js';
+import { AudioConverter, isSameFormat } from '../codecs/resampler.js';
+
+export class MediaRelay {
+  constructor(options = {}) {
+    this.registry = options.registry;
+    // { ports, negotiated } for each leg: the leg's RTP port pair and what it negotiated with us
+    this.caller = options.caller;
+    this.callee = options.callee;
+    
+    this.streams = {
+      callerToCallee: new RelayStream(this.registry, this.caller, this.callee),
+      calleeToCaller: new RelayStream(this.registry, this.callee, this.caller)
+    };
+    this.listeners = [];
+    this.isActive = false;
+  }
+
+  /**
+   * Start relaying what arrives on each leg's RTP port to the other leg
+   */
+  start() {
+    if (this.isActive) return;
+    
+    for (const [leg, stream] of [[this.caller, this.streams.callerToCallee], [this.callee, this.streams.calleeToCaller]]) {
+      const listener = (data) => this.relay(stream, data);
+      leg.ports.on('rtp', listener);
+      this.listeners.push([leg.ports, listener]);
+    }
+    this.isActive = true;
+  }
+
+  /**
+   * Stop relaying
+   */
+  stop() {
+    for (const [ports, listener] of this.listeners) {
+      ports.removeListener('rtp', listener);
+    }
+    this.listeners = [];
+    this.isActive = false;
+  }
+
+  /**
+   * Relay one packet along a stream
+   */
+  relay(stream, data) {
+    const target = stream.target.negotiated;
+    for (const packet of stream.receive(data)) {
+      if (!target.remotePort) continue;
+      stream.target.ports.sendRTP(packet.toBuffer(), target.remoteAddress, target.remotePort);
+      stream.stats.packetsSent++;
+    }
+  }
+
+  /**
+   * Whether either direction is transcoded
+   */
+  isTranscoding() {
+    return this.streams.callerToCallee.transcoding || this.streams.calleeToCaller.transcoding;
+  }
+
+  /**
+   * Codecs on each leg and counters for each direction
+   */
+  getStats() {
+    return {
+      caller: describeFormat(this.caller.negotiated),
+      callee: describeFormat(this.callee.negotiated),
+      transcoding: this.isTranscoding(),
+      callerToCallee: { ...this.streams.callerToCallee.stats },
+      calleeToCaller: { ...this.streams.calleeToCaller.stats }
+    };
+  }
+}
+
+/**
+ * One direction of a relayed call: packets from one leg, made fit for the other
+ */
+class RelayStream {
+  constructor(registry, source, target) {
+    this.source = source;
+    this.target = target;
+    
+    const from = source.negotiated;
+    const to = target.negotiated;
+    this.transcoding = !sameCodec(from, to) || from.ptime !== to.ptime;
+    
+    this.stats = {
+      packetsReceived: 0,
+      packetsSent: 0,
+      packetsDropped: 0,
+      framesDecoded: 0,
+      framesEncoded: 0,
+      discontinuities: 0
+    };
+    
+    if (!this.transcoding) return;
+    
+    this.decoder = registry.createDecoder(from);
+    this.encoder = registry.createEncoder(to);
+    
+    // Decoded audio is converted to the target codec's native format
+    const fromFormat = { sampleRate: registry.require(from).sampleRate, channels: from.channels || 1 };
+    this.format = { sampleRate: registry.require(to).sampleRate, channels: to.channels || 1 };
+    this.converter = isSameFormat(fromFormat, this.format) ? null : new AudioConverter(fromFormat, this.format);
+    this.frameBytes = Math.round(this.format.sampleRate * to.ptime / 1000) * this.format.channels * 2;
+    
+    // The outgoing stream is our own
+    this.ssrc = Math.floor(Math.random() * 0xFFFFFFFF);
+    this.sequenceNumber = Math.floor(Math.random() * 0xFFFF);
+    this.timestampBase = null; // { input, output } at the first packet
+    
+    // Audio waiting to fill a packet of the target's ptime
+    this.pending = Buffer.alloc(0);
+    this.pendingTimestamp = 0;
+    this.markerPending = true;
+  }
+
+  /**
+   * Take a packet from the source leg; returns the packets to send to the target leg
+   */
+  receive(data) {
+    let packet;
+    try {
+      packet = RTPPacket.parse(data);
+    } catch (error) {
+      this.stats.packetsDropped++;
+      return [];
+    }
+    if (packet.version !== 2) {
+      this.stats.packetsDropped++;
+      return [];
+    }
+    this.stats.packetsReceived++;
+    
+    const from = this.source.negotiated;
+    const to = this.target.negotiated;
+    let payloadType = null;
+    
+    if (packet.payloadType === from.payloadType) {
+      if (this.transcoding) return this.transcode(packet);
+      payloadType = to.payloadType;
+    } else if (packet.payloadType === from.comfortNoise?.payloadType) {
+      payloadType = to.comfortNoise?.payloadType ?? null;
+    } else if (packet.payloadType === from.telephoneEvent?.payloadType &&
+        from.telephoneEvent.clockRate === to.telephoneEvent?.clockRate) {
+      payloadType = to.telephoneEvent.payloadType;
+    }
+    
+    if (payloadType === null) {
+      this.stats.packetsDropped++;
+      return [];
+    }
+    
+    if (this.transcoding) {
+      // Silence or a digit interrupts the audio; a partial packet is not worth sending
+      this.dropPending();
+      this.markerPending = true;
+      packet.ssrc = this.ssrc;
+      packet.sequenceNumber = this.nextSequenceNumber();
+      packet.timestamp = this.mapTimestamp(packet.timestamp);
+    }
+    packet.payloadType = payloadType;
+    return [packet];
+  }
+
+  /**
+   * Decode an audio packet and encode as many target packets as it completes
+   */
+  transcode(packet) {
+    let pcm = this.decoder.decode(packet.payload);
+    this.stats.framesDecoded++;
+    if (this.converter) {
+      pcm = this.converter.process(pcm);
+    }
+    
+    // Audio must continue where the pending audio ends (give or take rounding
+    // between clock rates), or the pending part is dropped
+    const timestamp = this.mapTimestamp(packet.timestamp);
+    if (this.pending.length > 0 && Math.abs((timestamp - this.pendingEnd()) | 0) > 1) {
+      this.stats.discontinuities++;
+      this.dropPending();
+    }
+    if (this.pending.length === 0) {
+      this.pendingTimestamp = timestamp;
+    }
+    if (packet.marker) {
+      this.markerPending = true;
+    }
+    this.pending = Buffer.concat([this.pending, pcm]);
+    
+    const packets = [];
+    while (this.pending.length >= this.frameBytes) {
+      const frame = this.pending.subarray(0, this.frameBytes);
+      this.pending = this.pending.subarray(this.frameBytes);
+      
+      const out = new RTPPacket();
+      out.payloadType = this.target.negotiated.payloadType;
+      out.ssrc = this.ssrc;
+      out.sequenceNumber = this.nextSequenceNumber();
+      out.timestamp = this.pendingTimestamp;
+      out.marker = this.markerPending;
+      out.payload = this.encoder.encode(frame);
+      packets.push(out);
+      
+      this.markerPending = false;
+      this.pendingTimestamp = (this.pendingTimestamp + this.toClock(this.frameBytes)) >>> 0;
+      this.stats.framesEncoded++;
+    }
+    return packets;
+  }
+
+  /**
+   * Target-leg timestamp for a source-leg one, scaled between the clock rates
+   */
+  mapTimestamp(timestamp) {
+    if (!this.timestampBase) {
+      this.timestampBase = { input: timestamp, output: Math.floor(Math.random() * 0xFFFFFFFF) };
+    }
+    
+    const elapsed = (timestamp - this.timestampBase.input) | 0;
+    const scaled = Math.round(elapsed * this.target.negotiated.clockRate / this.source.negotiated.clockRate);
+    return (this.timestampBase.output + scaled) >>> 0;
+  }
+
+  /**
+   * Target-leg clock units covered by bytes of target-format PCM
+   */
+  toClock(bytes) {
+    const frames = bytes / 2 / this.format.channels;
+    return Math.round(frames * this.target.negotiated.clockRate / this.format.sampleRate);
+  }
+
+  /**
+   * Timestamp just after the pending audio
+   */
+  pendingEnd() {
+    return (this.pendingTimestamp + this.toClock(this.pending.length)) >>> 0;
+  }
+
+  /**
+   * Discard audio that never filled a packet
+   */
+  dropPending() {
+    this.pending = Buffer.alloc(0);
+  }
+
+  /**
+   * Next sequence number of the outgoing stream
+   */
+  nextSequenceNumber() {
+    const sequenceNumber = this.sequenceNumber;
+    this.sequenceNumber = (this.sequenceNumber + 1) % 0x10000;
+    return sequenceNumber;
+  }
+}
+
+/**
+ * Whether two negotiated streams use the same codec
+ */
+function sameCodec(a, b) {
+  return a.encodingName.toLowerCase() === b.encodingName.toLowerCase() &&
+    a.clockRate === b.clockRate &&
+    (a.channels || 1) === (b.channels || 1);
+}
+
+/**
+ * Short description of a negotiated stream, e.g. "PCMU/8000 20ms"
+ */
+function describeFormat(negotiated) {
+  const channels = (negotiated.channels || 1) > 1 ? `/${negotiated.channels}` : '';
+  return `${negotiated.encodingName}/${negotiated.clockRate}${channels} ${negotiated.ptime}ms`;
+}
@@ -0,0 +1,487 @@
+/**
+ * RTCP Packet Class
+ * Builds and parses RTP Control Protocol packets (RFC 3550 §6)
+ *
+ * Common header (4 bytes):
+ * - Version (2 bits), Padding (1 bit)
+ * - Count (5 bits): report blocks, SDES chunks, BYE sources, or APP subtype
+ * - Packet type (8 bits): SR 200, RR 201, SDES 202, BYE 203, APP 204
+ * - Length (16 bits): in 32-bit words minus one
+ *
+ * RTCP is always sent as a compound packet: an SR or RR first, then an SDES
+ * with at least the CNAME, then optionally BYE or APP packets (RFC 3550 §6.1).
+ */
+
+export class RTCPPacket {
+  constructor(type, fields = {}) {
+    this.version = 2;
+    this.padding = false;
+    this.type = type;
+
+    // SR / RR
+    this.ssrc = fields.ssrc ?? 0;
+    this.ntpSeconds = fields.ntpSeconds ?? 0;
+    this.ntpFraction = fields.ntpFraction ?? 0;
+    this.rtpTimestamp = fields.rtpTimestamp ?? 0;
+    this.packetCount = fields.packetCount ?? 0;
+    this.octetCount = fields.octetCount ?? 0;
+    this.reports = fields.reports || [];
+
+    // SDES: [{ ssrc, items: [{ type, value }] }]
+    this.chunks = fields.chunks || [];
+
+    // BYE
+    this.sources = fields.sources || [];
+    this.reason = fields.reason ?? null;
+
+    // APP
+    this.subtype = fields.subtype ?? 0;
+    this.name = fields.name || '';
+    this.data = fields.data || Buffer.alloc(0);
+  }
+
+  /**
+   * Create a sender report
+   */
+  static createSenderReport({ ssrc, ntp, rtpTimestamp, packetCount, octetCount, reports = [] }) {
+    return new RTCPPacket(RTCPPacketTypes.SR, {
+      ssrc,
+      ntpSeconds: ntp.seconds,
+      ntpFraction: ntp.fraction,
+      rtpTimestamp,
+      packetCount,
+      octetCount,
+      reports
+    });
+  }
+
+  /**
+   * Create a receiver report
+   */
+  static createReceiverReport({ ssrc, reports = [] }) {
+    return new RTCPPacket(RTCPPacketTypes.RR, { ssrc, reports });
+  }
+
+  /**
+   * Create an SDES packet carrying a CNAME (and any other items) for one source
+   */
+  static createSourceDescription(ssrc, cname, items = []) {
+    return new RTCPPacket(RTCPPacketTypes.SDES, {
+      chunks: [{ ssrc, items: [{ type: SDESItemTypes.CNAME, value: cname }, ...items] }]
+    });
+  }
+
+  /**
+   * Create a BYE packet
+   */
+  static createBye(sources, reason = null) {
+    return new RTCPPacket(RTCPPacketTypes.BYE, { sources, reason });
+  }
+
+  /**
+   * Create an application-defined packet; name is four ASCII characters
+   */
+  static createApp({ ssrc, subtype = 0, name, data = Buffer.alloc(0) }) {
+    if (!name || name.length !== 4) {
+      throw new Error('RTCP APP name must be 4 characters');
+    }
+    if (data.length % 4 !== 0) {
+      throw new Error('RTCP APP data must be a multiple of 4 bytes');
+    }
+    return new RTCPPacket(RTCPPacketTypes.APP, { ssrc, subtype, name, data });
+  }
+
+  /**
+   * Parse one RTCP packet from the start of a buffer
+   */
+  static parse(buffer) {
+    return RTCPPacket.parseAt(buffer, 0).packet;
+  }
+
+  /**
+   * Parse a compound RTCP packet into its packets (RFC 3550 Appendix A.2 checks)
+   */
+  static parseCompound(buffer) {
+    const packets = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      const { packet, length } = RTCPPacket.parseAt(buffer, offset);
+
+      // Only the last packet of a compound may be padded
+      if (packet.padding && offset + length !== buffer.length) {
+        throw new Error('RTCP padding before the last packet');
+      }
+
+      packets.push(packet);
+      offset += length;
+    }
+
+    if (packets.length === 0) {
+      throw new Error('Empty RTCP packet');
+    }
+
+    if (packets[0].type !== RTCPPacketTypes.SR && packets[0].type !== RTCPPacketTypes.RR) {
+      throw new Error('Compound RTCP must start with SR or RR');
+    }
+
+    return packets;
+  }
+
+  /**
+   * Parse the packet at an offset; returns it with its length in bytes
+   */
+  static parseAt(buffer, offset) {
+    if (buffer.length - offset < 4) {
+      throw new Error('RTCP packet too short');
+    }
+
+    const firstByte = buffer[offset];
+    const version = firstByte >> 6;
+    if (version !== 2) {
+      throw new Error(`Unsupported RTCP version ${version}`);
+    }
+
+    const padding = (firstByte & 0x20) !== 0;
+    const count = firstByte & 0x1F;
+    const type = buffer[offset + 1];
+    const length = (buffer.readUInt16BE(offset + 2) + 1) * 4;
+
+    if (offset + length > buffer.length) {
+      throw new Error('RTCP length exceeds packet');
+    }
+
+    let end = offset + length;
+    if (padding) {
+      end -= buffer[end - 1];
+    }
+    const body = buffer.subarray(offset + 4, end);
+
+    const packet = new RTCPPacket(type);
+    packet.padding = padding;
+
+    switch (type) {
+      case RTCPPacketTypes.SR:
+        packet.ssrc = body.readUInt32BE(0);
+        packet.ntpSeconds = body.readUInt32BE(4);
+        packet.ntpFraction = body.readUInt32BE(8);
+        packet.rtpTimestamp = body.readUInt32BE(12);
+        packet.packetCount = body.readUInt32BE(16);
+        packet.octetCount = body.readUInt32BE(20);
+        packet.reports = parseReportBlocks(body, 24, count);
+        break;
+
+      case RTCPPacketTypes.RR:
+        packet.ssrc = body.readUInt32BE(0);
+        packet.reports = parseReportBlocks(body, 4, count);
+        break;
+
+      case RTCPPacketTypes.SDES:
+        packet.chunks = parseSdesChunks(body, count);
+        break;
+
+      case RTCPPacketTypes.BYE: {
+        for (let i = 0; i < count; i++) {
+          packet.sources.push(body.readUInt32BE(i * 4));
+        }
+        const reasonOffset = count * 4;
+        if (reasonOffset < body.length) {
+          const reasonLength = body[reasonOffset];
+          packet.reason = body.toString('utf8', reasonOffset + 1, reasonOffset + 1 + reasonLength);
+        }
+        break;
+      }
+
+      case RTCPPacketTypes.APP:
+        packet.subtype = count;
+        packet.ssrc = body.readUInt32BE(0);
+        packet.name = body.toString('ascii', 4, 8);
+        packet.data = Buffer.from(body.subarray(8));
+        break;
+
+      default:
+        // Unknown types are kept as raw data so they can be skipped
+        packet.data = Buffer.from(body);
+    }
+
+    return { packet, length };
+  }
+
+  /**
+   * Serialize several packets into one compound packet
+   */
+  static createCompound(packets) {
+    return Buffer.concat(packets.map(packet => packet.toBuffer()));
+  }
+
+  /**
+   * Convert packet to buffer
+   */
+  toBuffer() {
+    let count;
+    let body;
+
+    switch (this.type) {
+      case RTCPPacketTypes.SR: {
+        const info = Buffer.alloc(24);
+        info.writeUInt32BE(this.ssrc >>> 0, 0);
+        info.writeUInt32BE(this.ntpSeconds >>> 0, 4);
+        info.writeUInt32BE(this.ntpFraction >>> 0, 8);
+        info.writeUInt32BE(this.rtpTimestamp >>> 0, 12);
+        info.writeUInt32BE(this.packetCount >>> 0, 16);
+        info.writeUInt32BE(this.octetCount >>> 0, 20);
+        count = this.reports.length;
+        body = Buffer.concat([info, ...this.reports.map(writeReportBlock)]);
+        break;
+      }
+
+      case RTCPPacketTypes.RR: {
+        const ssrc = Buffer.alloc(4);
+        ssrc.writeUInt32BE(this.ssrc >>> 0, 0);
+        count = this.reports.length;
+        body = Buffer.concat([ssrc, ...this.reports.map(writeReportBlock)]);
+        break;
+      }
+
+      case RTCPPacketTypes.SDES:
+        count = this.chunks.length;
+        body = Buffer.concat(this.chunks.map(writeSdesChunk));
+        break;
+
+      case RTCPPacketTypes.BYE: {
+        const sources = Buffer.alloc(this.sources.length * 4);
+        this.sources.forEach((ssrc, i) => sources.writeUInt32BE(ssrc >>> 0, i * 4));
+        count = this.sources.length;
+        body = sources;
+
+        if (this.reason) {
+          const reason = Buffer.from(this.reason, 'utf8').subarray(0, 255);
+          body = padToWord(Buffer.concat([sources, Buffer.from([reason.length]), reason]));
+        }
+        break;
+      }
+
+      case RTCPPacketTypes.APP: {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(this.ssrc >>> 0, 0);
+        header.write(this.name.padEnd(4).substring(0, 4), 4, 'ascii');
+        count = this.subtype;
+        body = Buffer.concat([header, this.data]);
+        break;
+      }
+
+      default:
+        count = 0;
+        body = padToWord(this.data);
+    }
+
+    if (count > 31) {
+      throw new Error(`Too many items for one RTCP packet: ${count}`);
+    }
+
+    const header = Buffer.alloc(4);
+    header[0] = (this.version << 6) | count;
+    header[1] = this.type;
+    header.writeUInt16BE(body.length / 4, 2);
+
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Get the CNAME of the first SDES chunk, if any
+   */
+  getCname() {
+    const item = this.chunks[0]?.items.find(entry => entry.type === SDESItemTypes.CNAME);
+    return item ? item.value : null;
+  }
+}
+
+/**
+ * Parse report blocks (24 bytes each)
+ */
+function parseReportBlocks(body, offset, count) {
+  const reports = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = offset + i * 24;
+    if (start + 24 > body.length) {
+      throw new Error('RTCP report block truncated');
+    }
+
+    reports.push({
+      ssrc: body.readUInt32BE(start),
+      fractionLost: body[start + 4],
+      // Cumulative loss is a signed 24-bit number (duplicates can make it negative)
+      packetsLost: body.readIntBE(start + 5, 3),
+      highestSequence: body.readUInt32BE(start + 8),
+      jitter: body.readUInt32BE(start + 12),
+      lastSR: body.readUInt32BE(start + 16),
+      delaySinceLastSR: body.readUInt32BE(start + 20)
+    });
+  }
+
+  return reports;
+}
+
+/**
+ * Serialize one report block
+ */
+function writeReportBlock(report) {
+  const block = Buffer.alloc(24);
+
+  block.writeUInt32BE(report.ssrc >>> 0, 0);
+  block[4] = Math.max(0, Math.min(255, report.fractionLost || 0));
+  // Clamp to the signed 24-bit range
+  block.writeIntBE(Math.max(-0x800000, Math.min(0x7FFFFF, report.packetsLost || 0)), 5, 3);
+  block.writeUInt32BE((report.highestSequence || 0) >>> 0, 8);
+  block.writeUInt32BE((report.jitter || 0) >>> 0, 12);
+  block.writeUInt32BE((report.lastSR || 0) >>> 0, 16);
+  block.writeUInt32BE((report.delaySinceLastSR || 0) >>> 0, 20);
+
+  return block;
+}
+
+/**
+ * Parse SDES chunks: SSRC followed by items, ended by a zero byte and padded to 32 bits
+ */
+function parseSdesChunks(body, count) {
+  const chunks = [];
+  let offset = 0;
+
+  for (let i = 0; i < count && offset + 4 <= body.length; i++) {
+    const chunk = { ssrc: body.readUInt32BE(offset), items: [] };
+    offset += 4;
+
+    while (offset < body.length && body[offset] !== SDESItemTypes.END) {
+      const type = body[offset];
+      const length = body[offset + 1];
+      chunk.items.push({ type, value: body.toString('utf8', offset + 2, offset + 2 + length) });
+      offset += 2 + length;
+    }
+
+    // Skip the END item and the padding up to the next word
+    offset = (Math.floor(offset / 4) + 1) * 4;
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Serialize one SDES chunk
+ */
+function writeSdesChunk(chunk) {
+  const parts = [Buffer.alloc(4)];
+  parts[0].writeUInt32BE(chunk.ssrc >>> 0, 0);
+
+  for (const { type, value } of chunk.items) {
+    const text = Buffer.from(String(value), 'utf8').subarray(0, 255);
+    parts.push(Buffer.from([type, text.length]), text);
+  }
+
+  // At least one zero byte ends the item list, then pad to 32 bits
+  const items = Buffer.concat(parts);
+  const padding = 4 - (items.length % 4);
+  return Buffer.concat([items, Buffer.alloc(padding)]);
+}
+
+/**
+ * Pad a buffer with zeros to a multiple of 4 bytes
+ */
+function padToWord(buffer) {
+  const remainder = buffer.length % 4;
+  return remainder === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(4 - remainder)]);
+}
+
+/**
+ * Convert a time in ms since the Unix epoch to a 64-bit NTP timestamp
+ */
+export function toNtpTimestamp(ms = Date.now()) {
+  const seconds = Math.floor(ms / 1000);
+  const fraction = Math.floor(((ms - seconds * 1000) / 1000) * 0x100000000);
+
+  return { seconds: (seconds + NTP_EPOCH_OFFSET) >>> 0, fraction: fraction >>> 0 };
+}
+
+/**
+ * Convert an NTP timestamp back to ms since the Unix epoch
+ */
+export function fromNtpTimestamp({ seconds, fraction }) {
+  return (seconds - NTP_EPOCH_OFFSET) * 1000 + (fraction / 0x100000000) * 1000;
+}
+
+/**
+ * Middle 32 bits of an NTP timestamp, as used in LSR (units of 1/65536 s)
+ */
+export function compactNtp({ seconds, fraction }) {
+  return (((seconds & 0xFFFF) << 16) | (fraction >>> 16)) >>> 0;
+}
+
+/**
+ * Deterministic part of the RTCP transmission interval, in seconds (RFC 3550 §6.3.1, Appendix A.7)
+ *
+ * members/senders: session members and active senders (including us)
+ * rtcpBandwidth: octets per second for RTCP, normally 5% of the session bandwidth
+ * avgRtcpSize: running average compound packet size in octets, including UDP/IP headers
+ */
+export function computeRTCPInterval({ members, senders, rtcpBandwidth, weSent, avgRtcpSize, initial = false, random = Math.random }) {
+  const minTime = initial ? RTCP_CONSTANTS.MIN_INTERVAL / 2 : RTCP_CONSTANTS.MIN_INTERVAL;
+  let bandwidth = rtcpBandwidth;
+  let n = members;
+
+  // Senders share a quarter of the RTCP bandwidth when they are a small minority
+  if (senders > 0 && senders <= members * RTCP_CONSTANTS.SENDER_BW_FRACTION) {
+    if (weSent) {
+      bandwidth *= RTCP_CONSTANTS.SENDER_BW_FRACTION;
+      n = senders;
+    } else {
+      bandwidth *= RTCP_CONSTANTS.RECEIVER_BW_FRACTION;
+      n -= senders;
+    }
+  }
+
+  let interval = (avgRtcpSize * n) / bandwidth;
+  if (interval < minTime) {
+    interval = minTime;
+  }
+
+  // Randomize to [0.5, 1.5] of the interval to avoid synchronization, then
+  // compensate for the timer reconsideration algorithm converging low
+  return (interval * (random() + 0.5)) / RTCP_CONSTANTS.COMPENSATION;
+}
+
+// RTCP packet types (RFC 3550 §12.1)
+export const RTCPPacketTypes = {
+  SR: 200,
+  RR: 201,
+  SDES: 202,
+  BYE: 203,
+  APP: 204
+};
+
+// SDES item types (RFC 3550 §12.2)
+export const SDESItemTypes = {
+  END: 0,
+  CNAME: 1,
+  NAME: 2,
+  EMAIL: 3,
+  PHONE: 4,
+  LOC: 5,
+  TOOL: 6,
+  NOTE: 7,
+  PRIV: 8
+};
+
+// Seconds between 1900-01-01 (NTP epoch) and 1970-01-01 (Unix epoch)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+// RTCP timing constants (RFC 3550 §6.2, §6.3, Appendix A.7)
+export const RTCP_CONSTANTS = {
+  MIN_INTERVAL: 5,              // seconds
+  SENDER_BW_FRACTION: 0.25,
+  RECEIVER_BW_FRACTION: 0.75,
+  BANDWIDTH_FRACTION: 0.05,     // RTCP share of the session bandwidth
+  COMPENSATION: Math.E - 1.5,
+  INITIAL_AVG_SIZE: 100,        // bytes, a guess at the first compound packet
+  UDP_IP_OVERHEAD: 28           // bytes added to each compound packet
+};
@@ -0,0 +1,166 @@
+/**
+ * RTP Demultiplexer
+ * Routes packets arriving on a shared RTP port to the session they belong to
+ *
+ * A stream is identified by its SSRC together with the address and port it
+ * comes from (RFC 3550 §8.2: an SSRC alone may collide between calls).
+ * The first packet from the remote address/port a session learned from SDP
+ * binds that SSRC to the session; later packets are matched on SSRC and source.
+ * A sender that changes SSRC (e.g. after restarting) is rebound the same way.
+ *
+ * Packets that match no session are counted and dropped rather than being
+ * handed to whichever call happens to be active.
+ */
+
+import { RTP_CONSTANTS } from './rtp-packet.js';
+
+export class RTPDemultiplexer {
+  constructor() {
+    // key (e.g. Call-ID) -> { session, ssrc, onConfigured }
+    this.streams = new Map();
+    // "ssrc|address:port" -> key
+    this.ssrcIndex = new Map();
+    // Unknown streams already reported, so each is logged once
+    this.unknownStreams = new Set();
+    
+    this.stats = {
+      packetsRouted: 0,
+      unknownPackets: 0,
+      unknownStreams: 0,
+      invalidPackets: 0
+    };
+  }
+
+  /**
+   * Route a session's stream; its remote address/port come from the session's negotiated media
+   */
+  add(key, session) {
+    this.remove(key);
+    
+    // A re-INVITE can move the remote media; the SSRC is learned again from the new source
+    const onConfigured = () => this.forgetSsrc(key);
+    session.on('configured', onConfigured);
+    
+    this.streams.set(key, { session, ssrc: null, source: null, onConfigured });
+  }
+
+  /**
+   * Stop routing packets to a session
+   */
+  remove(key) {
+    const stream = this.streams.get(key);
+    if (!stream) return false;
+    
+    this.forgetSsrc(key);
+    stream.session.off('configured', stream.onConfigured);
+    this.streams.delete(key);
+    return true;
+  }
+
+  /**
+   * Find the session for a packet; returns null if it belongs to no known stream
+   */
+  route(data, rinfo) {
+    // The version lives in the top two bits of the first byte
+    if (data.length < RTP_CONSTANTS.HEADER_SIZE || (data[0] >> 6) !== RTP_CONSTANTS.VERSION) {
+      this.stats.invalidPackets++;
+      return null;
+    }
+    
+    const ssrc = data.readUInt32BE(8);
+    const source = `${normalizeAddress(rinfo.address)}:${rinfo.port}`;
+    const id = `${ssrc}|${source}`;
+    
+    let key = this.ssrcIndex.get(id);
+    if (key === undefined) {
+      key = this.findBySource(source);
+      if (key === undefined) {
+        this.countUnknown(id, ssrc, source);
+        return null;
+      }
+      this.bindSsrc(key, ssrc, source);
+    }
+    
+    this.stats.packetsRouted++;
+    return this.streams.get(key).session;
+  }
+
+  /**
+   * Find the stream whose negotiated remote address and port match a source
+   */
+  findBySource(source) {
+    for (const [key, stream] of this.streams) {
+      const { remoteAddress, remotePort } = stream.session;
+      if (remoteAddress && remotePort && `${normalizeAddress(remoteAddress)}:${remotePort}` === source) {
+        return key;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Remember which SSRC a stream's sender uses
+   */
+  bindSsrc(key, ssrc, source) {
+    const stream = this.streams.get(key);
+    
+    if (stream.ssrc !== null) {
+      console.log(`RTP stream ${key} changed SSRC ${stream.ssrc.toString(16)} -> ${ssrc.toString(16)}`);
+    }
+    this.forgetSsrc(key);
+    
+    stream.ssrc = ssrc;
+    stream.source = source;
+    this.ssrcIndex.set(`${ssrc}|${source}`, key);
+  }
+
+  /**
+   * Drop the learned SSRC of a stream
+   */
+  forgetSsrc(key) {
+    const stream = this.streams.get(key);
+    if (!stream || stream.ssrc === null) return;
+    
+    this.ssrcIndex.delete(`${stream.ssrc}|${stream.source}`);
+    stream.ssrc = null;
+    stream.source = null;
+  }
+
+  /**
+   * Count a packet from a stream no session expects
+   */
+  countUnknown(id, ssrc, source) {
+    this.stats.unknownPackets++;
+    if (this.unknownStreams.has(id)) return;
+    
+    // Bound the memory a flood of random SSRCs can take
+    if (this.unknownStreams.size >= RTP_DEMUX_CONSTANTS.MAX_UNKNOWN_STREAMS) {
+      this.unknownStreams.clear();
+    }
+    this.unknownStreams.add(id);
+    this.stats.unknownStreams++;
+    
+    console.warn(`Dropping RTP from unknown stream SSRC ${ssrc.toString(16)} (${source})`);
+  }
+
+  /**
+   * Get demultiplexing statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      streams: this.streams.size
+    };
+  }
+}
+
+/**
+ * Compare IPv4-mapped IPv6 addresses as plain IPv4
+ */
+function normalizeAddress(address) {
+  return String(address).replace(/^::ffff:/i, '');
+}
+
+export const RTP_DEMUX_CONSTANTS = {
+  MAX_UNKNOWN_STREAMS: 1000
+};
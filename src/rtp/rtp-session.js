@@ -5,6 +5,14 @@
 
 import { EventEmitter } from 'events';
 import { RTPPacket, RTPPayloadTypes } from './rtp-packet.js';
+import { RTPSource } from './rtp-source.js';
+import { JitterBuffer } from './jitter-buffer.js';
+import { DTMF, DTMFReceiver, DTMF_CONSTANTS } from './dtmf.js';
+import { codecRegistry } from '../codecs/codec-registry.js';
+import { VoiceActivityDetector } from '../codecs/vad.js';
+import { AudioConverter, isSameFormat } from '../codecs/resampler.js';
+import { ComfortNoise, ComfortNoiseGenerator, COMFORT_NOISE_CONSTANTS } from '../codecs/comfort-noise.js';
+import { RTCPPacket, RTCPPacketTypes, RTCP_CONSTANTS, computeRTCPInterval, toNtpTimestamp, compactNtp } from './rtcp-packet.js';
 
 export class RTPSession extends EventEmitter {
   constructor(options = {}) {
@@ -15,34 +23,95 @@ export class RTPSession extends EventEmitter {
     this.clockRate = options.clockRate || 8000;
     this.sampleRate = options.sampleRate || 8000;
     this.channels = options.channels || 1;
+    this.encodingName = options.encodingName || null;
+    this.fmtp = options.fmtp || null;
+    // Encoder and decoder instances for the negotiated codec come from here
+    this.registry = options.registry || codecRegistry;
+    this.ptime = options.ptime || 20; // ms of audio per packet
+    // { sampleRate, channels } of the PCM the application sends and receives;
+    // converted to and from the codec's native format when they differ
+    this.audioFormat = options.audioFormat || null;
+    this.sendConverter = null;
+    this.receiveConverter = null;
+    
+    // Where to send media, from the remote SDP
+    this.remoteAddress = options.remoteAddress || null;
+    this.remotePort = options.remotePort || null;
+    this.direction = options.direction || 'sendrecv';
+    
+    // RTCP: canonical name and session bandwidth in kbit/s (SDP b=AS), 5% of which goes to RTCP
+    this.cname = options.cname || `${this.ssrc.toString(16)}@voip-demo`;
+    this.bandwidth = options.bandwidth || 64;
+    this.rtcpEnabled = options.rtcp !== false;
+    this.rtcp = this.createRTCPState();
     
     // Jitter buffer settings
     this.jitterBufferSize = options.jitterBufferSize || 50; // packets
-    this.jitterBufferDelay = options.jitterBufferDelay || 100; // ms
+    this.jitterBufferDelay = options.jitterBufferDelay || 100; // ms, until jitter is measured
+    this.minJitterBufferDelay = options.minJitterBufferDelay || 20; // ms
     this.maxJitterBufferDelay = options.maxJitterBufferDelay || 500; // ms
     
+    // Silence suppression (RFC 3389): VAD on the send path when CN was negotiated,
+    // comfort noise from received SID frames on the receive path
+    this.comfortNoisePayloadType = options.comfortNoise?.payloadType ?? null;
+    this.vad = options.vad ? new VoiceActivityDetector({ sampleRate: this.sampleRate }) : null;
+    this.comfortNoise = new ComfortNoiseGenerator();
+    this.talkspurtPending = true;
+    this.lastSID = null; // { level, timestamp } of the last SID sent
+    
     // Session state
     this.sequenceNumber = Math.floor(Math.random() * 0xFFFF);
     this.timestamp = Math.floor(Math.random() * 0xFFFFFFFF);
     this.lastTimestamp = 0;
     this.lastSequenceNumber = 0;
     
-    // Jitter buffer
-    this.jitterBuffer = new Map();
-    this.expectedSequenceNumber = 0;
+    // Jitter buffer, played out one frame per ptime
+    this.jitterBuffer = this.createJitterBuffer();
     this.baseTimestamp = 0;
     this.lastArrivalTime = 0;
-    this.jitter = 0;
+    
+    // Reception statistics for the remote sender (RFC 3550 Appendix A)
+    this.source = null;
+    
+    // Codec instances for the negotiated format; the decoder comes with its packet loss concealer
+    this.encoder = null;
+    this.decoder = null;
+    this.plc = null;
+    this.concealing = false;
+    this.loadCodec();
+    
+    // DTMF (RFC 4733): negotiated telephone-event payload type, receiver and queued digits
+    this.telephoneEventPayloadType = options.telephoneEvent?.payloadType ?? null;
+    this.telephoneEventClockRate = options.telephoneEvent?.clockRate || null;
+    this.dtmfReceiver = this.createDTMFReceiver();
+    this.dtmfQueue = Promise.resolve();
+    this.dtmfSending = 0;
     
     // Statistics
     this.stats = {
       packetsReceived: 0,
+      packetsExpected: 0,
       packetsLost: 0,
       packetsOutOfOrder: 0,
       packetsDuplicated: 0,
-      jitter: 0,
+      packetsDiscarded: 0,
+      extendedHighestSequence: 0,
+      jitter: 0,       // RTP timestamp units
+      jitterMs: 0,
       roundTripTime: 0,
       bytesReceived: 0,
+      packetsSent: 0,
+      bytesSent: 0,
+      rtcpPacketsSent: 0,
+      rtcpPacketsReceived: 0,
+      framesDecoded: 0,
+      framesConcealed: 0,
+      concealmentEvents: 0,
+      dtmfSent: 0,
+      framesSuppressed: 0,
+      sidSent: 0,
+      sidReceived: 0,
+      framesComfortNoise: 0,
       startTime: Date.now()
     };
     
@@ -57,18 +126,29 @@ export class RTPSession extends EventEmitter {
   start() {
     this.isActive = true;
     this.baseTimestamp = this.timestamp;
-    this.expectedSequenceNumber = this.sequenceNumber;
-    this.lastArrivalTime = Date.now();
     
     console.log(`RTP Session started - SSRC: ${this.ssrc.toString(16)}, Payload: ${this.payloadType}`);
     this.emit('started');
+    
+    this.jitterBuffer.start();
+    if (this.rtcpEnabled) {
+      this.scheduleRTCP();
+    }
   }
 
   /**
-   * Stop the RTP session
+   * Stop the RTP session, saying BYE to the other side
    */
-  stop() {
+  stop(reason = null) {
+    if (this.isActive && this.rtcpEnabled) {
+      this.sendRTCP(this.generateRTCPReport({ bye: true, reason }));
+    }
+    
+    clearTimeout(this.rtcp.timer);
+    this.rtcp.timer = null;
     this.isActive = false;
+    this.dtmfReceiver.flush();
+    this.jitterBuffer.stop();
     this.jitterBuffer.clear();
     this.emit('stopped');
   }
@@ -76,39 +156,105 @@ export class RTPSession extends EventEmitter {
   /**
    * Create an RTP packet with audio data
    */
-  createPacket(audioData, marker = false) {
+  createPacket(audioData, marker = false, payloadType = this.payloadType) {
     const packet = new RTPPacket();
     
     packet.version = 2;
-    packet.payloadType = this.payloadType;
+    packet.payloadType = payloadType;
     packet.sequenceNumber = this.sequenceNumber;
     packet.timestamp = this.timestamp;
     packet.ssrc = this.ssrc;
     packet.marker = marker;
     packet.payload = audioData;
     
+    this.stats.packetsSent++;
+    this.stats.bytesSent += audioData.length;
+    this.rtcp.lastSentTimestamp = this.timestamp;
+    this.rtcp.lastSentTime = Date.now();
+    
     // Increment sequence number and timestamp
     this.sequenceNumber = (this.sequenceNumber + 1) % 0x10000;
-    this.timestamp += this.getSamplesPerPacket();
+    this.timestamp = (this.timestamp + this.getSamplesPerPacket()) >>> 0;
     
     return packet;
   }
 
   /**
-   * Get samples per packet based on payload type
+   * Apply negotiated media parameters (payload type, clock rate, ptime)
    */
-  getSamplesPerPacket() {
-    switch (this.payloadType) {
-      case RTPPayloadTypes.PCMU:
-      case RTPPayloadTypes.PCMA:
-        return 160; // 20ms at 8kHz
-      case RTPPayloadTypes.G729:
-        return 80;  // 10ms at 8kHz
-      case RTPPayloadTypes.G722:
-        return 320; // 20ms at 16kHz
-      default:
-        return 160; // Default to 20ms
+  configure(options = {}) {
+    const format = `${this.encodingName}/${this.clockRate}/${this.channels}`;
+    
+    if (options.payloadType !== undefined) this.payloadType = options.payloadType;
+    if (options.clockRate) {
+      this.clockRate = options.clockRate;
+      if (this.source) this.source.clockRate = options.clockRate;
+    }
+    if (options.channels) this.channels = options.channels;
+    if (options.encodingName) this.encodingName = options.encodingName;
+    if (options.fmtp !== undefined) this.fmtp = options.fmtp;
+    if (`${this.encodingName}/${this.clockRate}/${this.channels}` !== format) {
+      this.loadCodec();
+    }
+    if (options.audioFormat !== undefined) {
+      this.audioFormat = options.audioFormat;
+      this.updateConverters();
     }
+    if (options.ptime) this.ptime = options.ptime;
+    this.jitterBuffer.configure({ clockRate: this.clockRate, ptime: this.ptime });
+    if (options.remoteAddress !== undefined) this.remoteAddress = options.remoteAddress;
+    if (options.remotePort !== undefined) this.remotePort = options.remotePort;
+    if (options.direction) this.direction = options.direction;
+    if (options.telephoneEvent !== undefined) {
+      this.telephoneEventPayloadType = options.telephoneEvent?.payloadType ?? null;
+      this.telephoneEventClockRate = options.telephoneEvent?.clockRate || null;
+      this.dtmfReceiver.clockRate = this.telephoneEventClockRate || this.clockRate;
+    }
+    if (options.comfortNoise !== undefined) {
+      this.comfortNoisePayloadType = options.comfortNoise?.payloadType ?? null;
+      this.jitterBuffer.configure({ comfortNoisePayloadType: this.comfortNoisePayloadType });
+    }
+    
+    this.emit('configured', options);
+  }
+
+  /**
+   * Check whether media should be sent: a remote address, a non-zero port
+   * and a direction that includes sending (0.0.0.0 is the old-style hold, RFC 3264 §8.4)
+   */
+  canSend() {
+    return !!this.remoteAddress && this.remoteAddress !== '0.0.0.0' && !!this.remotePort &&
+      (this.direction === 'sendrecv' || this.direction === 'sendonly');
+  }
+
+  /**
+   * Get RTP timestamp increment per packet from the clock rate and ptime
+   */
+  getSamplesPerPacket() {
+    return Math.round(this.clockRate * this.ptime / 1000);
+  }
+
+  /**
+   * Get 16-bit PCM samples per packet across all channels, in the application's
+   * audio format unless another is given; differs from the timestamp increment
+   * when the codec's RTP clock is not its sample rate (G.722)
+   */
+  getPCMSamplesPerPacket(format = this.getAudioFormat()) {
+    return Math.round(format.sampleRate * this.ptime / 1000) * format.channels;
+  }
+
+  /**
+   * Format of the PCM the codec takes and gives
+   */
+  getNativeFormat() {
+    return { sampleRate: this.sampleRate, channels: this.channels };
+  }
+
+  /**
+   * Format of the PCM the application sends and receives
+   */
+  getAudioFormat() {
+    return this.audioFormat ? { channels: 1, ...this.audioFormat } : this.getNativeFormat();
   }
 
   /**
@@ -139,51 +285,67 @@ export class RTPSession extends EventEmitter {
     this.stats.packetsReceived++;
     this.stats.bytesReceived += packet.payload.length;
     
+    // A new SSRC is a new source and starts on probation
+    if (!this.source || this.source.ssrc !== packet.ssrc) {
+      this.source = new RTPSource(packet.ssrc, this.clockRate);
+    }
+    
+    const source = this.source;
+    const previousMax = source.maxSeq;
+    if (!source.updateSequence(packet.sequenceNumber)) {
+      // Source not yet validated, or a jump the next packet has to confirm
+      this.stats.packetsDiscarded++;
+      return;
+    }
+    
+    // Events repeat the timestamp of their start, so they skip jitter and playout
+    if (this.isTelephoneEvent(packet)) {
+      this.updateReceptionStats();
+      this.dtmfReceiver.receive(packet);
+      return;
+    }
+    
     // Calculate jitter
     this.calculateJitter(packet, now);
+    this.updateReceptionStats();
     
-    // Handle sequence number wrapping
-    const sequenceDiff = this.getSequenceNumberDifference(packet.sequenceNumber, this.lastSequenceNumber);
-    
-    if (sequenceDiff > 0) {
+    if (source.maxSeq === packet.sequenceNumber && previousMax !== packet.sequenceNumber) {
       // New packet
       this.lastSequenceNumber = packet.sequenceNumber;
       this.lastTimestamp = packet.timestamp;
       this.lastArrivalTime = now;
       
-      // Add to jitter buffer
-      this.addToJitterBuffer(packet, now);
-      
-      // Process jitter buffer
-      this.processJitterBuffer();
-    } else if (sequenceDiff === 0) {
+      // Add to jitter buffer; the playout clock takes it from there
+      this.jitterBuffer.push(packet, now, source.getJitterMs());
+    } else if (packet.sequenceNumber === previousMax) {
       // Duplicate packet
       this.stats.packetsDuplicated++;
     } else {
       // Out of order packet
       this.stats.packetsOutOfOrder++;
-      this.addToJitterBuffer(packet, now);
+      this.jitterBuffer.push(packet, now, source.getJitterMs());
     }
   }
 
   /**
-   * Calculate jitter using RFC 3550 algorithm
+   * Calculate jitter from relative transit times (RFC 3550 §6.4.1, Appendix A.8)
    */
   calculateJitter(packet, arrivalTime) {
-    if (this.lastArrivalTime === 0) {
-      this.lastArrivalTime = arrivalTime;
-      return;
-    }
-    
-    const transitTime = arrivalTime - this.lastArrivalTime;
-    const expectedTransitTime = (packet.timestamp - this.lastTimestamp) * 1000 / this.clockRate;
-    const d = Math.abs(transitTime - expectedTransitTime);
-    
-    this.jitter += (1/16) * (d - this.jitter);
-    this.stats.jitter = this.jitter;
+    this.source.updateJitter(packet.timestamp, arrivalTime);
+    this.stats.jitter = this.source.getJitter();
+    this.stats.jitterMs = this.source.getJitterMs();
+  }
+
+  /**
+   * Copy the source's expected/lost counts into the session statistics (RFC 3550 Appendix A.3)
+   */
+  updateReceptionStats() {
+    const source = this.source;
     
-    this.lastArrivalTime = arrivalTime;
-    this.lastTimestamp = packet.timestamp;
+    this.stats.packetsExpected = source.getExpected();
+    // Duplicates can push the RFC's count below zero; report no loss instead
+    this.stats.packetsLost = Math.max(0, source.getLost());
+    this.stats.extendedHighestSequence = source.getExtendedHighest();
   }
 
   /**
@@ -197,56 +359,150 @@ export class RTPSession extends EventEmitter {
   }
 
   /**
-   * Add packet to jitter buffer
+   * Create the playout buffer and forward what it plays
+   */
+  createJitterBuffer() {
+    const buffer = new JitterBuffer({
+      clockRate: this.clockRate,
+      ptime: this.ptime,
+      initialDelay: this.jitterBufferDelay,
+      minDelay: this.minJitterBufferDelay,
+      maxDelay: this.maxJitterBufferDelay,
+      maxPackets: this.jitterBufferSize,
+      comfortNoisePayloadType: this.comfortNoisePayloadType
+    });
+    
+    buffer.on('frame', (packet) => {
+      this.emit('packetReady', packet);
+      this.decodeFrame(packet);
+    });
+    buffer.on('missing', (slot) => {
+      this.emit('packetMissing', slot);
+      this.concealFrame(slot);
+    });
+    buffer.on('silence', (slot) => this.playComfortNoise(slot));
+    return buffer;
+  }
+
+  /**
+   * Create the encoder and decoder for the negotiated codec from the registry
    */
-  addToJitterBuffer(packet, arrivalTime) {
-    const key = packet.sequenceNumber;
+  loadCodec() {
+    if (!this.encodingName) return;
     
-    // Remove old packets if buffer is full
-    if (this.jitterBuffer.size >= this.jitterBufferSize) {
-      const oldestKey = this.jitterBuffer.keys().next().value;
-      this.jitterBuffer.delete(oldestKey);
+    const format = { encodingName: this.encodingName, clockRate: this.clockRate, channels: this.channels, fmtp: this.fmtp };
+    const codec = this.registry.find(format);
+    if (!codec) {
+      console.warn(`No codec registered for ${this.encodingName}/${this.clockRate}; media will not be encoded or decoded`);
+      this.setEncoder(null);
+      this.setDecoder(null);
+      return;
     }
     
-    this.jitterBuffer.set(key, {
-      packet,
-      arrivalTime,
-      timestamp: packet.timestamp
-    });
+    this.sampleRate = codec.sampleRate;
+    if (this.vad) this.vad.sampleRate = codec.sampleRate;
+    this.setEncoder(this.registry.createEncoder(format));
+    this.setDecoder(this.registry.createDecoder(format));
+    this.updateConverters();
   }
 
   /**
-   * Process jitter buffer and emit ready packets
+   * Insert sample rate and channel conversion where the application's audio
+   * format differs from the codec's
    */
-  processJitterBuffer() {
-    const now = Date.now();
-    const readyPackets = [];
+  updateConverters() {
+    const native = this.getNativeFormat();
+    const format = this.getAudioFormat();
+    if (isSameFormat(native, format)) {
+      this.sendConverter = null;
+      this.receiveConverter = null;
+      return;
+    }
     
-    // Sort packets by sequence number
-    const sortedPackets = Array.from(this.jitterBuffer.entries())
-      .sort(([a], [b]) => this.getSequenceNumberDifference(a, b));
+    this.sendConverter = new AudioConverter(format, native);
+    this.receiveConverter = new AudioConverter(native, format);
+  }
+
+  /**
+   * Emit decoded, concealed or comfort noise audio in the application's format
+   */
+  emitAudioFrame(frame) {
+    if (this.receiveConverter) {
+      frame.pcm = this.receiveConverter.process(frame.pcm);
+    }
+    this.emit('audioFrame', frame);
+  }
+
+  /**
+   * Decode played-out frames to PCM; codecs with a concealer (G.711) also fill in lost frames
+   */
+  setDecoder(decoder) {
+    this.decoder = decoder;
+    this.plc = decoder?.createPLC?.() ?? null;
+    this.concealing = false;
+  }
+
+  /**
+   * Decode a frame and emit it as audio
+   */
+  decodeFrame(packet) {
+    if (!this.decoder) return;
     
-    for (const [sequenceNumber, packetInfo] of sortedPackets) {
-      const delay = now - packetInfo.arrivalTime;
-      
-      // Check if packet is ready to be played
-      if (delay >= this.jitterBufferDelay || 
-          this.jitterBuffer.size >= this.jitterBufferSize) {
-        
-        readyPackets.push(packetInfo.packet);
-        this.jitterBuffer.delete(sequenceNumber);
+    if (packet.payloadType === this.comfortNoisePayloadType) {
+      try {
+        this.comfortNoise.update(packet.payload);
+      } catch (error) {
+        return;
       }
+      this.stats.sidReceived++;
+      this.playComfortNoise(packet);
+      return;
     }
     
-    // Emit ready packets in order
-    for (const packet of readyPackets) {
-      this.emit('packetReady', packet);
+    let pcm = this.decoder.decode(packet.payload);
+    if (this.plc) {
+      // Also blends the end of a concealment into the real signal
+      pcm = this.plc.processGood(pcm);
     }
     
-    // Update expected sequence number
-    if (readyPackets.length > 0) {
-      this.expectedSequenceNumber = (readyPackets[readyPackets.length - 1].sequenceNumber + 1) % 0x10000;
+    this.concealing = false;
+    this.stats.framesDecoded++;
+    this.emitAudioFrame({ pcm, timestamp: packet.timestamp, sequenceNumber: packet.sequenceNumber, concealed: false });
+  }
+
+  /**
+   * Emit a substitute for a frame that did not arrive in time
+   */
+  concealFrame(slot) {
+    // Nothing to extrapolate from before the first real frame
+    if (!this.decoder || this.stats.framesDecoded === 0) return;
+    
+    const samples = this.getPCMSamplesPerPacket(this.getNativeFormat());
+    const pcm = this.plc ? this.plc.processMissing(samples) : Buffer.alloc(samples * 2);
+    
+    if (!this.concealing) {
+      this.concealing = true;
+      this.stats.concealmentEvents++;
     }
+    this.stats.framesConcealed++;
+    this.emitAudioFrame({ pcm, timestamp: slot.timestamp, sequenceNumber: slot.sequenceNumber, concealed: true });
+  }
+
+  /**
+   * Emit a frame of comfort noise at the level of the last SID received
+   */
+  playComfortNoise(slot) {
+    if (!this.decoder) return;
+    
+    let pcm = this.comfortNoise.generate(this.getPCMSamplesPerPacket(this.getNativeFormat()));
+    if (this.plc) {
+      // Keeps the concealer's history and output delay in step with what is played
+      pcm = this.plc.processGood(pcm);
+    }
+    
+    this.concealing = false;
+    this.stats.framesComfortNoise++;
+    this.emitAudioFrame({ pcm, timestamp: slot.timestamp, sequenceNumber: slot.sequenceNumber, concealed: false, comfortNoise: true });
   }
 
   /**
@@ -261,8 +517,11 @@ export class RTPSession extends EventEmitter {
       duration,
       packetRate: this.stats.packetsReceived / duration,
       bitRate: (this.stats.bytesReceived * 8) / duration,
-      lossRate: this.stats.packetsLost / Math.max(this.stats.packetsReceived, 1),
+      lossRate: this.stats.packetsLost / Math.max(this.stats.packetsExpected, 1),
       jitterBufferSize: this.jitterBuffer.size,
+      // Playout: underruns, overruns, late discards, target delay
+      jitterBuffer: this.jitterBuffer.getStats(),
+      dtmfReceived: this.dtmfReceiver.stats.events,
       isActive: this.isActive
     };
   }
@@ -280,6 +539,62 @@ export class RTPSession extends EventEmitter {
     });
   }
 
+  /**
+   * Encoder for sendFrame, normally the negotiated codec
+   */
+  setEncoder(encoder) {
+    this.encoder = encoder;
+  }
+
+  /**
+   * Send one ptime of 16-bit PCM in the application's audio format: encoded
+   * audio while someone is talking, and with VAD and CN negotiated, occasional
+   * SID frames in place of silence.
+   * Returns the packet to transmit, or null for a suppressed frame
+   */
+  sendFrame(pcm) {
+    if (!this.isActive || !this.encoder) return null;
+    
+    if (this.sendConverter) {
+      pcm = this.sendConverter.process(pcm);
+    }
+    
+    if (this.vad && this.comfortNoisePayloadType !== null && !this.vad.process(pcm)) {
+      return this.sendSilence();
+    }
+    
+    // The first packet after silence starts a talkspurt (RFC 3551 §4.1)
+    const marker = this.talkspurtPending;
+    this.talkspurtPending = false;
+    this.lastSID = null;
+    
+    return this.sendAudio(this.encoder.encode(pcm), marker);
+  }
+
+  /**
+   * Silence on the send path: a SID frame when silence begins, when the noise
+   * level changes or every SID_INTERVAL; otherwise nothing, with the clock running on
+   */
+  sendSilence() {
+    const level = Math.round(this.vad.noiseLevel);
+    const elapsed = this.lastSID && ((this.timestamp - this.lastSID.timestamp) >>> 0) * 1000 / this.clockRate;
+    this.talkspurtPending = true;
+    
+    if (this.lastSID && Math.abs(level - this.lastSID.level) < COMFORT_NOISE_CONSTANTS.SID_LEVEL_CHANGE &&
+        elapsed < COMFORT_NOISE_CONSTANTS.SID_INTERVAL) {
+      this.timestamp = (this.timestamp + this.getSamplesPerPacket()) >>> 0;
+      this.stats.framesSuppressed++;
+      return null;
+    }
+    
+    this.lastSID = { level, timestamp: this.timestamp };
+    this.stats.sidSent++;
+    
+    const packet = this.createPacket(ComfortNoise.encodeSID(level), false, this.comfortNoisePayloadType);
+    this.emit('packetCreated', packet);
+    return packet;
+  }
+
   /**
    * Send audio data
    */
@@ -293,30 +608,311 @@ export class RTPSession extends EventEmitter {
   }
 
   /**
-   * Handle RTCP feedback
+   * Whether a received packet carries telephone-events rather than audio
+   */
+  isTelephoneEvent(packet) {
+    return this.telephoneEventPayloadType !== null && packet.payloadType === this.telephoneEventPayloadType;
+  }
+
+  /**
+   * Create the telephone-event receiver, re-emitting its key presses
+   */
+  createDTMFReceiver() {
+    const receiver = new DTMFReceiver({ clockRate: this.telephoneEventClockRate || this.clockRate });
+    receiver.on('dtmf', (event) => this.emit('dtmf', event));
+    return receiver;
+  }
+
+  /**
+   * Send digits as RFC 4733 events, one packet per ptime; resolves once the last
+   * end packet is out. Audio should pause meanwhile (see isSendingDTMF)
+   *
+   * Packets are emitted as 'dtmfPacket' (packet, address, port) for the transport.
    */
-  handleRTCP(rtcpPacket) {
-    // Process RTCP packets for feedback
-    this.emit('rtcpReceived', rtcpPacket);
+  sendDTMF(digits, options = {}) {
+    if (this.telephoneEventPayloadType === null) {
+      return Promise.reject(new Error('Telephone-events were not negotiated'));
+    }
+    
+    const sequence = String(digits).split('');
+    const invalid = sequence.find(digit => DTMF.eventCode(digit) === null);
+    if (invalid !== undefined) {
+      return Promise.reject(new Error(`Invalid DTMF digit: ${invalid}`));
+    }
+    
+    // Calls queue up behind each other so digits never interleave
+    this.dtmfSending++;
+    const run = this.dtmfQueue.then(async () => {
+      for (let i = 0; i < sequence.length; i++) {
+        if (!this.isActive) break;
+        if (i > 0) await this.waitDTMF(options.gap ?? DTMF_CONSTANTS.DEFAULT_GAP);
+        await this.sendDTMFEvent(sequence[i], options);
+      }
+    }).finally(() => {
+      this.dtmfSending--;
+      // Audio after the events starts a new talkspurt
+      this.talkspurtPending = true;
+    });
+    
+    this.dtmfQueue = run.catch(() => {});
+    return run;
   }
 
   /**
-   * Generate RTCP report
+   * Send one event: every packet carries the start timestamp while the media clock runs on
    */
-  generateRTCPReport() {
-    const stats = this.getStats();
+  async sendDTMFEvent(digit, options) {
+    const payloads = DTMF.createEventPayloads(digit, {
+      duration: options.duration,
+      volume: options.volume,
+      clockRate: this.telephoneEventClockRate || this.clockRate,
+      ptime: this.ptime
+    });
+    const eventTimestamp = this.timestamp;
+    
+    for (let i = 0; i < payloads.length; i++) {
+      if (!this.isActive) return;
+      if (i > 0) await this.waitDTMF(this.ptime);
+      
+      const packet = new RTPPacket();
+      packet.payloadType = this.telephoneEventPayloadType;
+      packet.sequenceNumber = this.sequenceNumber;
+      packet.timestamp = eventTimestamp;
+      packet.ssrc = this.ssrc;
+      packet.marker = payloads[i].marker;
+      packet.payload = payloads[i].payload;
+      
+      this.stats.packetsSent++;
+      this.stats.bytesSent += packet.payload.length;
+      this.sequenceNumber = (this.sequenceNumber + 1) % 0x10000;
+      this.timestamp = (this.timestamp + this.getSamplesPerPacket()) >>> 0;
+      
+      if (this.canSend()) {
+        this.emit('dtmfPacket', packet, this.remoteAddress, this.remotePort);
+      }
+    }
     
+    this.stats.dtmfSent++;
+  }
+
+  /**
+   * Pause between DTMF packets; sending stops at the next packet once the session stops
+   */
+  waitDTMF(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Whether digits are being sent, during which audio packets should be held back
+   */
+  isSendingDTMF() {
+    return this.dtmfSending > 0;
+  }
+
+  /**
+   * Fresh RTCP state: remote source, last SR received and interval timing
+   */
+  createRTCPState() {
     return {
-      ssrc: this.ssrc,
-      fractionLost: Math.min(255, Math.floor(stats.lossRate * 256)),
-      cumulativePacketsLost: stats.packetsLost,
-      extendedHighestSequenceNumber: this.lastSequenceNumber,
-      jitter: Math.floor(stats.jitter),
-      lastSRTimestamp: this.lastTimestamp,
-      delaySinceLastSR: Date.now() - this.lastArrivalTime
+      timer: null,
+      initial: true,
+      // Running average compound packet size including UDP/IP headers (RFC 3550 §6.3.3)
+      avgSize: RTCP_CONSTANTS.INITIAL_AVG_SIZE,
+      remoteCname: null,
+      // Middle 32 bits of the last SR's NTP time and when it arrived
+      lastSR: 0,
+      lastSRArrival: 0,
+      // Packets sent at the last two reports, to decide whether we are a sender
+      sentAtReports: [0, 0],
+      lastSentTimestamp: 0,
+      lastSentTime: 0
     };
   }
 
+  /**
+   * Whether we sent RTP during the last two reporting intervals (RFC 3550 §6.3.8)
+   */
+  isSender() {
+    return this.stats.packetsSent > this.rtcp.sentAtReports[0];
+  }
+
+  /**
+   * Build the reception report block for the remote source, if we have heard from it
+   */
+  createReportBlock(now = Date.now()) {
+    const source = this.source;
+    if (!source?.isValid()) return null;
+    
+    const rtcp = this.rtcp;
+    return {
+      ssrc: source.ssrc,
+      fractionLost: source.getFractionLost(),
+      packetsLost: source.getLost(),
+      highestSequence: source.getExtendedHighest(),
+      jitter: source.getJitter(),
+      lastSR: rtcp.lastSR,
+      // Units of 1/65536 s since that SR arrived
+      delaySinceLastSR: rtcp.lastSR ? Math.round((now - rtcp.lastSRArrival) * 65.536) : 0
+    };
+  }
+
+  /**
+   * Generate a compound RTCP packet: SR (if we sent media) or RR, then SDES CNAME,
+   * then BYE when leaving
+   */
+  generateRTCPReport(options = {}) {
+    const now = Date.now();
+    const block = this.createReportBlock(now);
+    const reports = block ? [block] : [];
+    let report;
+    
+    if (this.isSender()) {
+      // The RTP timestamp of "now", extrapolated from the last packet sent
+      const elapsed = this.rtcp.lastSentTime ? now - this.rtcp.lastSentTime : 0;
+      report = RTCPPacket.createSenderReport({
+        ssrc: this.ssrc,
+        ntp: toNtpTimestamp(now),
+        rtpTimestamp: (this.rtcp.lastSentTimestamp + Math.round(elapsed * this.clockRate / 1000)) >>> 0,
+        packetCount: this.stats.packetsSent,
+        octetCount: this.stats.bytesSent,
+        reports
+      });
+    } else {
+      report = RTCPPacket.createReceiverReport({ ssrc: this.ssrc, reports });
+    }
+    
+    const packets = [report, RTCPPacket.createSourceDescription(this.ssrc, this.cname)];
+    if (options.bye) {
+      packets.push(RTCPPacket.createBye([this.ssrc], options.reason));
+    }
+    
+    this.rtcp.sentAtReports = [this.rtcp.sentAtReports[1], this.stats.packetsSent];
+    return RTCPPacket.createCompound(packets);
+  }
+
+  /**
+   * Time until the next report in ms (RFC 3550 §6.2, §6.3.1)
+   */
+  getRTCPInterval() {
+    const weSent = this.isSender();
+    const remoteSent = this.rtcp.lastSR !== 0;
+    
+    const interval = computeRTCPInterval({
+      members: this.source ? 2 : 1,
+      senders: (weSent ? 1 : 0) + (remoteSent ? 1 : 0),
+      rtcpBandwidth: this.bandwidth * 1000 / 8 * RTCP_CONSTANTS.BANDWIDTH_FRACTION,
+      weSent,
+      avgRtcpSize: this.rtcp.avgSize,
+      initial: this.rtcp.initial
+    });
+    
+    return interval * 1000;
+  }
+
+  /**
+   * Schedule the next RTCP report
+   */
+  scheduleRTCP() {
+    clearTimeout(this.rtcp.timer);
+    
+    this.rtcp.timer = setTimeout(() => {
+      if (!this.isActive) return;
+      
+      this.sendRTCP(this.generateRTCPReport());
+      this.rtcp.initial = false;
+      this.scheduleRTCP();
+    }, this.getRTCPInterval());
+    this.rtcp.timer.unref?.();
+  }
+
+  /**
+   * Hand a compound RTCP packet to whoever owns the socket
+   */
+  sendRTCP(buffer) {
+    this.updateAverageRTCPSize(buffer.length);
+    
+    // Nowhere to send it while the remote address is unknown or on hold
+    if (!this.remoteAddress || this.remoteAddress === '0.0.0.0' || !this.remotePort) return;
+    
+    this.stats.rtcpPacketsSent++;
+    this.emit('rtcp', buffer, this.remoteAddress, this.getRemoteRTCPPort());
+  }
+
+  /**
+   * The remote RTCP port: the one above the RTP port (RFC 3550 §11)
+   */
+  getRemoteRTCPPort() {
+    return this.remotePort + 1;
+  }
+
+  /**
+   * Fold a compound packet's size into the running average
+   */
+  updateAverageRTCPSize(length) {
+    const size = length + RTCP_CONSTANTS.UDP_IP_OVERHEAD;
+    this.rtcp.avgSize += (size - this.rtcp.avgSize) / 16;
+  }
+
+  /**
+   * Handle a received compound RTCP packet
+   */
+  handleRTCP(data) {
+    let packets;
+    try {
+      packets = RTCPPacket.parseCompound(data);
+    } catch (error) {
+      console.warn('Received invalid RTCP packet:', error.message);
+      return;
+    }
+    
+    const now = Date.now();
+    this.stats.rtcpPacketsReceived++;
+    this.updateAverageRTCPSize(data.length);
+    
+    for (const packet of packets) {
+      switch (packet.type) {
+        case RTCPPacketTypes.SR:
+          this.rtcp.lastSR = compactNtp({ seconds: packet.ntpSeconds, fraction: packet.ntpFraction });
+          this.rtcp.lastSRArrival = now;
+          this.processReportBlocks(packet.reports, now);
+          break;
+        
+        case RTCPPacketTypes.RR:
+          this.processReportBlocks(packet.reports, now);
+          break;
+        
+        case RTCPPacketTypes.SDES:
+          this.rtcp.remoteCname = packet.getCname() ?? this.rtcp.remoteCname;
+          break;
+        
+        case RTCPPacketTypes.BYE:
+          this.emit('bye', packet.sources, packet.reason);
+          break;
+        
+        case RTCPPacketTypes.APP:
+          this.emit('rtcpApp', packet);
+          break;
+      }
+    }
+    
+    this.emit('rtcpReceived', packets);
+  }
+
+  /**
+   * Take the round-trip time from report blocks about our own stream (RFC 3550 §6.4.1)
+   */
+  processReportBlocks(reports, now) {
+    const block = reports.find(report => report.ssrc === this.ssrc);
+    if (!block || !block.lastSR) return;
+    
+    // RTT = A - LSR - DLSR, all in 1/65536 s; a "negative" result is clock skew, not a sample
+    const rtt = (compactNtp(toNtpTimestamp(now)) - block.lastSR - block.delaySinceLastSR) >>> 0;
+    if (rtt > 0x7FFFFFFF) return;
+    
+    this.stats.roundTripTime = rtt / 65.536;
+    this.emit('rtt', this.stats.roundTripTime, block);
+  }
+
   /**
    * Reset session state
    */
@@ -325,21 +921,56 @@ export class RTPSession extends EventEmitter {
     this.timestamp = Math.floor(Math.random() * 0xFFFFFFFF);
     this.lastTimestamp = 0;
     this.lastSequenceNumber = 0;
-    this.jitterBuffer.clear();
-    this.expectedSequenceNumber = 0;
+    this.jitterBuffer.stop();
+    this.jitterBuffer.removeAllListeners();
+    this.jitterBuffer = this.createJitterBuffer();
+    if (this.isActive) this.jitterBuffer.start();
     this.baseTimestamp = 0;
     this.lastArrivalTime = 0;
-    this.jitter = 0;
+    this.source = null;
+    this.plc?.reset();
+    this.concealing = false;
+    this.dtmfReceiver.removeAllListeners();
+    this.dtmfReceiver = this.createDTMFReceiver();
+    this.vad?.reset();
+    this.sendConverter?.reset();
+    this.receiveConverter?.reset();
+    this.comfortNoise = new ComfortNoiseGenerator();
+    this.talkspurtPending = true;
+    this.lastSID = null;
+    clearTimeout(this.rtcp.timer);
+    this.rtcp = this.createRTCPState();
     
     this.stats = {
       packetsReceived: 0,
+      packetsExpected: 0,
       packetsLost: 0,
       packetsOutOfOrder: 0,
       packetsDuplicated: 0,
-      jitter: 0,
+      packetsDiscarded: 0,
+      extendedHighestSequence: 0,
+      jitter: 0,       // RTP timestamp units
+      jitterMs: 0,
       roundTripTime: 0,
       bytesReceived: 0,
+      packetsSent: 0,
+      bytesSent: 0,
+      rtcpPacketsSent: 0,
+      rtcpPacketsReceived: 0,
+      framesDecoded: 0,
+      framesConcealed: 0,
+      concealmentEvents: 0,
+      dtmfSent: 0,
+      framesSuppressed: 0,
+      sidSent: 0,
+      sidReceived: 0,
+      framesComfortNoise: 0,
       startTime: Date.now()
     };
+    
+    // Reports carry on for the rest of the call, timed from the fresh state
+    if (this.isActive && this.rtcpEnabled) {
+      this.scheduleRTCP();
+    }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * RTP Source
+ * Reception statistics for one remote SSRC, following RFC 3550 Appendix A
+ *
+ * - A.1: a source is valid once MIN_SEQUENTIAL packets arrive in sequence;
+ *   sequence wraps are counted in cycles to form the extended highest sequence
+ *   number, and a large jump is only accepted when the next packet confirms it
+ * - A.3: expected and lost packets, cumulative and over each report interval
+ * - A.8: interarrival jitter from relative transit times, in timestamp units
+ */
+
+export class RTPSource {
+  constructor(ssrc, clockRate = 8000) {
+    this.ssrc = ssrc;
+    this.clockRate = clockRate;
+
+    this.maxSeq = 0;           // highest sequence number seen
+    this.cycles = 0;           // shifted count of sequence number cycles
+    this.baseSeq = 0;          // first sequence number of the valid stream
+    this.badSeq = RTP_SOURCE_CONSTANTS.RTP_SEQ_MOD + 1; // last 'bad' sequence number + 1
+    this.probation = RTP_SOURCE_CONSTANTS.MIN_SEQUENTIAL;
+    this.received = 0;         // packets received since the stream became valid
+    this.expectedPrior = 0;    // expected at the last report
+    this.receivedPrior = 0;    // received at the last report
+    this.transit = null;       // relative transit time of the previous packet
+    this.jitter = 0;           // estimated jitter, in timestamp units (kept unscaled)
+  }
+
+  /**
+   * Whether the source has passed probation
+   */
+  isValid() {
+    return this.probation === 0;
+  }
+
+  /**
+   * Restart sequence tracking at a sequence number (A.1 init_seq)
+   */
+  initSequence(seq) {
+    this.baseSeq = seq;
+    this.maxSeq = seq;
+    this.badSeq = RTP_SOURCE_CONSTANTS.RTP_SEQ_MOD + 1;
+    this.cycles = 0;
+    this.received = 0;
+    this.expectedPrior = 0;
+    this.receivedPrior = 0;
+  }
+
+  /**
+   * Account for a received sequence number (A.1 update_seq)
+   * Returns false while the source is on probation or the packet is rejected
+   */
+  updateSequence(seq) {
+    const { MIN_SEQUENTIAL, MAX_DROPOUT, MAX_MISORDER, RTP_SEQ_MOD } = RTP_SOURCE_CONSTANTS;
+    const udelta = (seq - this.maxSeq + RTP_SEQ_MOD) % RTP_SEQ_MOD;
+
+    // Source is not valid until MIN_SEQUENTIAL packets with sequential numbers arrive
+    if (this.probation) {
+      if (seq === (this.maxSeq + 1) % RTP_SEQ_MOD) {
+        this.probation--;
+        this.maxSeq = seq;
+        if (this.probation === 0) {
+          this.initSequence(seq);
+          this.received++;
+          return true;
+        }
+      } else {
+        this.probation = MIN_SEQUENTIAL - 1;
+        this.maxSeq = seq;
+      }
+      return false;
+    }
+
+    if (udelta < MAX_DROPOUT) {
+      // In order, with permissible gap
+      if (seq < this.maxSeq) {
+        // Sequence number wrapped - count another 64K cycle
+        this.cycles += RTP_SEQ_MOD;
+      }
+      this.maxSeq = seq;
+    } else if (udelta <= RTP_SEQ_MOD - MAX_MISORDER) {
+      // The sequence number made a very large jump
+      if (seq === this.badSeq) {
+        // Two sequential packets: assume the other side restarted without
+        // telling us, so just re-sync (i.e., pretend this was the first packet)
+        this.initSequence(seq);
+      } else {
+        this.badSeq = (seq + 1) & (RTP_SEQ_MOD - 1);
+        return false;
+      }
+    }
+    // Otherwise a duplicate or reordered packet
+
+    this.received++;
+    return true;
+  }
+
+  /**
+   * Highest sequence number received, extended with the cycle count
+   */
+  getExtendedHighest() {
+    return this.cycles + this.maxSeq;
+  }
+
+  /**
+   * Packets expected since the stream became valid (A.3)
+   */
+  getExpected() {
+    return this.isValid() ? this.getExtendedHighest() - this.baseSeq + 1 : 0;
+  }
+
+  /**
+   * Cumulative packets lost; duplicates can make it negative (A.3)
+   */
+  getLost() {
+    return this.getExpected() - this.received;
+  }
+
+  /**
+   * Fraction lost since the previous call, as the 8-bit fixed point value of a report block (A.3)
+   */
+  getFractionLost() {
+    const expected = this.getExpected();
+    const expectedInterval = expected - this.expectedPrior;
+    const receivedInterval = this.received - this.receivedPrior;
+    const lostInterval = expectedInterval - receivedInterval;
+
+    this.expectedPrior = expected;
+    this.receivedPrior = this.received;
+
+    if (expectedInterval === 0 || lostInterval <= 0) return 0;
+    return Math.floor((lostInterval << 8) / expectedInterval);
+  }
+
+  /**
+   * Update the interarrival jitter with a packet's RTP timestamp and arrival time in ms (A.8)
+   */
+  updateJitter(rtpTimestamp, arrivalTime) {
+    // Arrival time in timestamp units; only differences between packets matter
+    const arrival = Math.round(arrivalTime * this.clockRate / 1000);
+    const transit = arrival - rtpTimestamp;
+
+    if (this.transit !== null) {
+      // Signed 32-bit difference so a timestamp wrap is not taken for a huge delay
+      const d = Math.abs((transit - this.transit) | 0);
+      this.jitter += (d - this.jitter) / 16;
+    }
+    this.transit = transit;
+  }
+
+  /**
+   * Jitter in timestamp units, rounded as carried in report blocks
+   */
+  getJitter() {
+    return Math.round(this.jitter);
+  }
+
+  /**
+   * Jitter in milliseconds
+   */
+  getJitterMs() {
+    return this.jitter * 1000 / this.clockRate;
+  }
+}
+
+// Source validation constants (RFC 3550 Appendix A.1)
+export const RTP_SOURCE_CONSTANTS = {
+  MIN_SEQUENTIAL: 2,
+  MAX_DROPOUT: 3000,
+  MAX_MISORDER: 100,
+  RTP_SEQ_MOD: 0x10000
+};
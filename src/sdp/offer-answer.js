@@ -0,0 +1,388 @@
+/**
+ * SDP Offer/Answer
+ * Media negotiation for a call following RFC 3264
+ *
+ * One OfferAnswer instance follows a call through its offers and answers:
+ * - createOffer() builds our offer (INVITE, or 200 OK to an INVITE without SDP)
+ * - createAnswer(offer) answers the remote offer, or returns null if nothing is acceptable (488)
+ * - processAnswer(answer) applies the remote answer to our offer
+ *
+ * After a successful exchange `negotiated` describes the stream to set up:
+ * payload type, codec, remote RTP address/port, ptime and direction, plus
+ * comfort noise (RFC 3389) and the telephone-event format for DTMF (RFC 4733)
+ * when both sides support them.
+ */
+
+import { SDPSession, SDPMedia } from './sdp.js';
+import { codecRegistry } from '../codecs/codec-registry.js';
+
+export class OfferAnswer {
+  constructor(options = {}) {
+    this.username = options.username || '-';
+    this.address = options.address || '127.0.0.1';
+    this.port = options.port || 10000;
+    // Codecs come from the registry unless a fixed list is given
+    this.registry = options.registry || codecRegistry;
+    this.codecs = options.codecs || null;
+    this.ptime = options.ptime || 20;
+    this.direction = options.direction || 'sendrecv';
+    // Comfort noise and DTMF events offered next to the audio codecs; null leaves them out
+    this.comfortNoise = options.comfortNoise === undefined ? DEFAULT_COMFORT_NOISE : options.comfortNoise;
+    this.telephoneEvent = options.telephoneEvent === undefined ? DEFAULT_TELEPHONE_EVENT : options.telephoneEvent;
+    
+    // o= line stays the same for the whole call; the version goes up with every new description
+    this.sessionId = String(Math.floor(Math.random() * 1e10));
+    this.sessionVersion = 0;
+    
+    // 'idle' -> 'offered' (waiting for an answer) -> 'stable'
+    this.state = 'idle';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.negotiated = null;
+  }
+
+  /**
+   * Build an SDP offer with all local codecs
+   */
+  createOffer() {
+    const session = this.createSession();
+    const media = new SDPMedia({ type: 'audio', port: this.port });
+    
+    for (const codec of this.getLocalCodecs()) {
+      media.addCodec(codec);
+    }
+    if (this.comfortNoise) {
+      media.addCodec(this.comfortNoise);
+    }
+    if (this.telephoneEvent) {
+      media.addCodec(this.telephoneEvent);
+    }
+    media.addAttribute('ptime', String(this.ptime));
+    media.setDirection(this.direction);
+    session.media.push(media);
+    
+    this.localDescription = session;
+    this.state = 'offered';
+    
+    return session.toString();
+  }
+
+  /**
+   * Answer a remote offer; returns the answer SDP, or null if no stream could be accepted
+   */
+  createAnswer(offerText) {
+    let offer;
+    try {
+      offer = SDPSession.parse(offerText);
+    } catch (error) {
+      console.warn(`Invalid SDP offer: ${error.message}`);
+      return null;
+    }
+    
+    const session = this.createSession();
+    let negotiated = null;
+    
+    // The answer has exactly one m= line per offered m= line, in the same order
+    for (const offered of offer.media) {
+      const codec = negotiated ? null : this.selectCodec(offered);
+      
+      if (!codec) {
+        // Rejected streams keep their formats with port 0 (RFC 3264 §6)
+        session.media.push(new SDPMedia({
+          type: offered.type,
+          port: 0,
+          protocol: offered.protocol,
+          formats: offered.formats
+        }));
+        continue;
+      }
+      
+      const ptime = offered.getPtime() || this.ptime;
+      const direction = answerDirection(offer.getDirection(offered), this.direction);
+      
+      const comfortNoise = this.selectComfortNoise(offered.getCodecs(), codec.clockRate);
+      const telephoneEvent = this.selectTelephoneEvent(offered.getCodecs(), codec.clockRate);
+      
+      const media = new SDPMedia({ type: 'audio', port: this.port, protocol: offered.protocol });
+      media.addCodec(codec);
+      if (comfortNoise) {
+        media.addCodec(comfortNoise);
+      }
+      if (telephoneEvent) {
+        media.addCodec(telephoneEvent);
+      }
+      media.addAttribute('ptime', String(ptime));
+      media.setDirection(direction);
+      session.media.push(media);
+      
+      negotiated = this.describeStream(offer, offered, codec, ptime, direction, { comfortNoise, telephoneEvent });
+    }
+    
+    if (!negotiated) {
+      return null;
+    }
+    
+    this.remoteDescription = offer;
+    this.localDescription = session;
+    this.negotiated = negotiated;
+    this.state = 'stable';
+    
+    return session.toString();
+  }
+
+  /**
+   * Apply the remote answer to our offer; returns the negotiated stream, or null if none was accepted
+   */
+  processAnswer(answerText) {
+    if (this.state !== 'offered') {
+      throw new Error('No offer is waiting for an answer');
+    }
+    
+    let answer;
+    try {
+      answer = SDPSession.parse(answerText);
+    } catch (error) {
+      console.warn(`Invalid SDP answer: ${error.message}`);
+      return null;
+    }
+    
+    const offeredAudio = this.localDescription.media[0];
+    const answered = answer.media.find(media => media.type === 'audio' && !media.isRejected());
+    
+    this.remoteDescription = answer;
+    this.state = 'stable';
+    
+    if (!answered) {
+      this.negotiated = null;
+      return null;
+    }
+    
+    // The answerer picks from what we offered, in its order of preference
+    const codec = answered.getCodecs().find(candidate =>
+      isAudioCodec(candidate) && findCodec(offeredAudio.getCodecs(), candidate));
+    if (!codec) {
+      this.negotiated = null;
+      return null;
+    }
+    
+    const ptime = answered.getPtime() || offeredAudio.getPtime() || this.ptime;
+    const direction = reverseDirection(answer.getDirection(answered));
+    
+    // CN and events are only used if we offered them at the same rate
+    const findAuxiliary = (enabled, matches) => (enabled && answered.getCodecs().find(candidate =>
+      matches(candidate) && candidate.clockRate === codec.clockRate &&
+      findCodec(offeredAudio.getCodecs(), candidate))) || null;
+    
+    this.negotiated = this.describeStream(answer, answered, codec, ptime, direction, {
+      comfortNoise: findAuxiliary(this.comfortNoise, isComfortNoise),
+      telephoneEvent: findAuxiliary(this.telephoneEvent, isTelephoneEvent)
+    });
+    return this.negotiated;
+  }
+
+  /**
+   * Pick the first offered codec we support, using the offer's payload type number
+   */
+  selectCodec(offered) {
+    if (offered.type !== 'audio' || offered.isRejected() || !offered.protocol.startsWith('RTP/')) {
+      return null;
+    }
+    
+    for (const candidate of offered.getCodecs()) {
+      if (!isAudioCodec(candidate)) continue;
+      
+      const local = findCodec(this.getLocalCodecs(), candidate);
+      if (local) {
+        return { ...local, payloadType: candidate.payloadType, fmtp: candidate.fmtp ?? local.fmtp ?? null };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Audio codecs we can offer or accept, keeping clear of the CN and event payload types
+   */
+  getLocalCodecs() {
+    if (this.codecs) return this.codecs;
+    
+    const reserved = [this.comfortNoise?.payloadType, this.telephoneEvent?.payloadType].filter(pt => pt !== undefined);
+    return this.registry.getSdpCodecs(reserved);
+  }
+
+  /**
+   * Accept offered comfort noise at the audio codec's clock rate, with the offer's payload type
+   */
+  selectComfortNoise(offeredCodecs, clockRate) {
+    if (!this.comfortNoise) return null;
+    
+    const offered = offeredCodecs.find(candidate => isComfortNoise(candidate) && candidate.clockRate === clockRate);
+    return offered ? { payloadType: offered.payloadType, encodingName: offered.encodingName, clockRate, channels: 1 } : null;
+  }
+
+  /**
+   * Accept offered telephone-events at the audio codec's clock rate (RFC 4733 §2.1),
+   * keeping the offer's payload type and the events both sides support
+   */
+  selectTelephoneEvent(offeredCodecs, clockRate) {
+    if (!this.telephoneEvent) return null;
+    
+    const offered = offeredCodecs.find(candidate => isTelephoneEvent(candidate) && candidate.clockRate === clockRate);
+    if (!offered) return null;
+    
+    // Without fmtp the sender supports events 0-15 (RFC 4733 §2.4.1)
+    const local = parseEventList(this.telephoneEvent.fmtp || '0-15');
+    const events = parseEventList(offered.fmtp || '0-15').filter(event => local.includes(event));
+    if (events.length === 0) return null;
+    
+    return {
+      payloadType: offered.payloadType,
+      encodingName: offered.encodingName,
+      clockRate,
+      channels: 1,
+      fmtp: formatEventList(events)
+    };
+  }
+
+  /**
+   * Build the negotiated stream description from the remote side's media section
+   */
+  describeStream(remoteSession, remoteMedia, codec, ptime, direction, { comfortNoise = null, telephoneEvent = null } = {}) {
+    return {
+      payloadType: codec.payloadType,
+      encodingName: codec.encodingName,
+      clockRate: codec.clockRate,
+      channels: codec.channels || 1,
+      fmtp: codec.fmtp || null,
+      ptime,
+      direction,
+      remoteAddress: remoteSession.getConnectionAddress(remoteMedia),
+      remotePort: remoteMedia.port,
+      comfortNoise: comfortNoise && {
+        payloadType: comfortNoise.payloadType,
+        clockRate: comfortNoise.clockRate
+      },
+      telephoneEvent: telephoneEvent && {
+        payloadType: telephoneEvent.payloadType,
+        clockRate: telephoneEvent.clockRate,
+        fmtp: telephoneEvent.fmtp || null
+      }
+    };
+  }
+
+  /**
+   * Start a new session description with the next o= version
+   */
+  createSession() {
+    const session = new SDPSession({
+      username: this.username,
+      sessionId: this.sessionId,
+      sessionVersion: this.sessionVersion,
+      address: this.address
+    });
+    this.sessionVersion++;
+    return session;
+  }
+
+  /**
+   * Get the last local description as SDP text
+   */
+  getLocalSdp() {
+    return this.localDescription ? this.localDescription.toString() : null;
+  }
+}
+
+/**
+ * Find a codec in a list by encoding name, clock rate and channels
+ */
+function findCodec(codecs, candidate) {
+  return codecs.find(codec =>
+    codec.encodingName.toLowerCase() === candidate.encodingName.toLowerCase() &&
+    codec.clockRate === candidate.clockRate &&
+    (codec.channels || 1) === (candidate.channels || 1)
+  ) || null;
+}
+
+/**
+ * Whether a format is RFC 4733 telephone-events rather than audio
+ */
+function isTelephoneEvent(codec) {
+  return codec.encodingName.toLowerCase() === 'telephone-event';
+}
+
+/**
+ * Whether a format is RFC 3389 comfort noise
+ */
+function isComfortNoise(codec) {
+  return codec.encodingName.toLowerCase() === 'cn';
+}
+
+/**
+ * Whether a format carries the call's audio, as opposed to CN or events next to it
+ */
+function isAudioCodec(codec) {
+  return !isTelephoneEvent(codec) && !isComfortNoise(codec);
+}
+
+/**
+ * Expand an event list such as "0-15,66" into event codes
+ */
+function parseEventList(fmtp) {
+  const events = [];
+
+  for (const part of fmtp.split(',')) {
+    const [first, last = first] = part.trim().split('-').map(Number);
+    if (!Number.isInteger(first) || !Number.isInteger(last)) continue;
+    
+    for (let event = first; event <= Math.min(last, 255); event++) {
+      if (!events.includes(event)) events.push(event);
+    }
+  }
+
+  return events.sort((a, b) => a - b);
+}
+
+/**
+ * Collapse sorted event codes back into ranges
+ */
+function formatEventList(events) {
+  const ranges = [];
+
+  for (let i = 0; i < events.length; i++) {
+    const first = events[i];
+    while (events[i + 1] === events[i] + 1) i++;
+    ranges.push(first === events[i] ? String(first) : `${first}-${events[i]}`);
+  }
+
+  return ranges.join(',');
+}
+
+/**
+ * Direction for our answer given the offered direction (RFC 3264 §6.1)
+ */
+function answerDirection(offered, local) {
+  const send = (offered === 'sendrecv' || offered === 'recvonly') && (local === 'sendrecv' || local === 'sendonly');
+  const receive = (offered === 'sendrecv' || offered === 'sendonly') && (local === 'sendrecv' || local === 'recvonly');
+
+  if (send && receive) return 'sendrecv';
+  if (send) return 'sendonly';
+  if (receive) return 'recvonly';
+  return 'inactive';
+}
+
+/**
+ * Turn the remote side's direction into ours
+ */
+function reverseDirection(direction) {
+  if (direction === 'sendonly') return 'recvonly';
+  if (direction === 'recvonly') return 'sendonly';
+  return direction;
+}
+
+// Comfort noise offered alongside the audio codecs (RFC 3389)
+export const DEFAULT_COMFORT_NOISE = { payloadType: 13, encodingName: 'CN', clockRate: 8000, channels: 1 };
+
+// DTMF events offered alongside the audio codecs (RFC 4733)
+export const DEFAULT_TELEPHONE_EVENT = {
+  payloadType: 101, encodingName: 'telephone-event', clockRate: 8000, channels: 1, fmtp: '0-16'
+};
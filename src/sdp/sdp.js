@@ -0,0 +1,417 @@
+/**
+ * SDP (Session Description Protocol)
+ * Parsing and serialization of session descriptions (RFC 4566)
+ *
+ * SDP Format:
+ * - Session-level lines (v=, o=, s=, c=, t=, a=)
+ * - One media section per m= line, each with its own c= and a= lines
+ *
+ * Example:
+ *   v=0
+ *   o=alice 2890844526 2890844526 IN IP4 192.168.1.100
+ *   s=VoIP Call
+ *   c=IN IP4 192.168.1.100
+ *   t=0 0
+ *   m=audio 10000 RTP/AVP 0 8 101
+ *   a=rtpmap:101 telephone-event/8000
+ *   a=ptime:20
+ */
+
+export class SDPSession {
+  constructor(options = {}) {
+    const address = options.address || '0.0.0.0';
+    const addrType = address.includes(':') ? 'IP6' : 'IP4';
+    
+    this.version = 0;
+    this.origin = {
+      username: options.username || '-',
+      sessionId: options.sessionId || String(Math.floor(Math.random() * 1e10)),
+      sessionVersion: options.sessionVersion ?? 0,
+      netType: 'IN',
+      addrType,
+      address
+    };
+    this.sessionName = options.sessionName || 'VoIP Call';
+    this.connection = options.address ? { netType: 'IN', addrType, address } : null;
+    this.timing = { start: 0, stop: 0 };
+    this.bandwidths = [];
+    this.attributes = [];
+    this.media = [];
+    
+    // Lines we don't model (i=, u=, e=, p=, z=, k=, r=) are kept as-is and written back in their place
+    this.otherLines = [];
+  }
+
+  /**
+   * Parse an SDP body
+   */
+  static parse(text) {
+    const session = new SDPSession();
+    session.origin = null;
+    let current = null;
+    
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line);
+    if (lines.length === 0 || !lines[0].startsWith('v=')) {
+      throw new Error('SDP must start with v=');
+    }
+    
+    for (const line of lines) {
+      const type = line[0];
+      const value = line.substring(2);
+      
+      if (line[1] !== '=') {
+        throw new Error(`Invalid SDP line: ${line}`);
+      }
+      
+      switch (type) {
+        case 'v':
+          session.version = parseInt(value);
+          break;
+        case 'o': {
+          const [username, sessionId, sessionVersion, netType, addrType, address] = value.split(/\s+/);
+          session.origin = { username, sessionId, sessionVersion: Number(sessionVersion), netType, addrType, address };
+          break;
+        }
+        case 's':
+          session.sessionName = value;
+          break;
+        case 'c': {
+          const connection = parseConnection(value);
+          if (current) {
+            current.connection = connection;
+          } else {
+            session.connection = connection;
+          }
+          break;
+        }
+        case 't': {
+          const [start, stop] = value.split(/\s+/).map(Number);
+          session.timing = { start, stop };
+          break;
+        }
+        case 'b': {
+          const [bwType, bandwidth] = value.split(':');
+          (current || session).bandwidths.push({ type: bwType, bandwidth: parseInt(bandwidth) });
+          break;
+        }
+        case 'm':
+          current = SDPMedia.parseMediaLine(value);
+          session.media.push(current);
+          break;
+        case 'a':
+          (current || session).attributes.push(parseAttribute(value));
+          break;
+        default:
+          (current || session).otherLines.push(line);
+      }
+    }
+    
+    if (!session.origin) {
+      throw new Error('SDP is missing the o= line');
+    }
+    
+    return session;
+  }
+
+  /**
+   * Serialize to an SDP body with CRLF line endings
+   */
+  toString() {
+    const o = this.origin;
+    const lines = [
+      `v=${this.version}`,
+      `o=${o.username} ${o.sessionId} ${o.sessionVersion} ${o.netType} ${o.addrType} ${o.address}`,
+      `s=${this.sessionName}`,
+      ...pickLines(this.otherLines, 'iuep')
+    ];
+    
+    if (this.connection) {
+      lines.push(formatConnection(this.connection));
+    }
+    for (const { type, bandwidth } of this.bandwidths) {
+      lines.push(`b=${type}:${bandwidth}`);
+    }
+    lines.push(`t=${this.timing.start} ${this.timing.stop}`);
+    lines.push(...pickLines(this.otherLines, 'rzk'), ...unknownLines(this.otherLines, 'iueprzk'));
+    for (const attribute of this.attributes) {
+      lines.push(formatAttribute(attribute));
+    }
+    for (const media of this.media) {
+      lines.push(...media.toLines());
+    }
+    
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Get a session-level attribute value (null for flags, undefined if absent)
+   */
+  getAttribute(name) {
+    return this.attributes.find(attribute => attribute.name === name)?.value;
+  }
+
+  /**
+   * Get the first media section of a type
+   */
+  getMedia(type = 'audio') {
+    return this.media.find(media => media.type === type) || null;
+  }
+
+  /**
+   * Get the connection address for a media section, falling back to the session level
+   */
+  getConnectionAddress(media) {
+    return (media.connection || this.connection)?.address || null;
+  }
+
+  /**
+   * Get the direction of a media section, falling back to the session level
+   */
+  getDirection(media) {
+    return media.getDirection() || findDirection(this.attributes) || 'sendrecv';
+  }
+}
+
+export class SDPMedia {
+  constructor(options = {}) {
+    this.type = options.type || 'audio';
+    this.port = options.port ?? 0;
+    this.numPorts = options.numPorts ?? null;
+    this.protocol = options.protocol || 'RTP/AVP';
+    this.formats = (options.formats || []).map(String);
+    this.connection = options.connection || null;
+    this.bandwidths = [];
+    this.attributes = [];
+    this.otherLines = [];
+  }
+
+  /**
+   * Parse the value of an m= line
+   */
+  static parseMediaLine(value) {
+    const [type, portPart, protocol, ...formats] = value.split(/\s+/);
+    const [port, numPorts] = portPart.split('/').map(Number);
+    
+    if (isNaN(port)) {
+      throw new Error(`Invalid SDP media line: m=${value}`);
+    }
+    
+    return new SDPMedia({ type, port, numPorts: numPorts ?? null, protocol, formats });
+  }
+
+  /**
+   * Serialize the media section
+   */
+  toLines() {
+    const port = this.numPorts ? `${this.port}/${this.numPorts}` : this.port;
+    const lines = [`m=${this.type} ${port} ${this.protocol} ${this.formats.join(' ')}`, ...pickLines(this.otherLines, 'i')];
+    
+    if (this.connection) {
+      lines.push(formatConnection(this.connection));
+    }
+    for (const { type, bandwidth } of this.bandwidths) {
+      lines.push(`b=${type}:${bandwidth}`);
+    }
+    lines.push(...pickLines(this.otherLines, 'k'), ...unknownLines(this.otherLines, 'ik'));
+    for (const attribute of this.attributes) {
+      lines.push(formatAttribute(attribute));
+    }
+    
+    return lines;
+  }
+
+  /**
+   * Get an attribute value (null for flags, undefined if absent)
+   */
+  getAttribute(name) {
+    return this.attributes.find(attribute => attribute.name === name)?.value;
+  }
+
+  /**
+   * Get all values of a repeated attribute
+   */
+  getAttributes(name) {
+    return this.attributes.filter(attribute => attribute.name === name).map(attribute => attribute.value);
+  }
+
+  /**
+   * Add an attribute; pass null as the value for a flag such as "sendrecv"
+   */
+  addAttribute(name, value = null) {
+    this.attributes.push({ name, value });
+    return this;
+  }
+
+  /**
+   * Replace all instances of an attribute
+   */
+  setAttribute(name, value = null) {
+    this.removeAttribute(name);
+    return this.addAttribute(name, value);
+  }
+
+  /**
+   * Remove all instances of an attribute
+   */
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter(attribute => attribute.name !== name);
+    return this;
+  }
+
+  /**
+   * Get the rtpmap for a payload type, using the RFC 3551 static table when absent
+   */
+  getRtpMap(payloadType) {
+    const pt = String(payloadType);
+    
+    for (const value of this.getAttributes('rtpmap')) {
+      const match = value.match(/^(\d+)\s+([^/\s]+)\/(\d+)(?:\/(\d+))?/);
+      if (match && match[1] === pt) {
+        return {
+          payloadType: parseInt(match[1]),
+          encodingName: match[2],
+          clockRate: parseInt(match[3]),
+          channels: match[4] ? parseInt(match[4]) : 1
+        };
+      }
+    }
+    
+    const staticType = STATIC_PAYLOAD_TYPES[pt];
+    return staticType ? { payloadType: parseInt(pt), ...staticType } : null;
+  }
+
+  /**
+   * Get the format parameters (a=fmtp) for a payload type
+   */
+  getFmtp(payloadType) {
+    const prefix = `${payloadType} `;
+    const value = this.getAttributes('fmtp').find(item => item.startsWith(prefix));
+    return value ? value.substring(prefix.length).trim() : null;
+  }
+
+  /**
+   * Describe every payload type listed on the m= line
+   */
+  getCodecs() {
+    return this.formats
+      .map(format => {
+        const rtpMap = this.getRtpMap(format);
+        return rtpMap ? { ...rtpMap, fmtp: this.getFmtp(format) } : null;
+      })
+      .filter(codec => codec);
+  }
+
+  /**
+   * Add a payload type with its rtpmap and optional fmtp
+   */
+  addCodec({ payloadType, encodingName, clockRate, channels = 1, fmtp = null }) {
+    this.formats.push(String(payloadType));
+    const channelSuffix = channels > 1 ? `/${channels}` : '';
+    this.addAttribute('rtpmap', `${payloadType} ${encodingName}/${clockRate}${channelSuffix}`);
+    if (fmtp) {
+      this.addAttribute('fmtp', `${payloadType} ${fmtp}`);
+    }
+    return this;
+  }
+
+  /**
+   * Get the packetization time in ms, if given
+   */
+  getPtime() {
+    const ptime = this.getAttribute('ptime');
+    return ptime ? parseFloat(ptime) : null;
+  }
+
+  /**
+   * Get the direction attribute, if given
+   */
+  getDirection() {
+    return findDirection(this.attributes);
+  }
+
+  /**
+   * Set the direction attribute
+   */
+  setDirection(direction) {
+    this.attributes = this.attributes.filter(attribute => !DIRECTIONS.includes(attribute.name));
+    return this.addAttribute(direction);
+  }
+
+  /**
+   * Check if the media stream was rejected or disabled (port 0)
+   */
+  isRejected() {
+    return this.port === 0;
+  }
+}
+
+/**
+ * Parse the value of a c= line
+ */
+function parseConnection(value) {
+  const [netType, addrType, address] = value.split(/\s+/);
+  // Strip multicast TTL/count suffixes
+  return { netType, addrType, address: address.split('/')[0] };
+}
+
+/**
+ * Build a c= line
+ */
+function formatConnection({ netType, addrType, address }) {
+  return `c=${netType} ${addrType} ${address}`;
+}
+
+/**
+ * Parse the value of an a= line into { name, value }
+ */
+function parseAttribute(value) {
+  const colonIndex = value.indexOf(':');
+  if (colonIndex === -1) {
+    return { name: value, value: null };
+  }
+  return { name: value.substring(0, colonIndex), value: value.substring(colonIndex + 1) };
+}
+
+/**
+ * Build an a= line
+ */
+function formatAttribute({ name, value }) {
+  return value === null || value === undefined ? `a=${name}` : `a=${name}:${value}`;
+}
+
+/**
+ * Take the kept lines of the given types, in that order (RFC 4566 §5 fixes the order of fields)
+ */
+function pickLines(lines, types) {
+  return [...types].flatMap(type => lines.filter(line => line[0] === type));
+}
+
+/**
+ * Take the kept lines of types RFC 4566 does not define, which go just before the attributes
+ */
+function unknownLines(lines, knownTypes) {
+  return lines.filter(line => !knownTypes.includes(line[0]));
+}
+
+/**
+ * Find a direction flag among attributes
+ */
+function findDirection(attributes) {
+  return attributes.find(attribute => DIRECTIONS.includes(attribute.name))?.name || null;
+}
+
+// Media direction attributes (RFC 4566 §6)
+export const DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive'];
+
+// Static audio payload types that need no rtpmap (RFC 3551 Table 4)
+export const STATIC_PAYLOAD_TYPES = {
+  '0': { encodingName: 'PCMU', clockRate: 8000, channels: 1 },
+  '3': { encodingName: 'GSM', clockRate: 8000, channels: 1 },
+  '4': { encodingName: 'G723', clockRate: 8000, channels: 1 },
+  '8': { encodingName: 'PCMA', clockRate: 8000, channels: 1 },
+  '9': { encodingName: 'G722', clockRate: 8000, channels: 1 },
+  '10': { encodingName: 'L16', clockRate: 44100, channels: 2 },
+  '11': { encodingName: 'L16', clockRate: 44100, channels: 1 },
+  '13': { encodingName: 'CN', clockRate: 8000, channels: 1 },
+  '18': { encodingName: 'G729', clockRate: 8000, channels: 1 }
+};
@@ -6,9 +6,17 @@
 import { EventEmitter } from 'events';
 import { SIPMessage, SIPMethods, SIPStatusCodes } from './sip/sip-message.js';
 import { TransactionManager } from './sip/sip-transaction.js';
+import { Dialog } from './sip/sip-dialog.js';
+import { NameAddr, SipUri } from './sip/sip-uri.js';
+import { Registrar } from './sip/sip-registrar.js';
+import { DigestAuthenticator } from './sip/sip-auth.js';
 import { RTPSession } from './rtp/rtp-session.js';
+import { MediaRelay } from './rtp/media-relay.js';
+import { RTPDemultiplexer } from './rtp/rtp-demux.js';
+import { DTMF, DTMF_CONTENT_TYPES } from './rtp/dtmf.js';
+import { OfferAnswer } from './sdp/offer-answer.js';
 import { UDPTransport } from './network/udp-transport.js';
-import { G711Codec } from './codecs/g711.js';
+import { codecRegistry } from './codecs/codec-registry.js';
 
 export class VoIPServer extends EventEmitter {
   constructor(options = {}) {
@@ -18,23 +26,34 @@ export class VoIPServer extends EventEmitter {
       host: options.host || '0.0.0.0',
       sipPort: options.sipPort || 5060,
       rtpPort: options.rtpPort || 10000,
+      // 'uas' answers calls itself, 'proxy' forwards them to registered contacts
+      mode: options.mode || 'uas',
+      // In proxy mode, anchor media on the server so the legs may use different codecs.
+      // Only INVITEs with an SDP offer are anchored, and re-INVITEs pass through untouched
+      mediaRelay: options.mediaRelay || false,
       ...options
     };
     
     // Core components
     this.transport = new UDPTransport(this.options);
-    this.transactionManager = new TransactionManager();
+    this.transactionManager = new TransactionManager(this.transport, {
+      timers: options.timers
+    });
+    
+    // Location service: AOR -> contact bindings, kept in options.locationStore if given
+    this.registrar = new Registrar({ store: options.locationStore, ...options.registrar });
+    
+    // Digest authentication, enabled with options.auth = { realm, users | credentialStore, ... }
+    this.authenticator = options.auth ? new DigestAuthenticator(options.auth) : null;
     
     // User agent state
-    this.registeredUsers = new Map();
     this.activeCalls = new Map();
     this.rtpSessions = new Map();
+    // Sorts packets on the shared RTP port into their calls
+    this.rtpDemux = new RTPDemultiplexer();
     
-    // Codec support
-    this.codecs = {
-      'PCMU': new G711Codec('mulaw'),
-      'PCMA': new G711Codec('alaw')
-    };
+    // Codecs offered and answered in calls this server takes part in
+    this.codecs = options.codecs || codecRegistry;
     
     // Statistics
     this.stats = {
@@ -42,6 +61,8 @@ export class VoIPServer extends EventEmitter {
       callsCompleted: 0,
       callsFailed: 0,
       registrations: 0,
+      authChallenges: 0,
+      authFailures: 0,
       startTime: Date.now()
     };
     
@@ -61,6 +82,9 @@ export class VoIPServer extends EventEmitter {
       // Set up event handlers
       this.setupEventHandlers();
       
+      // Start expiring stale registrations
+      this.registrar.start();
+      
       this.isRunning = true;
       console.log('VoIP Server started successfully');
       this.emit('started');
@@ -85,6 +109,10 @@ export class VoIPServer extends EventEmitter {
       this.terminateCall(call.callId);
     }
     
+    // Stop retransmission timers and registration sweeps
+    this.transactionManager.destroy();
+    this.registrar.stop();
+    
     // Close transport
     this.transport.close();
     
@@ -125,6 +153,20 @@ export class VoIPServer extends EventEmitter {
     console.log(`Received SIP ${message.method || message.statusCode} from ${rinfo.address}:${rinfo.port}`);
     
     if (message.isRequest()) {
+      this.stampVia(message, rinfo);
+      
+      // Retransmissions are absorbed by their server transaction
+      if (this.transactionManager.handleRequest(message)) {
+        return;
+      }
+      
+      if (message.method !== SIPMethods.ACK) {
+        this.transactionManager.createServerTransaction(message, rinfo, {
+          // A proxy relays the UAS's 2xx retransmissions instead of generating its own
+          retransmit2xx: this.options.mode !== 'proxy'
+        });
+      }
+      
       this.handleSIPRequest(message, rinfo);
     } else {
       this.handleSIPResponse(message, rinfo);
@@ -140,7 +182,10 @@ export class VoIPServer extends EventEmitter {
         this.handleRegister(request, rinfo);
         break;
       case SIPMethods.INVITE:
-        this.handleInvite(request, rinfo);
+        this.handleInvite(request, rinfo).catch((error) => {
+          console.error('Error handling INVITE:', error);
+          this.reply(request, 500, 'Server Internal Error', rinfo);
+        });
         break;
       case SIPMethods.ACK:
         this.handleAck(request, rinfo);
@@ -154,8 +199,11 @@ export class VoIPServer extends EventEmitter {
       case SIPMethods.OPTIONS:
         this.handleOptions(request, rinfo);
         break;
+      case SIPMethods.INFO:
+        this.handleInfo(request, rinfo);
+        break;
       default:
-        this.sendResponse(request, 501, 'Not Implemented', rinfo);
+        this.reply(request, 501, 'Not Implemented', rinfo);
     }
   }
 
@@ -163,15 +211,11 @@ export class VoIPServer extends EventEmitter {
    * Handle SIP response
    */
   handleSIPResponse(response, rinfo) {
-    // Find matching transaction
-    const callId = response.getCallId();
-    const cseq = response.getCSeq();
-    
-    if (callId && cseq) {
-      const transaction = this.transactionManager.findClientTransaction(`${callId}-${cseq.sequence}`);
-      if (transaction) {
-        transaction.handleResponse(response);
-      }
+    // The matching client transaction passes it on to whoever sent the request
+    const transaction = this.transactionManager.handleResponse(response);
+    
+    if (!transaction) {
+      console.warn(`Dropping stray ${response.statusCode} response for ${response.getCallId()}`);
     }
   }
 
@@ -179,41 +223,19 @@ export class VoIPServer extends EventEmitter {
    * Handle REGISTER request
    */
   handleRegister(request, rinfo) {
-    const from = request.getHeader('from');
-    const contact = request.getHeader('contact');
-    const expires = request.getHeader('expires') || '3600';
-    
-    if (!from || !contact) {
-      this.sendResponse(request, 400, 'Bad Request', rinfo);
+    // Only the owner of an AOR may change its bindings
+    if (!this.authorize(request, rinfo, { proxy: false, header: 'to' })) {
       return;
     }
     
-    // Extract user info
-    const userMatch = from.match(/sip:([^@]+)@/);
-    if (!userMatch) {
-      this.sendResponse(request, 400, 'Bad Request', rinfo);
-      return;
-    }
-    
-    const username = userMatch[1];
-    const userInfo = {
-      username,
-      contact,
-      expires: parseInt(expires),
-      registeredAt: Date.now(),
-      address: rinfo.address,
-      port: rinfo.port
-    };
-    
-    this.registeredUsers.set(username, userInfo);
-    this.stats.registrations++;
-    
-    console.log(`User registered: ${username} -> ${contact}`);
+    // The registrar adds, refreshes or removes bindings and lists the remaining ones
+    const response = this.registrar.processRegister(request, rinfo);
     
-    // Send 200 OK
-    const response = request.createResponse(200, 'OK');
-    response.setHeader('contact', contact);
-    response.setHeader('expires', expires);
+    if (response.statusCode === 200 && request.getHeader('contact')) {
+      this.stats.registrations++;
+      const to = request.getNameAddr('to');
+      console.log(`Registration for ${to.uri.getAOR()}: ${response.getHeaders('contact').length} binding(s)`);
+    }
     
     this.sendResponse(response, rinfo);
   }
@@ -221,36 +243,66 @@ export class VoIPServer extends EventEmitter {
   /**
    * Handle INVITE request
    */
-  handleInvite(request, rinfo) {
+  async handleInvite(request, rinfo) {
     const from = request.getHeader('from');
     const to = request.getHeader('to');
     const callId = request.getCallId();
     
     if (!from || !to || !callId) {
-      this.sendResponse(request, 400, 'Bad Request', rinfo);
+      this.reply(request, 400, 'Bad Request', rinfo);
       return;
     }
     
-    // Extract target user
-    const toMatch = to.match(/sip:([^@]+)@/);
-    if (!toMatch) {
-      this.sendResponse(request, 400, 'Bad Request', rinfo);
+    // Requests with a To tag belong to an existing dialog (re-INVITE)
+    if (request.getTags().toTag) {
+      if (this.options.mode === 'proxy') {
+        this.proxyInDialogRequest(request, rinfo);
+      } else {
+        this.handleReinvite(request, rinfo);
+      }
       return;
     }
     
-    const targetUser = toMatch[1];
-    const userInfo = this.registeredUsers.get(targetUser);
+    // Callers must prove who they are; a proxy challenges with 407, a UAS with 401
+    if (!this.authorize(request, rinfo, { proxy: this.options.mode === 'proxy', header: 'from' })) {
+      return;
+    }
+    
+    // Look up the target AOR, routing on the Request-URI as a proxy would
+    const requestUri = request.getRequestUri();
+    if (!requestUri?.user) {
+      this.reply(request, 400, 'Bad Request', rinfo);
+      return;
+    }
+    
+    const targetUser = requestUri.user;
+    
+    // Without forking, the most preferred binding gets the call
+    const userInfo = this.registrar.lookup(requestUri)[0];
     
     if (!userInfo) {
-      this.sendResponse(request, 404, 'Not Found', rinfo);
+      this.reply(request, 404, 'Not Found', rinfo);
+      return;
+    }
+    
+    if (this.options.mode === 'proxy') {
+      await this.proxyInvite(request, rinfo, userInfo);
       return;
     }
     
-    // Create call session
+    // The call is known before its ports are, so a CANCEL that comes in while
+    // they are being bound still finds it
     const call = {
       callId,
       from,
       to,
+      via: request.getHeader('via'),
+      cseq: request.getHeader('cseq'),
+      request,
+      localTag: Math.random().toString(36).substr(2, 8),
+      dialog: null,
+      media: null,
+      ports: null,
       state: 'incoming',
       startTime: Date.now(),
       sdp: request.body
@@ -259,10 +311,43 @@ export class VoIPServer extends EventEmitter {
     this.activeCalls.set(callId, call);
     this.stats.callsReceived++;
     
+    // Every call gets its own RTP/RTCP port pair
+    const ports = await this.transport.allocateRTPPorts(callId);
+    if (this.activeCalls.get(callId) !== call) {
+      // Cancelled in the meantime; the CANCEL has already answered the INVITE
+      if (ports) {
+        this.transport.releaseRTPPorts(callId);
+      }
+      return;
+    }
+    if (!ports) {
+      this.terminateCall(callId);
+      const response = request.createResponse(503, 'Service Unavailable');
+      response.setHeader('retry-after', String(SERVER_CONSTANTS.RETRY_AFTER));
+      response.setHeader('content-length', '0');
+      this.sendResponse(response, rinfo);
+      return;
+    }
+    call.ports = ports;
+    
+    // Answer the SDP offer now so an unacceptable one is rejected before ringing
+    const media = this.createMediaNegotiation(ports.rtpPort);
+    if (request.body && !media.createAnswer(request.body)) {
+      this.terminateCall(callId);
+      this.reply(request, 488, 'Not Acceptable Here', rinfo);
+      return;
+    }
+    call.media = media;
+    
+    // Media for this call arrives on its own ports
+    ports.on('rtp', (data, packetInfo) => this.handleCallRTP(call, data, packetInfo));
+    ports.on('rtcp', (data) => this.rtpSessions.get(callId)?.handleRTCP(data));
+    
     console.log(`Incoming call from ${from} to ${targetUser}`);
     
     // Send 180 Ringing
     const ringing = request.createResponse(180, 'Ringing');
+    ringing.setHeader('to', `${to};tag=${call.localTag}`);
     this.sendResponse(ringing, rinfo);
     
     // Simulate call acceptance after 2 seconds
@@ -271,6 +356,358 @@ export class VoIPServer extends EventEmitter {
     }, 2000);
   }
 
+  /**
+   * Forward an INVITE to the callee's registered contact
+   */
+  async proxyInvite(request, rinfo, userInfo) {
+    const callId = request.getCallId();
+    
+    const calleeUri = this.extractContactUri(userInfo.contact);
+    const forwarded = this.createForwardedRequest(request, rinfo, calleeUri);
+    if (!forwarded) return;
+    
+    // Credentials for our realm are used up here (RFC 3261 §22.3)
+    this.authenticator?.removeCredentials(forwarded, true);
+    
+    // Stay on the signaling path for ACK, BYE and re-INVITEs
+    forwarded.prependHeader('record-route', `<sip:${this.getSentBy()};lr>`);
+    
+    const call = {
+      callId,
+      from: request.getHeader('from'),
+      to: request.getHeader('to'),
+      state: 'proceeding',
+      startTime: Date.now(),
+      sdp: request.body,
+      request,
+      forwardedInvite: forwarded,
+      caller: {
+        address: rinfo.address,
+        port: rinfo.port,
+        uri: this.extractContactUri(request.getHeaders('contact')[0] || request.getHeader('from'))
+      },
+      callee: {
+        address: userInfo.address,
+        port: userInfo.port,
+        uri: calleeUri
+      },
+      relayMedia: null,
+      mediaRelay: null,
+      // Set while a CANCEL waits for the callee's first provisional response
+      cancelPending: false
+    };
+    
+    // Known before the relay ports are bound, so a CANCEL in the meantime still finds it
+    this.activeCalls.set(callId, call);
+    this.stats.callsReceived++;
+    
+    const trying = request.createResponse(100, 'Trying');
+    trying.setHeader('content-length', '0');
+    this.sendResponse(trying, rinfo);
+    
+    // With the relay, the callee gets our offer in place of the caller's
+    if (this.options.mediaRelay && request.body) {
+      call.relayMedia = await this.prepareMediaRelay(call, rinfo);
+      if (!call.relayMedia) return;
+    }
+    
+    const transaction = this.transactionManager.createClientTransaction(forwarded, {
+      address: userInfo.address,
+      port: userInfo.port
+    });
+    call.clientTransaction = transaction;
+    
+    transaction.on('response', (response) => {
+      this.handleProxiedInviteResponse(call, response);
+    });
+    
+    transaction.on('timeout', () => {
+      this.reply(request, 408, 'Request Timeout', rinfo);
+      this.terminateCall(callId);
+    });
+    
+    console.log(`Proxying call ${callId} to ${calleeUri} (${userInfo.address}:${userInfo.port})`);
+  }
+
+  /**
+   * Forward a request within a proxied call to the other party
+   */
+  proxyInDialogRequest(request, rinfo) {
+    const call = this.activeCalls.get(request.getCallId());
+    if (!call || !call.forwardedInvite) {
+      if (request.method !== SIPMethods.ACK) {
+        this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+      }
+      return null;
+    }
+    
+    const forwarded = this.createForwardedRequest(request, rinfo);
+    if (!forwarded) {
+      return null;
+    }
+    
+    const target = this.applyRouting(forwarded, call);
+    
+    // ACK has no response, so it is forwarded statelessly
+    if (request.method === SIPMethods.ACK) {
+      this.transport.sendSIPMessage(forwarded, target.address, target.port);
+      return forwarded;
+    }
+    
+    const transaction = this.transactionManager.createClientTransaction(forwarded, target);
+    
+    transaction.on('response', (response) => {
+      if (request.method === SIPMethods.BYE && response.statusCode >= 200) {
+        this.terminateCall(call.callId);
+      }
+      this.relayResponse(response);
+    });
+    
+    transaction.on('timeout', () => {
+      this.reply(request, 408, 'Request Timeout', rinfo);
+    });
+    
+    return forwarded;
+  }
+
+  /**
+   * Process Route headers of a forwarded in-dialog request (RFC 3261 §16.4, §16.6)
+   * and work out where it goes next
+   */
+  applyRouting(request, call) {
+    const routes = request.getHeaders('route');
+    
+    if (this.isOwnUri(request.uri) && routes.length > 0) {
+      // Sent by a strict router: the real target is the last Route entry
+      request.uri = this.extractContactUri(routes.pop());
+    } else if (routes.length > 0 && this.isOwnUri(this.extractContactUri(routes[0]))) {
+      routes.shift();
+    }
+    
+    if (routes.length > 0) {
+      request.setHeader('route', routes);
+    } else {
+      request.removeHeader('route');
+    }
+    
+    const nextHop = routes.length > 0 ? this.extractContactUri(routes[0]) : request.uri;
+    
+    // Reach the parties of the call where their requests actually came from
+    const nextHopUri = SipUri.parse(nextHop);
+    for (const party of [call.caller, call.callee]) {
+      if (nextHopUri.equals(party.uri)) {
+        return { address: party.address, port: party.port };
+      }
+    }
+    
+    return {
+      address: nextHopUri.getParam('maddr') || nextHopUri.host,
+      port: nextHopUri.getPort()
+    };
+  }
+
+  /**
+   * Track the state of a proxied call from the callee's INVITE responses
+   */
+  handleProxiedInviteResponse(call, response) {
+    const statusCode = response.statusCode;
+    
+    // A CANCEL held back for the first provisional response goes out now;
+    // once a final response has come there is nothing left to cancel
+    if (call.cancelPending) {
+      call.cancelPending = false;
+      if (statusCode < 200) {
+        this.cancelForwardedInvite(call);
+      }
+    }
+    
+    // Our own 100 Trying has already gone upstream
+    if (statusCode === 100) return;
+    
+    if (statusCode < 200) {
+      call.state = 'ringing';
+    } else if (statusCode < 300) {
+      if (call.relayMedia && !this.startMediaRelay(call, response)) {
+        this.failRelayedCall(call, response);
+        return;
+      }
+      call.state = 'accepted';
+    } else {
+      // The client transaction has already sent the hop-by-hop ACK
+      this.terminateCall(call.callId);
+    }
+    
+    this.relayResponse(response);
+  }
+
+  /**
+   * Send a CANCEL for a proxied call's forwarded INVITE
+   */
+  cancelForwardedInvite(call) {
+    this.transactionManager.createClientTransaction(
+      call.forwardedInvite.createCancel(),
+      { address: call.callee.address, port: call.callee.port }
+    );
+  }
+
+  /**
+   * Anchor a proxied call's media: answer the caller's offer on one port pair
+   * and rewrite the forwarded INVITE to offer the callee another. Returns the
+   * two legs' ports and negotiation, or null once the call is over: rejected
+   * here, or cancelled while the ports were being bound
+   */
+  async prepareMediaRelay(call, rinfo) {
+    const { callId, request, forwardedInvite: forwarded } = call;
+    const callerPorts = await this.transport.allocateRTPPorts(`${callId}/caller`);
+    const calleePorts = callerPorts && await this.transport.allocateRTPPorts(`${callId}/callee`);
+    if (this.activeCalls.get(callId) !== call) {
+      // The CANCEL has already answered the INVITE
+      this.releaseRelayPorts(callId);
+      return null;
+    }
+    if (!calleePorts) {
+      this.releaseRelayPorts(callId);
+      this.terminateCall(callId);
+      const response = request.createResponse(503, 'Service Unavailable');
+      response.setHeader('retry-after', String(SERVER_CONSTANTS.RETRY_AFTER));
+      response.setHeader('content-length', '0');
+      this.sendResponse(response, rinfo);
+      return null;
+    }
+    
+    const caller = { ports: callerPorts, media: this.createMediaNegotiation(callerPorts.rtpPort) };
+    if (!caller.media.createAnswer(request.body)) {
+      this.releaseRelayPorts(callId);
+      this.terminateCall(callId);
+      this.reply(request, 488, 'Not Acceptable Here', rinfo);
+      return null;
+    }
+    
+    // Offering the caller's codec and ptime first lets the legs match without transcoding
+    const callee = { ports: calleePorts, media: this.createMediaNegotiation(calleePorts.rtpPort) };
+    const preferred = caller.media.negotiated;
+    callee.media.ptime = preferred.ptime;
+    const codecs = callee.media.getLocalCodecs();
+    callee.media.codecs = [
+      ...codecs.filter(codec => isSameCodec(codec, preferred)),
+      ...codecs.filter(codec => !isSameCodec(codec, preferred))
+    ];
+    
+    const offer = callee.media.createOffer();
+    forwarded.body = offer;
+    forwarded.setHeader('content-type', 'application/sdp');
+    forwarded.setHeader('content-length', Buffer.byteLength(offer).toString());
+    
+    return { caller, callee };
+  }
+
+  /**
+   * Take the callee's answer on the relay and give the caller our answer instead;
+   * the relay starts with the first 2xx and later retransmissions are only rewritten.
+   * Returns false if the callee's answer leaves nothing to relay
+   */
+  startMediaRelay(call, response) {
+    const { caller, callee } = call.relayMedia;
+    
+    if (!call.mediaRelay) {
+      // Only the first answer counts; a rejected one is not looked at again
+      if (callee.media.state !== 'offered' || !response.body || !callee.media.processAnswer(response.body)) {
+        return false;
+      }
+    
+      call.mediaRelay = new MediaRelay({
+        registry: this.codecs,
+        caller: { ports: caller.ports, negotiated: caller.media.negotiated },
+        callee: { ports: callee.ports, negotiated: callee.media.negotiated }
+      });
+      call.mediaRelay.start();
+      
+      const stats = call.mediaRelay.getStats();
+      console.log(`Call ${call.callId}: relaying ${stats.caller} <-> ${stats.callee}${stats.transcoding ? ' (transcoding)' : ''}`);
+    }
+    
+    const answer = caller.media.getLocalSdp();
+    response.body = answer;
+    response.setHeader('content-type', 'application/sdp');
+    response.setHeader('content-length', Buffer.byteLength(answer).toString());
+    return true;
+  }
+
+  /**
+   * End a relayed call whose callee answered with nothing the relay can use:
+   * the callee's 2xx is ACKed and followed by a BYE, and the caller's INVITE
+   * is rejected instead of being answered with SDP for a relay that does not exist.
+   * Retransmissions of the 2xx only get the ACK again
+   */
+  failRelayedCall(call, response) {
+    const callee = { address: call.callee.address, port: call.callee.port };
+    
+    if (!call.calleeAck) {
+      console.warn(`Call ${call.callId}: no usable answer from the callee; ending the call`);
+    
+      // The forwarded INVITE went straight to the callee, so the dialog needs no route set
+      const dialog = Dialog.createAsUAC(call.forwardedInvite, response, {
+        sentBy: this.getSentBy(),
+        localContact: this.getContact()
+      });
+      dialog.routeSet = [];
+      call.calleeAck = dialog.createRequest(SIPMethods.ACK);
+      this.transport.sendSIPMessage(call.calleeAck, callee.address, callee.port);
+      this.transactionManager.createClientTransaction(dialog.createRequest(SIPMethods.BYE), callee);
+    
+      this.reply(call.request, 488, 'Not Acceptable Here', call.caller);
+      this.terminateCall(call.callId);
+      return;
+    }
+    
+    this.transport.sendSIPMessage(call.calleeAck, callee.address, callee.port);
+  }
+
+  /**
+   * Return a relayed call's port pairs to the pool
+   */
+  releaseRelayPorts(callId) {
+    this.transport.releaseRTPPorts(`${callId}/caller`);
+    this.transport.releaseRTPPorts(`${callId}/callee`);
+  }
+
+  /**
+   * Relay a response one hop back along its Via path
+   */
+  relayResponse(response) {
+    response.popHeader('via');
+    const nextVia = response.getTopVia();
+    if (!nextVia) {
+      // Response to a request the proxy generated itself, such as CANCEL
+      return;
+    }
+    
+    // The upstream server transaction sends it on and handles retransmissions
+    this.sendResponse(response, this.getViaDestination(nextVia));
+  }
+
+  /**
+   * Copy a request for forwarding: push our Via and decrement Max-Forwards
+   */
+  createForwardedRequest(request, rinfo, uri) {
+    const maxForwards = parseInt(request.getHeader('max-forwards') || '70');
+    if (maxForwards <= 0) {
+      if (request.method !== SIPMethods.ACK) {
+        this.reply(request, 483, 'Too Many Hops', rinfo);
+      }
+      return null;
+    }
+    
+    const forwarded = SIPMessage.parse(request.toString());
+    if (uri) {
+      forwarded.uri = uri;
+    }
+    forwarded.prependHeader('via', `SIP/2.0/UDP ${this.getSentBy()};branch=${this.generateBranch()}`);
+    forwarded.setHeader('max-forwards', (maxForwards - 1).toString());
+    
+    return forwarded;
+  }
+
   /**
    * Accept incoming call
    */
@@ -282,16 +719,18 @@ export class VoIPServer extends EventEmitter {
     
     call.state = 'accepted';
     
-    // Create RTP session
-    const rtpSession = new RTPSession({
-      payloadType: 0, // PCMU
-      clockRate: 8000
-    });
-    
-    this.rtpSessions.set(callId, rtpSession);
+    // Create RTP session from the negotiated answer; without an offer it waits for the ACK
+    if (call.media.negotiated) {
+      this.createRTPSession(call);
+    }
     
-    // Send 200 OK with SDP
-    const response = this.createInviteResponse(call);
+    // Send 200 OK with our answer, or with an offer if the INVITE had none
+    const sdp = call.request.body ? call.media.getLocalSdp() : call.media.createOffer();
+    const response = this.createInviteResponse(call, call.request, sdp);
+    call.dialog = Dialog.createAsUAS(call.request, response, {
+      sentBy: this.getSentBy(),
+      localContact: this.getContact()
+    });
     this.sendResponse(response, rinfo);
     
     console.log(`Call ${callId} accepted`);
@@ -300,44 +739,70 @@ export class VoIPServer extends EventEmitter {
   /**
    * Create INVITE response with SDP
    */
-  createInviteResponse(call) {
-    const response = new SIPMessage();
-    response.version = 'SIP/2.0';
-    response.statusCode = 200;
-    response.reasonPhrase = 'OK';
-    
-    // Copy headers from original request
-    response.setHeader('via', call.via);
-    response.setHeader('from', call.from);
-    response.setHeader('to', call.to);
-    response.setHeader('call-id', call.callId);
-    response.setHeader('cseq', call.cseq);
+  createInviteResponse(call, request, sdp) {
+    const response = request.createResponse(200, 'OK');
+    if (!request.getTags().toTag) {
+      response.setHeader('to', `${call.to};tag=${call.localTag}`);
+    }
+    response.setHeader('contact', this.getContact());
+    if (request.getHeader('record-route')) {
+      response.setHeader('record-route', request.getHeaders('record-route'));
+    }
     
     // Add SDP body
-    const sdp = this.generateSDP();
     response.setHeader('content-type', 'application/sdp');
-    response.setHeader('content-length', sdp.length.toString());
+    response.setHeader('content-length', Buffer.byteLength(sdp).toString());
     response.body = sdp;
     
     return response;
   }
 
   /**
-   * Generate SDP for response
+   * Create the offer/answer state for a call this server answers
+   */
+  createMediaNegotiation(port = this.options.rtpPort) {
+    return new OfferAnswer({
+      address: this.getPublicHost(),
+      port,
+      registry: this.codecs
+    });
+  }
+
+  /**
+   * Create the RTP session for a call from its negotiated media
    */
-  generateSDP() {
-    const rtpPort = this.transport.getAvailableRTPPort();
+  createRTPSession(call) {
+    const negotiated = call.media.negotiated;
+    const rtpSession = new RTPSession({
+      payloadType: negotiated.payloadType,
+      encodingName: negotiated.encodingName,
+      clockRate: negotiated.clockRate,
+      channels: negotiated.channels,
+      fmtp: negotiated.fmtp,
+      ptime: negotiated.ptime,
+      remoteAddress: negotiated.remoteAddress,
+      remotePort: negotiated.remotePort,
+      direction: negotiated.direction,
+      comfortNoise: negotiated.comfortNoise,
+      telephoneEvent: negotiated.telephoneEvent,
+      registry: this.codecs
+    });
     
-    return `v=0
-o=- 1234567890 1234567890 IN IP4 ${this.options.host}
-s=VoIP Call
-c=IN IP4 ${this.options.host}
-t=0 0
-m=audio ${rtpPort} RTP/AVP 0 8
-a=rtpmap:0 PCMU/8000
-a=rtpmap:8 PCMA/8000
-a=ptime:20
-a=maxptime:40`;
+    // Reports go out from the call's own RTCP port
+    rtpSession.on('rtcp', (data, address, port) => {
+      call.ports?.sendRTCP(data, address, port);
+    });
+    
+    // Digits pressed by the caller (RFC 4733)
+    rtpSession.on('dtmf', (event) => {
+      console.log(`Call ${call.callId}: DTMF ${event.digit} (${event.duration} ms)`);
+      this.emit('dtmf', { callId: call.callId, ...event });
+    });
+    
+    this.rtpSessions.get(call.callId)?.stop();
+    this.rtpSessions.set(call.callId, rtpSession);
+    this.rtpDemux.add(call.callId, rtpSession);
+    return rtpSession;
   }
 
   /**
@@ -347,7 +812,21 @@ a=maxptime:40`;
     const callId = request.getCallId();
     const call = this.activeCalls.get(callId);
     
+    if (this.options.mode === 'proxy') {
+      // ACK for a 2xx is end-to-end; ACK for a non-2xx ends at this hop
+      if (call && (call.state === 'accepted' || call.state === 'established')) {
+        call.state = 'established';
+        this.proxyInDialogRequest(request, rinfo);
+      }
+      return;
+    }
+    
     if (call) {
+      // We offered in the 200 OK, so the answer is in the ACK
+      if (call.media.state === 'offered' && request.body && call.media.processAnswer(request.body)) {
+        this.createRTPSession(call);
+      }
+      
       call.state = 'established';
       console.log(`Call ${callId} established`);
       
@@ -363,18 +842,142 @@ a=maxptime:40`;
    * Handle BYE request
    */
   handleBye(request, rinfo) {
-    const callId = request.getCallId();
-    this.terminateCall(callId);
+    if (this.options.mode === 'proxy') {
+      this.proxyInDialogRequest(request, rinfo);
+      return;
+    }
+    
+    const call = this.matchDialogCall(request, rinfo);
+    if (!call) return;
+    
+    this.terminateCall(call.callId);
     
     const response = request.createResponse(200, 'OK');
     this.sendResponse(response, rinfo);
   }
 
+  /**
+   * Handle INFO within a call: DTMF signaled out of band instead of as RTP events
+   */
+  handleInfo(request, rinfo) {
+    if (this.options.mode === 'proxy') {
+      this.proxyInDialogRequest(request, rinfo);
+      return;
+    }
+    
+    const call = this.matchDialogCall(request, rinfo);
+    if (!call) return;
+    
+    // An INFO without a body only checks that the dialog is still alive
+    if (!request.body) {
+      this.reply(request, 200, 'OK', rinfo);
+      return;
+    }
+    
+    const contentType = request.getHeader('content-type');
+    const event = DTMF.parseInfoBody(contentType, request.body);
+    if (!event) {
+      const type = (contentType || '').split(';')[0].trim().toLowerCase();
+      if (Object.values(DTMF_CONTENT_TYPES).includes(type)) {
+        this.reply(request, 400, 'Bad Request', rinfo);
+        return;
+      }
+      
+      const response = request.createResponse(415, 'Unsupported Media Type');
+      response.setHeader('accept', Object.values(DTMF_CONTENT_TYPES).join(', '));
+      response.setHeader('content-length', '0');
+      this.sendResponse(response, rinfo);
+      return;
+    }
+    
+    this.reply(request, 200, 'OK', rinfo);
+    console.log(`Call ${call.callId}: DTMF ${event.digit} (${event.duration} ms) via INFO`);
+    this.emit('dtmf', { callId: call.callId, ...event, method: 'info' });
+  }
+
+  /**
+   * Handle a re-INVITE for a call this server answered
+   */
+  handleReinvite(request, rinfo) {
+    const call = this.matchDialogCall(request, rinfo);
+    if (!call) return;
+    
+    // Answer the new offer, or make one if the re-INVITE has no body
+    let sdp;
+    if (request.body) {
+      sdp = call.media.createAnswer(request.body);
+      if (!sdp) {
+        this.reply(request, 488, 'Not Acceptable Here', rinfo);
+        return;
+      }
+      this.rtpSessions.get(call.callId)?.configure(call.media.negotiated);
+    } else {
+      sdp = call.media.createOffer();
+    }
+    
+    call.sdp = request.body;
+    this.sendResponse(this.createInviteResponse(call, request, sdp), rinfo);
+  }
+
+  /**
+   * Find the answered call an in-dialog request belongs to,
+   * rejecting it with 481 or 500 (RFC 3261 §12.2.2) when it does not fit
+   */
+  matchDialogCall(request, rinfo) {
+    const call = this.activeCalls.get(request.getCallId());
+    if (!call?.dialog || call.dialog.getId() !== Dialog.idForIncomingRequest(request)) {
+      this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+      return null;
+    }
+    
+    if (!call.dialog.receiveRequest(request)) {
+      this.reply(request, 500, 'Server Internal Error', rinfo);
+      return null;
+    }
+    
+    return call;
+  }
+
   /**
    * Handle CANCEL request
    */
   handleCancel(request, rinfo) {
     const callId = request.getCallId();
+    
+    if (this.options.mode === 'proxy') {
+      const call = this.activeCalls.get(callId);
+      const inviteTransaction = this.transactionManager.matchCancelledTransaction(request);
+      if (!inviteTransaction || !call?.forwardedInvite) {
+        this.reply(request, 481, 'Call/Transaction Does Not Exist', rinfo);
+        return;
+      }
+      
+      this.reply(request, 200, 'OK', rinfo);
+      
+      // Not forwarded yet (relay ports still being bound): the INVITE ends here
+      if (!call.clientTransaction) {
+        this.reply(call.request, 487, 'Request Terminated', rinfo);
+        this.terminateCall(callId);
+        return;
+      }
+      
+      // The callee answers the INVITE with 487, which is relayed back upstream.
+      // It can only be cancelled once it has drawn a provisional response (RFC 3261 §9.1)
+      const inviteState = call.clientTransaction.state;
+      if (inviteState === 'calling') {
+        call.cancelPending = true;
+      } else if (inviteState === 'proceeding') {
+        this.cancelForwardedInvite(call);
+      }
+      return;
+    }
+    
+    // Terminate the pending INVITE before forgetting the call
+    const call = this.activeCalls.get(callId);
+    if (call?.state === 'incoming') {
+      this.reply(call.request, 487, 'Request Terminated', rinfo);
+    }
+    
     this.terminateCall(callId);
     
     const response = request.createResponse(200, 'OK');
@@ -386,7 +989,7 @@ a=maxptime:40`;
    */
   handleOptions(request, rinfo) {
     const response = request.createResponse(200, 'OK');
-    response.setHeader('allow', 'INVITE, ACK, BYE, CANCEL, OPTIONS, REGISTER');
+    response.setHeader('allow', 'INVITE, ACK, BYE, CANCEL, OPTIONS, REGISTER, INFO');
     response.setHeader('accept', 'application/sdp');
     
     this.sendResponse(response, rinfo);
@@ -398,15 +1001,15 @@ a=maxptime:40`;
   terminateCall(callId) {
     const call = this.activeCalls.get(callId);
     if (call) {
-      call.state = 'terminated';
-      call.endTime = Date.now();
-      
       if (call.state === 'established') {
         this.stats.callsCompleted++;
       } else {
         this.stats.callsFailed++;
       }
       
+      call.state = 'terminated';
+      call.endTime = Date.now();
+      
       this.activeCalls.delete(callId);
       
       // Stop RTP session
@@ -414,6 +1017,14 @@ a=maxptime:40`;
       if (rtpSession) {
         rtpSession.stop();
         this.rtpSessions.delete(callId);
+        this.rtpDemux.remove(callId);
+      }
+      
+      // Return the call's ports to the pool
+      this.transport.releaseRTPPorts(callId);
+      if (call.relayMedia) {
+        call.mediaRelay?.stop();
+        this.releaseRelayPorts(callId);
       }
       
       console.log(`Call ${callId} terminated`);
@@ -421,15 +1032,23 @@ a=maxptime:40`;
   }
 
   /**
-   * Handle RTP data
+   * Handle RTP arriving on a call's own port
+   */
+  handleCallRTP(call, data, rinfo) {
+    const rtpSession = this.rtpSessions.get(call.callId);
+    if (rtpSession?.isActive) {
+      rtpSession.receivePacket(data);
+    }
+  }
+
+  /**
+   * Handle RTP arriving on the shared RTP port
    */
   handleRTPData(data, rinfo) {
-    // Find matching RTP session
-    for (const [callId, rtpSession] of this.rtpSessions) {
-      if (rtpSession.isActive) {
-        rtpSession.receivePacket(data);
-        break;
-      }
+    // Match on SSRC and source address; unknown streams are counted and dropped
+    const rtpSession = this.rtpDemux.route(data, rinfo);
+    if (rtpSession?.isActive) {
+      rtpSession.receivePacket(data);
     }
   }
 
@@ -437,7 +1056,111 @@ a=maxptime:40`;
    * Send SIP response
    */
   sendResponse(response, rinfo) {
-    this.transport.sendSIPMessage(response, rinfo.address, rinfo.port);
+    // Responses normally go out through their server transaction
+    if (!this.transactionManager.respond(response)) {
+      this.transport.sendSIPMessage(response, rinfo.address, rinfo.port);
+    }
+  }
+
+  /**
+   * Create and send a response without a body
+   */
+  reply(request, statusCode, reasonPhrase, rinfo) {
+    const response = request.createResponse(statusCode, reasonPhrase || SIPStatusCodes[statusCode]);
+    response.setHeader('content-length', '0');
+    this.sendResponse(response, rinfo);
+  }
+
+  /**
+   * Check a request's digest credentials; sends the challenge or rejection and returns false if not authorized
+   * `header` names the header (From or To) whose user must match the authenticated username
+   */
+  authorize(request, rinfo, { proxy, header }) {
+    if (!this.authenticator) return true;
+    
+    const result = this.authenticator.authenticate(request, { proxy });
+    let response = result.response;
+    
+    if (!response && request.getNameAddr(header)?.uri.user !== result.username) {
+      console.log(`${result.username} may not act as ${request.getNameAddr(header)?.uri.getAOR()}`);
+      response = request.createResponse(403, 'Forbidden');
+      response.setHeader('content-length', '0');
+    }
+    
+    if (!response) return true;
+    
+    if (response.statusCode === 401 || response.statusCode === 407) {
+      this.stats.authChallenges++;
+    } else {
+      this.stats.authFailures++;
+    }
+    this.sendResponse(response, rinfo);
+    return false;
+  }
+
+  /**
+   * Record where a request really came from (RFC 3261 §18.2.1, RFC 3581)
+   */
+  stampVia(request, rinfo) {
+    const topVia = request.popHeader('via');
+    if (!topVia) return;
+    
+    request.prependHeader('via', topVia.replace(/;(received|rport)(=[^;]*)?/gi, '') +
+      `;received=${rinfo.address};rport=${rinfo.port}`);
+  }
+
+  /**
+   * Where to send a response for the given parsed Via
+   */
+  getViaDestination(via) {
+    return {
+      address: via.params.received || via.host,
+      port: via.params.rport ? parseInt(via.params.rport) : via.port
+    };
+  }
+
+  /**
+   * Host and port this server puts in Via and Record-Route headers
+   */
+  getSentBy() {
+    return `${this.getPublicHost()}:${this.options.sipPort}`;
+  }
+
+  /**
+   * Address other parties can reach this server on
+   */
+  getPublicHost() {
+    return this.options.publicHost ||
+      (this.options.host === '0.0.0.0' ? '127.0.0.1' : this.options.host);
+  }
+
+  /**
+   * Contact header value for calls this server answers
+   */
+  getContact() {
+    return `<sip:${this.getSentBy()}>`;
+  }
+
+  /**
+   * Check whether a SIP URI points at this server
+   */
+  isOwnUri(uri) {
+    const parsed = SipUri.tryParse(uri);
+    return !!parsed?.host && `${parsed.host}:${parsed.getPort()}` === this.getSentBy();
+  }
+
+  /**
+   * Extract the URI from a Contact or From header value
+   */
+  extractContactUri(value) {
+    return NameAddr.parse(value).uri.toString();
+  }
+
+  /**
+   * Generate a unique branch parameter
+   */
+  generateBranch() {
+    return 'z9hG4bK' + Math.random().toString(36).substr(2, 9);
   }
 
   /**
@@ -450,9 +1173,15 @@ a=maxptime:40`;
     return {
       ...this.stats,
       uptime,
-      registeredUsers: this.registeredUsers.size,
+      registeredUsers: this.registrar.getAORCount(),
+      registeredContacts: this.registrar.getAllBindings().length,
       activeCalls: this.activeCalls.size,
       activeRTPSessions: this.rtpSessions.size,
+      // Per relayed call: each leg's codec and each direction's relay and transcoding counters
+      mediaRelays: Object.fromEntries(this.getActiveCalls()
+        .filter(call => call.mediaRelay)
+        .map(call => [call.callId, call.mediaRelay.getStats()])),
+      rtp: this.rtpDemux.getStats(),
       transport: this.transport.getStats(),
       transactions: this.transactionManager.getStats()
     };
@@ -462,7 +1191,7 @@ a=maxptime:40`;
    * Get registered users
    */
   getRegisteredUsers() {
-    return Array.from(this.registeredUsers.values());
+    return this.registrar.getAllBindings();
   }
 
   /**
@@ -476,16 +1205,14 @@ a=maxptime:40`;
    * Register a user programmatically
    */
   registerUser(username, contact, expires = 3600) {
-    const userInfo = {
-      username,
-      contact,
-      expires,
-      registeredAt: Date.now(),
-      address: '127.0.0.1',
-      port: 5060
-    };
+    // A bare username is registered in this server's own domain
+    const aor = username.includes(':') ? username : `sip:${username}@${this.getPublicHost()}`;
     
-    this.registeredUsers.set(username, userInfo);
+    const userInfo = this.registrar.addBinding({
+      aor: Registrar.getAOR(aor),
+      contact: this.extractContactUri(contact),
+      expires
+    });
     this.stats.registrations++;
     
     return userInfo;
@@ -495,9 +1222,9 @@ a=maxptime:40`;
    * Unregister a user
    */
   unregisterUser(username) {
-    const user = this.registeredUsers.get(username);
-    if (user) {
-      this.registeredUsers.delete(username);
+    const aor = username.includes(':') ? username : `sip:${username}@${this.getPublicHost()}`;
+    
+    if (this.registrar.removeAOR(aor)) {
       console.log(`User unregistered: ${username}`);
       return true;
     }
@@ -505,5 +1232,18 @@ a=maxptime:40`;
   }
 }
 
+/**
+ * Whether an SDP codec is the negotiated one
+ */
+function isSameCodec(codec, negotiated) {
+  return codec.encodingName.toLowerCase() === negotiated.encodingName.toLowerCase() &&
+    codec.clockRate === negotiated.clockRate &&
+    (codec.channels || 1) === (negotiated.channels || 1);
+}
+
+export const SERVER_CONSTANTS = {
+  RETRY_AFTER: 30  // seconds, sent with 503 when no RTP ports are free
+};
+
 // Export the server class
 export default VoIPServer; 
\ No newline at end of file
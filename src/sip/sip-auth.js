@@ -0,0 +1,407 @@
+/**
+ * SIP Digest Authentication
+ * HTTP Digest as used by SIP (RFC 3261 §22, RFC 2617, RFC 8760)
+ *
+ * Flow:
+ * 1. The server answers a request without credentials with 401 (registrar/UAS,
+ *    WWW-Authenticate) or 407 (proxy, Proxy-Authenticate) carrying a nonce
+ * 2. The client resends the request with a new CSeq and an Authorization or
+ *    Proxy-Authorization header holding H(HA1:nonce:nc:cnonce:qop:HA2)
+ * 3. The server recomputes the digest from the stored credentials
+ *
+ * Nonces are stateless: a timestamp signed with a server secret, so any
+ * nonce we issued can be checked for tampering and age. An expired nonce
+ * with an otherwise correct digest is re-challenged with stale=true.
+ * Credentials must use qop=auth, and each nonce count is accepted only once.
+ */
+
+import crypto from 'crypto';
+import { SipUri } from './sip-uri.js';
+
+export class Digest {
+  /**
+   * Hash a string with a digest algorithm ("MD5", "SHA-256", with or without "-sess")
+   */
+  static hash(algorithm, data) {
+    const hashName = HASH_FUNCTIONS[Digest.baseAlgorithm(algorithm)];
+    if (!hashName) {
+      throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+    }
+    return crypto.createHash(hashName).update(data).digest('hex');
+  }
+
+  /**
+   * Strip the "-sess" suffix and normalize the case of an algorithm name
+   */
+  static baseAlgorithm(algorithm = 'MD5') {
+    return algorithm.toUpperCase().replace(/-SESS$/, '');
+  }
+
+  /**
+   * Check if we can compute digests for an algorithm
+   */
+  static isSupported(algorithm = 'MD5') {
+    return Boolean(HASH_FUNCTIONS[Digest.baseAlgorithm(algorithm)]);
+  }
+
+  /**
+   * HA1 = H(username:realm:password)
+   */
+  static computeHA1(algorithm, username, realm, password) {
+    return Digest.hash(algorithm, `${username}:${realm}:${password}`);
+  }
+
+  /**
+   * Compute the request-digest from HA1 and the credential parameters
+   */
+  static computeResponse({ algorithm = 'MD5', ha1, nonce, nc, cnonce, qop, method, uri, body = '' }) {
+    // Session variants bind HA1 to the nonce pair (RFC 2617 §3.2.2.2)
+    const sessionHA1 = /-sess$/i.test(algorithm)
+      ? Digest.hash(algorithm, `${ha1}:${nonce}:${cnonce}`)
+      : ha1;
+    
+    const ha2 = qop === 'auth-int'
+      ? Digest.hash(algorithm, `${method}:${uri}:${Digest.hash(algorithm, body || '')}`)
+      : Digest.hash(algorithm, `${method}:${uri}`);
+    
+    if (qop) {
+      return Digest.hash(algorithm, `${sessionHA1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`);
+    }
+    // RFC 2069 compatibility when no qop was offered
+    return Digest.hash(algorithm, `${sessionHA1}:${nonce}:${ha2}`);
+  }
+
+  /**
+   * Parse a challenge or credentials header value
+   * e.g. 'Digest realm="example.com", nonce="abc", qop="auth"' -> { scheme, realm, nonce, qop }
+   */
+  static parseHeader(value) {
+    const match = String(value).trim().match(/^(\S+)\s+(.*)$/s);
+    if (!match) return null;
+    
+    const params = { scheme: match[1] };
+    const paramPattern = /([\w-]+)\s*=\s*("((?:[^"\\]|\\.)*)"|[^\s,]+)/g;
+    let param;
+    while ((param = paramPattern.exec(match[2])) !== null) {
+      const name = param[1].toLowerCase();
+      params[name] = param[3] !== undefined ? param[3].replace(/\\(.)/g, '$1') : param[2];
+    }
+    
+    return params;
+  }
+
+  /**
+   * Build a header value from parameters; unquoted ones are listed in `tokens`
+   */
+  static formatHeader(scheme, params, tokens = UNQUOTED_PARAMS) {
+    const parts = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => tokens.includes(name)
+        ? `${name}=${value}`
+        : `${name}="${String(value).replace(/(["\\])/g, '\\$1')}"`);
+    
+    return `${scheme} ${parts.join(', ')}`;
+  }
+
+  /**
+   * Build the Authorization/Proxy-Authorization value answering a challenge
+   */
+  static createAuthorization({ challenge, method, uri, username, password, body = '', nc = 1, cnonce }) {
+    const algorithm = challenge.algorithm || 'MD5';
+    const offeredQop = (challenge.qop || '').split(',').map(item => item.trim()).filter(item => item);
+    const qop = offeredQop.includes('auth') ? 'auth' : offeredQop.includes('auth-int') ? 'auth-int' : null;
+    const ncValue = nc.toString(16).padStart(8, '0');
+    cnonce = cnonce || crypto.randomBytes(8).toString('hex');
+    
+    const response = Digest.computeResponse({
+      algorithm,
+      ha1: Digest.computeHA1(algorithm, username, challenge.realm, password),
+      nonce: challenge.nonce,
+      nc: ncValue,
+      cnonce,
+      qop,
+      method,
+      uri,
+      body
+    });
+    
+    return Digest.formatHeader('Digest', {
+      username,
+      realm: challenge.realm,
+      nonce: challenge.nonce,
+      uri,
+      response,
+      algorithm,
+      cnonce: qop ? cnonce : null,
+      opaque: challenge.opaque,
+      qop,
+      nc: qop ? ncValue : null
+    });
+  }
+}
+
+/**
+ * In-memory credential store
+ *
+ * Any object with getCredentials(username, realm) can be used instead. It
+ * returns null for unknown users, { password } or precomputed hashes as
+ * { ha1: { 'MD5': ..., 'SHA-256': ... } } so plain passwords need not be stored.
+ */
+export class MemoryCredentialStore {
+  constructor(users = {}) {
+    // username -> { password } or { ha1 }
+    this.users = new Map();
+    
+    for (const [username, password] of Object.entries(users)) {
+      this.addUser(username, password);
+    }
+  }
+
+  /**
+   * Add or replace a user
+   */
+  addUser(username, password) {
+    this.users.set(username, typeof password === 'string' ? { password } : password);
+  }
+
+  /**
+   * Remove a user
+   */
+  removeUser(username) {
+    return this.users.delete(username);
+  }
+
+  /**
+   * Look up the credentials for a user
+   */
+  getCredentials(username, realm) {
+    return this.users.get(username) || null;
+  }
+}
+
+/**
+ * Server side of digest authentication: challenges and credential checks
+ */
+export class DigestAuthenticator {
+  constructor(options = {}) {
+    this.realm = options.realm || AUTH_CONSTANTS.DEFAULT_REALM;
+    this.credentialStore = options.credentialStore || new MemoryCredentialStore(options.users);
+    // Offered in order of preference; SHA-256 first so capable clients use it (RFC 8760 §2.4)
+    this.algorithms = options.algorithms || AUTH_CONSTANTS.ALGORITHMS;
+    this.nonceTtl = options.nonceTtl ?? AUTH_CONSTANTS.NONCE_TTL;
+    this.secret = options.secret || crypto.randomBytes(32);
+    this.opaque = crypto.randomBytes(8).toString('hex');
+    
+    // nonce -> highest nonce-count seen, to refuse replayed credentials
+    this.nonceCounts = new Map();
+  }
+
+  /**
+   * Check a request's credentials
+   * Returns { username } when authenticated, or { response } to send back instead
+   */
+  authenticate(request, options = {}) {
+    const proxy = options.proxy || false;
+    const credentials = this.findCredentials(request, proxy);
+    
+    if (!credentials) {
+      return { response: this.createChallenge(request, proxy) };
+    }
+    
+    const algorithm = credentials.algorithm || 'MD5';
+    if (!credentials.username || !credentials.nonce || !credentials.response || !credentials.uri ||
+        !this.algorithms.some(offered => offered.toUpperCase() === algorithm.toUpperCase())) {
+      return { response: this.createResponse(request, 400, 'Bad Request') };
+    }
+    
+    // Every challenge asks for qop=auth; without it (RFC 2069 style) there is no nonce
+    // count, and the same credentials could be replayed for as long as the nonce lasts
+    if (credentials.qop?.toLowerCase() !== 'auth' || !credentials.nc || !credentials.cnonce) {
+      return { response: this.createResponse(request, 400, 'Bad Request') };
+    }
+    
+    // The digest covers the Request-URI; credentials for another URI are not for this request
+    if (credentials.uri !== request.uri && !SipUri.tryParse(credentials.uri)?.equals(request.uri)) {
+      return { response: this.createResponse(request, 400, 'Bad Request') };
+    }
+    
+    const nonceAge = this.checkNonce(credentials.nonce);
+    if (nonceAge === null) {
+      return { response: this.createChallenge(request, proxy) };
+    }
+    
+    const stored = this.credentialStore.getCredentials(credentials.username, this.realm);
+    const ha1 = stored && (stored.ha1?.[Digest.baseAlgorithm(algorithm)] ??
+      (stored.password !== undefined
+        ? Digest.computeHA1(algorithm, credentials.username, this.realm, stored.password)
+        : null));
+    if (!ha1) {
+      console.log(`Authentication failed: unknown user ${credentials.username}`);
+      return { response: this.createResponse(request, 403, 'Forbidden') };
+    }
+    
+    const expected = Digest.computeResponse({
+      algorithm,
+      ha1,
+      nonce: credentials.nonce,
+      nc: credentials.nc,
+      cnonce: credentials.cnonce,
+      qop: credentials.qop,
+      method: request.method,
+      uri: credentials.uri,
+      body: request.body
+    });
+    
+    if (!safeEqual(expected, credentials.response.toLowerCase())) {
+      console.log(`Authentication failed: wrong credentials for ${credentials.username}`);
+      return { response: this.createResponse(request, 403, 'Forbidden') };
+    }
+    
+    // Right password, old nonce: the client just needs a fresh one
+    if (nonceAge > this.nonceTtl * 1000) {
+      return { response: this.createChallenge(request, proxy, true) };
+    }
+    
+    const nc = parseInt(credentials.nc, 16);
+    if (isNaN(nc) || nc <= (this.nonceCounts.get(credentials.nonce) || 0)) {
+      console.log(`Authentication failed: replayed nonce count from ${credentials.username}`);
+      return { response: this.createChallenge(request, proxy) };
+    }
+    this.nonceCounts.set(credentials.nonce, nc);
+    
+    return { username: credentials.username };
+  }
+
+  /**
+   * Find the Digest credentials for our realm in a request
+   */
+  findCredentials(request, proxy) {
+    for (const value of request.getHeaders(proxy ? 'proxy-authorization' : 'authorization')) {
+      if (this.isOwnCredentials(value)) {
+        return Digest.parseHeader(value);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove the credentials for our realm before a request is forwarded (RFC 3261 §22.3)
+   */
+  removeCredentials(request, proxy) {
+    const name = proxy ? 'proxy-authorization' : 'authorization';
+    const others = request.getHeaders(name).filter(value => !this.isOwnCredentials(value));
+    
+    if (others.length > 0) {
+      request.setHeader(name, others);
+    } else {
+      request.removeHeader(name);
+    }
+  }
+
+  /**
+   * Check if a credentials header value is Digest for our realm
+   */
+  isOwnCredentials(value) {
+    const credentials = Digest.parseHeader(value);
+    return credentials?.scheme.toLowerCase() === 'digest' && credentials.realm === this.realm;
+  }
+
+  /**
+   * Build a 401 or 407 with one challenge per supported algorithm
+   */
+  createChallenge(request, proxy = false, stale = false) {
+    this.pruneNonceCounts();
+    
+    const response = proxy
+      ? this.createResponse(request, 407, 'Proxy Authentication Required')
+      : this.createResponse(request, 401, 'Unauthorized');
+    const nonce = this.createNonce();
+    
+    response.setHeader(proxy ? 'proxy-authenticate' : 'www-authenticate', this.algorithms.map(algorithm =>
+      Digest.formatHeader('Digest', {
+        realm: this.realm,
+        nonce,
+        opaque: this.opaque,
+        algorithm,
+        qop: 'auth',
+        stale: stale ? 'true' : null
+      }, CHALLENGE_TOKENS)
+    ));
+    
+    return response;
+  }
+
+  /**
+   * Create a nonce: issue time and a random part, plus a signature over both
+   * The random part keeps challenges issued in the same millisecond apart
+   */
+  createNonce(timestamp = Date.now()) {
+    const value = `${timestamp.toString(16)}.${crypto.randomBytes(6).toString('hex')}`;
+    return `${value}.${this.sign(value)}`;
+  }
+
+  /**
+   * Verify a nonce we issued; returns its age in ms, or null if it isn't ours
+   */
+  checkNonce(nonce) {
+    const [time, random, signature] = String(nonce).split('.');
+    if (!time || !random || !signature || !safeEqual(this.sign(`${time}.${random}`), signature)) {
+      return null;
+    }
+    return Date.now() - parseInt(time, 16);
+  }
+
+  /**
+   * Sign a nonce timestamp with the server secret
+   */
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(`${value}:${this.realm}`).digest('base64url');
+  }
+
+  /**
+   * Forget nonce counts of nonces that have expired
+   */
+  pruneNonceCounts() {
+    for (const nonce of this.nonceCounts.keys()) {
+      const age = this.checkNonce(nonce);
+      if (age === null || age > this.nonceTtl * 1000) {
+        this.nonceCounts.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Create a response without a body
+   */
+  createResponse(request, statusCode, reasonPhrase) {
+    const response = request.createResponse(statusCode, reasonPhrase);
+    response.setHeader('content-length', '0');
+    return response;
+  }
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Digest algorithm names mapped to Node hash names
+const HASH_FUNCTIONS = {
+  'MD5': 'md5',
+  'SHA-256': 'sha256'
+};
+
+// Parameters written as tokens rather than quoted strings (RFC 2617 §3.2.1, §3.2.2)
+const UNQUOTED_PARAMS = ['algorithm', 'qop', 'nc', 'stale'];
+// In a challenge qop is a quoted list of options
+const CHALLENGE_TOKENS = ['algorithm', 'stale'];
+
+export const AUTH_CONSTANTS = {
+  DEFAULT_REALM: 'voip-demo',
+  ALGORITHMS: ['SHA-256', 'MD5'],
+  NONCE_TTL: 300  // seconds
+};
@@ -0,0 +1,253 @@
+/**
+ * SIP Dialog
+ * Peer-to-peer relationship between two user agents (RFC 3261 §12)
+ *
+ * A dialog is identified by its Call-ID, local tag and remote tag. It keeps:
+ * - Local and remote CSeq numbers
+ * - Remote target (the peer's Contact URI)
+ * - Route set (learned from Record-Route)
+ *
+ * Requests inside the dialog (BYE, re-INVITE, INFO, UPDATE, REFER, ACK for 2xx)
+ * are built from this state rather than from the headers of the last message.
+ */
+
+import { SIPMessage, SIPMethods } from './sip-message.js';
+import { NameAddr, SipUri } from './sip-uri.js';
+
+export class Dialog {
+  constructor(options = {}) {
+    this.callId = options.callId;
+    this.localTag = options.localTag;
+    this.remoteTag = options.remoteTag;
+    this.localUri = options.localUri;
+    this.remoteUri = options.remoteUri;
+    this.localSeq = options.localSeq ?? Math.floor(Math.random() * 10000) + 1;
+    this.remoteSeq = options.remoteSeq ?? null;
+    this.remoteTarget = options.remoteTarget;
+    this.routeSet = options.routeSet || [];
+    this.isUAC = !!options.isUAC;
+    this.state = options.state || 'confirmed';
+    
+    // CSeq of the last INVITE, reused by its ACK
+    this.inviteSeq = options.inviteSeq ?? null;
+    
+    // How this UA appears in Via and Contact of requests it sends
+    this.sentBy = options.sentBy;
+    this.localContact = options.localContact;
+  }
+
+  /**
+   * Create a dialog at the UAC from a 1xx (with To tag) or 2xx response (RFC 3261 §12.1.2)
+   */
+  static createAsUAC(request, response, options = {}) {
+    const { fromTag, toTag } = response.getTags();
+    const sequence = request.getCSeq().sequence;
+    
+    return new Dialog({
+      ...options,
+      callId: request.getCallId(),
+      localTag: fromTag,
+      remoteTag: toTag,
+      localUri: removeTag(request.getHeader('from')),
+      remoteUri: removeTag(response.getHeader('to')),
+      localSeq: sequence,
+      remoteTarget: extractUri(response.getHeaders('contact')[0] || request.uri),
+      // The UAC sees Record-Route in reverse order
+      routeSet: response.getHeaders('record-route').reverse(),
+      isUAC: true,
+      state: response.statusCode < 200 ? 'early' : 'confirmed',
+      inviteSeq: request.method === SIPMethods.INVITE ? sequence : null
+    });
+  }
+
+  /**
+   * Create a dialog at the UAS from the request and the response it sends (RFC 3261 §12.1.1)
+   */
+  static createAsUAS(request, response, options = {}) {
+    return new Dialog({
+      ...options,
+      callId: request.getCallId(),
+      localTag: response.getTags().toTag,
+      remoteTag: request.getTags().fromTag,
+      localUri: removeTag(response.getHeader('to')),
+      remoteUri: removeTag(request.getHeader('from')),
+      remoteSeq: request.getCSeq().sequence,
+      remoteTarget: extractUri(request.getHeaders('contact')[0] || request.getHeader('from')),
+      routeSet: request.getHeaders('record-route'),
+      isUAC: false,
+      state: response.statusCode < 200 ? 'early' : 'confirmed'
+    });
+  }
+
+  /**
+   * Dialog ID as seen by the UA receiving this request
+   */
+  static idForIncomingRequest(request) {
+    const { fromTag, toTag } = request.getTags();
+    return `${request.getCallId()};${toTag};${fromTag}`;
+  }
+
+  /**
+   * Dialog ID as seen by the UA receiving this response
+   */
+  static idForResponse(response) {
+    const { fromTag, toTag } = response.getTags();
+    return `${response.getCallId()};${fromTag};${toTag}`;
+  }
+
+  /**
+   * Get the dialog ID: Call-ID, local tag, remote tag
+   */
+  getId() {
+    return `${this.callId};${this.localTag};${this.remoteTag}`;
+  }
+
+  /**
+   * Update the dialog from a response to a request sent within it
+   */
+  updateFromResponse(response) {
+    const statusCode = response.statusCode;
+    if (statusCode < 200 || statusCode >= 300) return;
+    
+    if (this.state === 'early') {
+      // The route set is fixed by the 2xx that confirms the dialog
+      this.state = 'confirmed';
+      this.routeSet = response.getHeaders('record-route').reverse();
+    }
+    
+    // 2xx to a target refresh request carries the new remote target
+    const contact = response.getHeaders('contact')[0];
+    if (contact && TARGET_REFRESH_METHODS.includes(response.getCSeq()?.method)) {
+      this.remoteTarget = extractUri(contact);
+    }
+  }
+
+  /**
+   * Validate and record a request received within the dialog (RFC 3261 §12.2.2)
+   * Returns false if the request is out of order and must be rejected with 500
+   */
+  receiveRequest(request) {
+    const sequence = request.getCSeq()?.sequence;
+    
+    if (request.method !== SIPMethods.ACK && request.method !== SIPMethods.CANCEL) {
+      if (this.remoteSeq !== null && sequence < this.remoteSeq) {
+        return false;
+      }
+      this.remoteSeq = sequence;
+    }
+    
+    const contact = request.getHeaders('contact')[0];
+    if (contact && TARGET_REFRESH_METHODS.includes(request.method)) {
+      this.remoteTarget = extractUri(contact);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Build a request within the dialog (RFC 3261 §12.2.1.1)
+   */
+  createRequest(method, options = {}) {
+    const request = new SIPMessage();
+    request.method = method;
+    
+    const routes = [...this.routeSet];
+    if (routes.length > 0 && !isLooseRoute(routes[0])) {
+      // A strict router goes in the Request-URI; the remote target becomes the last route
+      request.uri = extractUri(routes.shift());
+      routes.push(`<${this.remoteTarget}>`);
+    } else {
+      request.uri = this.remoteTarget;
+    }
+    
+    // ACK reuses the CSeq number of the INVITE; everything else takes the next one
+    let sequence;
+    if (method === SIPMethods.ACK) {
+      sequence = this.inviteSeq ?? this.localSeq;
+    } else {
+      sequence = ++this.localSeq;
+      if (method === SIPMethods.INVITE) {
+        this.inviteSeq = sequence;
+      }
+    }
+    
+    request.setHeader('via', `SIP/2.0/UDP ${this.sentBy};branch=z9hG4bK${Math.random().toString(36).substr(2, 9)}`);
+    request.setHeader('max-forwards', '70');
+    if (routes.length > 0) {
+      request.setHeader('route', routes);
+    }
+    request.setHeader('from', `${this.localUri};tag=${this.localTag}`);
+    request.setHeader('to', `${this.remoteUri};tag=${this.remoteTag}`);
+    request.setHeader('call-id', this.callId);
+    request.setHeader('cseq', `${sequence} ${method}`);
+    
+    if (this.localContact && TARGET_REFRESH_METHODS.includes(method)) {
+      request.setHeader('contact', this.localContact);
+    }
+    
+    if (options.body) {
+      request.setHeader('content-type', options.contentType || 'application/sdp');
+      request.body = options.body;
+    }
+    request.setHeader('content-length', Buffer.byteLength(request.body || '').toString());
+    
+    return request;
+  }
+
+  /**
+   * Where to send requests: the first route, or else the remote target
+   */
+  getNextHop() {
+    const uri = SipUri.parse(this.routeSet.length > 0 ? extractUri(this.routeSet[0]) : this.remoteTarget);
+    
+    // maddr overrides the host as the address to send to (RFC 3261 §19.1.1)
+    return {
+      address: uri.getParam('maddr') || uri.host,
+      port: uri.getPort()
+    };
+  }
+
+  /**
+   * Mark the dialog as terminated
+   */
+  terminate() {
+    this.state = 'terminated';
+  }
+
+  /**
+   * Check if the dialog is confirmed
+   */
+  isConfirmed() {
+    return this.state === 'confirmed';
+  }
+}
+
+/**
+ * Extract the URI from a name-addr or addr-spec header value
+ */
+function extractUri(value) {
+  return NameAddr.parse(value).uri.toString();
+}
+
+/**
+ * Remove the tag parameter from a From or To header value
+ */
+function removeTag(value) {
+  return NameAddr.parse(value).removeParam('tag').toString();
+}
+
+/**
+ * Check whether a route entry is a loose router (";lr")
+ */
+function isLooseRoute(route) {
+  return NameAddr.parse(route).uri.isLooseRouter();
+}
+
+// Methods whose Contact updates the remote target (RFC 3261 §12.2, RFC 3311, RFC 3515)
+export const TARGET_REFRESH_METHODS = [
+  SIPMethods.INVITE,
+  SIPMethods.UPDATE,
+  SIPMethods.SUBSCRIBE,
+  SIPMethods.NOTIFY,
+  SIPMethods.REFER
+];
@@ -0,0 +1,262 @@
+/**
+ * SIP Headers
+ * Ordered header storage for SIP messages (RFC 3261 §7.3)
+ *
+ * Every header line is kept in the order it arrived, so repeated headers
+ * such as Via and Record-Route are never lost. Names are matched
+ * case-insensitively, compact forms ("v", "f", "t", ...) are expanded,
+ * and headers are written back with their canonical capitalization.
+ */
+
+export class SIPHeaders {
+  constructor() {
+    // [{ name, value }] in wire order; name is the lower-case full form
+    this.entries = [];
+  }
+
+  /**
+   * Get a header as a single string
+   * List headers are joined with commas, other headers return their first instance
+   */
+  get(name) {
+    const key = SIPHeaders.normalizeName(name);
+    const values = this.entries.filter(entry => entry.name === key).map(entry => entry.value);
+    
+    if (values.length === 0) return undefined;
+    return LIST_HEADERS.has(key) ? values.join(', ') : values[0];
+  }
+
+  /**
+   * Get every value of a header, splitting comma-separated list headers
+   */
+  getAll(name) {
+    const key = SIPHeaders.normalizeName(name);
+    const values = [];
+    
+    for (const entry of this.entries) {
+      if (entry.name !== key) continue;
+      
+      if (LIST_HEADERS.has(key)) {
+        values.push(...SIPHeaders.splitValues(entry.value));
+      } else {
+        values.push(entry.value);
+      }
+    }
+    
+    return values;
+  }
+
+  /**
+   * Replace all instances of a header; an array value becomes one line per item
+   */
+  set(name, value) {
+    const key = SIPHeaders.normalizeName(name);
+    const values = Array.isArray(value) ? value : [value];
+    const index = this.entries.findIndex(entry => entry.name === key);
+    
+    this.remove(key);
+    
+    const newEntries = values.map(item => ({ name: key, value: String(item) }));
+    if (index === -1) {
+      this.entries.push(...newEntries);
+    } else {
+      this.entries.splice(index, 0, ...newEntries);
+    }
+  }
+
+  /**
+   * Append a header instance after any existing ones
+   */
+  add(name, value) {
+    const key = SIPHeaders.normalizeName(name);
+    const lastIndex = this.entries.map(entry => entry.name).lastIndexOf(key);
+    
+    if (lastIndex === -1) {
+      this.entries.push({ name: key, value: String(value) });
+    } else {
+      this.entries.splice(lastIndex + 1, 0, { name: key, value: String(value) });
+    }
+  }
+
+  /**
+   * Insert a header instance above any existing ones (e.g. pushing a Via)
+   */
+  prepend(name, value) {
+    const key = SIPHeaders.normalizeName(name);
+    const index = this.entries.findIndex(entry => entry.name === key);
+    
+    if (index === -1) {
+      this.entries.push({ name: key, value: String(value) });
+    } else {
+      this.entries.splice(index, 0, { name: key, value: String(value) });
+    }
+  }
+
+  /**
+   * Remove and return the topmost value of a list header (e.g. popping a Via)
+   */
+  shift(name) {
+    const key = SIPHeaders.normalizeName(name);
+    const index = this.entries.findIndex(entry => entry.name === key);
+    if (index === -1) return undefined;
+    
+    const [first, ...rest] = SIPHeaders.splitValues(this.entries[index].value);
+    if (rest.length > 0) {
+      this.entries[index].value = rest.join(', ');
+    } else {
+      this.entries.splice(index, 1);
+    }
+    
+    return first;
+  }
+
+  /**
+   * Check if a header is present
+   */
+  has(name) {
+    const key = SIPHeaders.normalizeName(name);
+    return this.entries.some(entry => entry.name === key);
+  }
+
+  /**
+   * Remove all instances of a header
+   */
+  remove(name) {
+    const key = SIPHeaders.normalizeName(name);
+    this.entries = this.entries.filter(entry => entry.name !== key);
+  }
+
+  /**
+   * Iterate over [canonical name, value] pairs in wire order
+   */
+  *[Symbol.iterator]() {
+    for (const entry of this.entries) {
+      yield [SIPHeaders.canonicalName(entry.name), entry.value];
+    }
+  }
+
+  /**
+   * Expand a compact form and lower-case a header name
+   */
+  static normalizeName(name) {
+    const key = name.trim().toLowerCase();
+    return COMPACT_FORMS[key] || key;
+  }
+
+  /**
+   * Canonical capitalization of a header name, e.g. "call-id" -> "Call-ID"
+   */
+  static canonicalName(name) {
+    const key = SIPHeaders.normalizeName(name);
+    if (CANONICAL_NAMES[key]) {
+      return CANONICAL_NAMES[key];
+    }
+    
+    return key.split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join('-');
+  }
+
+  /**
+   * Split a comma-separated header value, ignoring commas in quotes and <...>
+   */
+  static splitValues(value) {
+    if (!value) return [];
+    
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+    let inBrackets = false;
+    
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      
+      if (inQuotes && char === '\\') {
+        // Quoted-pair: keep the escaped character as-is
+        current += char + (value[i + 1] || '');
+        i++;
+        continue;
+      }
+      
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && char === '<') {
+        inBrackets = true;
+      } else if (!inQuotes && char === '>') {
+        inBrackets = false;
+      } else if (char === ',' && !inQuotes && !inBrackets) {
+        values.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    values.push(current.trim());
+    
+    return values.filter(item => item);
+  }
+}
+
+// Compact header names (RFC 3261 §7.3.3, RFC 3265, RFC 3515, RFC 3841, RFC 4028)
+export const COMPACT_FORMS = {
+  'a': 'accept-contact',
+  'b': 'referred-by',
+  'c': 'content-type',
+  'd': 'request-disposition',
+  'e': 'content-encoding',
+  'f': 'from',
+  'i': 'call-id',
+  'j': 'reject-contact',
+  'k': 'supported',
+  'l': 'content-length',
+  'm': 'contact',
+  'o': 'event',
+  'r': 'refer-to',
+  's': 'subject',
+  't': 'to',
+  'u': 'allow-events',
+  'v': 'via',
+  'x': 'session-expires',
+  'y': 'identity'
+};
+
+// Names whose capitalization isn't simply "Word-Word"
+const CANONICAL_NAMES = {
+  'call-id': 'Call-ID',
+  'cseq': 'CSeq',
+  'www-authenticate': 'WWW-Authenticate',
+  'mime-version': 'MIME-Version',
+  'rack': 'RAck',
+  'rseq': 'RSeq',
+  'sip-etag': 'SIP-ETag',
+  'sip-if-match': 'SIP-If-Match',
+  'content-id': 'Content-ID'
+};
+
+// Headers defined as comma-separated lists, which may be split or combined (RFC 3261 §7.3.1)
+// Authorization and WWW-Authenticate style headers contain commas but are not lists
+const LIST_HEADERS = new Set([
+  'via',
+  'route',
+  'record-route',
+  'path',
+  'service-route',
+  'contact',
+  'allow',
+  'allow-events',
+  'supported',
+  'require',
+  'proxy-require',
+  'unsupported',
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'content-encoding',
+  'content-language',
+  'alert-info',
+  'call-info',
+  'error-info',
+  'in-reply-to',
+  'warning',
+  'reason'
+]);
@@ -0,0 +1,164 @@
+/**
+ * SIP Location Stores
+ * Storage backends for the registrar's bindings (RFC 3261 §10.2 "location service")
+ *
+ * A store holds binding records keyed by AOR and contact URI. Any object with
+ * the same methods can be given to the Registrar:
+ * - load()                 restore saved bindings, returns how many were loaded
+ * - get(aor)               bindings of one AOR
+ * - getAll()               every binding
+ * - put(binding)           add or replace a binding (same AOR and contact)
+ * - remove(aor, contact)   delete a binding, returns whether it existed
+ * - getAORCount()          number of AORs with bindings
+ *
+ * Bindings are plain objects (contact, expiresAt, address, port, userAgent, ...)
+ * so they can be written out as JSON as they are.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Bindings kept in memory only; lost when the process exits
+ */
+export class MemoryLocationStore {
+  constructor() {
+    // AOR -> Map of contact URI -> binding
+    this.bindings = new Map();
+  }
+
+  /**
+   * Nothing to restore
+   */
+  load() {
+    return 0;
+  }
+
+  /**
+   * Get the bindings of an AOR
+   */
+  get(aor) {
+    const contacts = this.bindings.get(aor);
+    return contacts ? Array.from(contacts.values()) : [];
+  }
+
+  /**
+   * Get every binding
+   */
+  getAll() {
+    const bindings = [];
+    for (const contacts of this.bindings.values()) {
+      bindings.push(...contacts.values());
+    }
+    return bindings;
+  }
+
+  /**
+   * Add or replace a binding
+   */
+  put(binding) {
+    if (!this.bindings.has(binding.aor)) {
+      this.bindings.set(binding.aor, new Map());
+    }
+    this.bindings.get(binding.aor).set(binding.contact, binding);
+  }
+
+  /**
+   * Remove a binding
+   */
+  remove(aor, contact) {
+    const contacts = this.bindings.get(aor);
+    if (!contacts?.delete(contact)) return false;
+    
+    if (contacts.size === 0) {
+      this.bindings.delete(aor);
+    }
+    return true;
+  }
+
+  /**
+   * Number of AORs with at least one binding
+   */
+  getAORCount() {
+    return this.bindings.size;
+  }
+}
+
+/**
+ * Bindings saved to a JSON file so registrations survive a restart
+ *
+ * The whole file is rewritten on every change, through a temporary file and
+ * a rename so a crash mid-write never leaves a truncated file behind.
+ */
+export class FileLocationStore extends MemoryLocationStore {
+  constructor(options = {}) {
+    super();
+    
+    if (!options.path) {
+      throw new Error('FileLocationStore needs a file path');
+    }
+    this.path = options.path;
+  }
+
+  /**
+   * Read the saved bindings, skipping any that expired while we were down
+   */
+  load() {
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read location store ${this.path}: ${error.message}`);
+      }
+      return 0;
+    }
+    
+    const now = Date.now();
+    let loaded = 0;
+    
+    this.bindings.clear();
+    for (const binding of Array.isArray(records) ? records : []) {
+      if (binding?.aor && binding.contact && binding.expiresAt > now) {
+        super.put(binding);
+        loaded++;
+      }
+    }
+    
+    return loaded;
+  }
+
+  /**
+   * Add or replace a binding and save
+   */
+  put(binding) {
+    super.put(binding);
+    this.save();
+  }
+
+  /**
+   * Remove a binding and save
+   */
+  remove(aor, contact) {
+    const removed = super.remove(aor, contact);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Write every binding to the file
+   */
+  save() {
+    const tempPath = `${this.path}.tmp`;
+    
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.getAll(), null, 2));
+      fs.renameSync(tempPath, this.path);
+    } catch (error) {
+      console.error(`Could not write location store ${this.path}: ${error.message}`);
+    }
+  }
+}
@@ -9,10 +9,13 @@
  * - Message body (optional)
  */
 
+import { SIPHeaders } from './sip-headers.js';
+import { NameAddr, SipUri } from './sip-uri.js';
+
 export class SIPMessage {
   constructor() {
     this.startLine = '';
-    this.headers = new Map();
+    this.headers = new SIPHeaders();
     this.body = '';
     this.method = '';
     this.uri = '';
@@ -26,9 +29,13 @@ export class SIPMessage {
    */
   static parse(rawMessage) {
     const message = new SIPMessage();
-    const lines = rawMessage.split('\r\n');
     
-    if (lines.length === 0) {
+    // Headers end at the first empty line; bare LF line endings are tolerated
+    const separator = rawMessage.match(/\r?\n\r?\n/);
+    const head = separator ? rawMessage.substring(0, separator.index) : rawMessage;
+    const lines = head.split(/\r?\n/);
+    
+    if (!lines[0]) {
       throw new Error('Empty SIP message');
     }
 
@@ -50,7 +57,7 @@ export class SIPMessage {
 
     // Parse headers
     let i = 1;
-    while (i < lines.length && lines[i] !== '') {
+    while (i < lines.length) {
       const line = lines[i];
       const colonIndex = line.indexOf(':');
       
@@ -66,14 +73,15 @@ export class SIPMessage {
           fullValue += ' ' + lines[i].trim();
         }
         
-        message.headers.set(name.toLowerCase(), fullValue);
+        // Every instance is kept, in order (RFC 3261 §7.3.1)
+        message.headers.add(name, fullValue);
       }
       i++;
     }
 
     // Parse body (everything after empty line)
-    if (i + 1 < lines.length) {
-      message.body = lines.slice(i + 1).join('\r\n');
+    if (separator) {
+      message.body = rawMessage.substring(separator.index + separator[0].length);
     }
 
     return message;
@@ -111,17 +119,52 @@ export class SIPMessage {
   }
 
   /**
-   * Get header value
+   * Get header value (list headers are joined with commas)
    */
   getHeader(name) {
-    return this.headers.get(name.toLowerCase());
+    return this.headers.get(name);
   }
 
   /**
-   * Set header value
+   * Get every value of a header, one entry per list element
+   */
+  getHeaders(name) {
+    return this.headers.getAll(name);
+  }
+
+  /**
+   * Set header value, replacing existing instances; arrays become one line each
    */
   setHeader(name, value) {
-    this.headers.set(name.toLowerCase(), value);
+    this.headers.set(name, value);
+  }
+
+  /**
+   * Append another instance of a header
+   */
+  addHeader(name, value) {
+    this.headers.add(name, value);
+  }
+
+  /**
+   * Insert a header value above existing instances (e.g. a new Via)
+   */
+  prependHeader(name, value) {
+    this.headers.prepend(name, value);
+  }
+
+  /**
+   * Remove and return the topmost value of a list header
+   */
+  popHeader(name) {
+    return this.headers.shift(name);
+  }
+
+  /**
+   * Remove a header
+   */
+  removeHeader(name) {
+    this.headers.remove(name);
   }
 
   /**
@@ -160,6 +203,43 @@ export class SIPMessage {
     return null;
   }
 
+  /**
+   * Get Via header values, topmost first
+   */
+  getVias() {
+    return this.getHeaders('via');
+  }
+
+  /**
+   * Get the topmost Via, parsed
+   */
+  getTopVia() {
+    const vias = this.getVias();
+    return vias.length > 0 ? SIPMessage.parseVia(vias[0]) : null;
+  }
+
+  /**
+   * Parse a single Via value, e.g. "SIP/2.0/UDP host:port;branch=z9hG4bK..."
+   */
+  static parseVia(value) {
+    const [sentProtocol, ...paramParts] = value.split(';');
+    const [protocol, sentBy = ''] = sentProtocol.trim().split(/\s+/);
+    const portMatch = sentBy.match(/^(.*):(\d+)$/);
+    
+    const params = {};
+    for (const part of paramParts) {
+      const [name, paramValue] = part.trim().split('=');
+      params[name.toLowerCase()] = paramValue === undefined ? '' : paramValue;
+    }
+    
+    return {
+      protocol,
+      host: portMatch ? portMatch[1] : sentBy,
+      port: portMatch ? parseInt(portMatch[2]) : 5060,
+      params
+    };
+  }
+
   /**
    * Get From/To tags
    */
@@ -174,11 +254,25 @@ export class SIPMessage {
   }
 
   /**
-   * Extract tag from SIP URI
+   * Extract the tag parameter from a From or To header value
+   */
+  extractTag(value) {
+    return NameAddr.tryParse(value)?.getTag() ?? null;
+  }
+
+  /**
+   * Get a From, To or Contact style header parsed as a NameAddr (first value for lists)
    */
-  extractTag(uri) {
-    const tagMatch = uri.match(/tag=([^;>\s]+)/);
-    return tagMatch ? tagMatch[1] : null;
+  getNameAddr(name) {
+    const value = this.getHeaders(name)[0];
+    return value ? NameAddr.tryParse(value) : null;
+  }
+
+  /**
+   * Get the Request-URI parsed as a SipUri
+   */
+  getRequestUri() {
+    return SipUri.tryParse(this.uri);
   }
 
   /**
@@ -191,7 +285,7 @@ export class SIPMessage {
     response.reasonPhrase = reasonPhrase;
     
     // Copy relevant headers
-    response.setHeader('via', this.getHeader('via'));
+    response.setHeader('via', this.getHeaders('via'));
     response.setHeader('from', this.getHeader('from'));
     response.setHeader('to', this.getHeader('to'));
     response.setHeader('call-id', this.getHeader('call-id'));
@@ -200,6 +294,29 @@ export class SIPMessage {
     return response;
   }
 
+  /**
+   * Create a CANCEL for this request (RFC 3261 §9.1)
+   */
+  createCancel() {
+    const cancel = new SIPMessage();
+    cancel.method = SIPMethods.CANCEL;
+    cancel.uri = this.uri;
+    
+    // Same branch as the request, so it reaches the same server transaction
+    cancel.setHeader('via', this.getVias()[0]);
+    if (this.getHeader('route')) {
+      cancel.setHeader('route', this.getHeaders('route'));
+    }
+    cancel.setHeader('max-forwards', '70');
+    cancel.setHeader('from', this.getHeader('from'));
+    cancel.setHeader('to', this.getHeader('to'));
+    cancel.setHeader('call-id', this.getCallId());
+    cancel.setHeader('cseq', `${this.getCSeq().sequence} CANCEL`);
+    cancel.setHeader('content-length', '0');
+    
+    return cancel;
+  }
+
   /**
    * Log message for debugging
    */
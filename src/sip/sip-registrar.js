@@ -0,0 +1,301 @@
+/**
+ * SIP Registrar
+ * Keeps the bindings between addresses-of-record and contact addresses (RFC 3261 §10)
+ *
+ * Each address-of-record (AOR), such as sip:alice@example.com, can have several
+ * bindings — a desk phone and a softphone, for example. Every binding has:
+ * - A contact URI where the device can be reached
+ * - A q-value (preference, 0 to 1) and its own expiry time
+ * - The Call-ID and CSeq of the REGISTER that last refreshed it
+ * - The source address and User-Agent of that REGISTER
+ *
+ * Bindings live in a location store (see sip-location-store.js); a file-backed
+ * store keeps them across restarts.
+ */
+
+import { EventEmitter } from 'events';
+import { SIPStatusCodes } from './sip-message.js';
+import { NameAddr, SipUri } from './sip-uri.js';
+import { MemoryLocationStore } from './sip-location-store.js';
+
+export class Registrar extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.minExpires = options.minExpires ?? REGISTRAR_CONSTANTS.MIN_EXPIRES;
+    this.maxExpires = options.maxExpires ?? REGISTRAR_CONSTANTS.MAX_EXPIRES;
+    this.defaultExpires = options.defaultExpires ?? REGISTRAR_CONSTANTS.DEFAULT_EXPIRES;
+    this.sweepInterval = options.sweepInterval ?? REGISTRAR_CONSTANTS.SWEEP_INTERVAL;
+    
+    this.store = options.store || new MemoryLocationStore();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Restore saved bindings and start periodic removal of expired ones
+   */
+  start() {
+    if (this.sweepTimer) return;
+    
+    const loaded = this.store.load();
+    if (loaded > 0) {
+      console.log(`Registrar restored ${loaded} binding(s)`);
+    }
+    this.sweep();
+    
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Stop the expiry sweeps
+   */
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Process a REGISTER request and build the response to send (RFC 3261 §10.3)
+   */
+  processRegister(request, rinfo = {}) {
+    const to = request.getNameAddr('to');
+    if (!to || !to.uri.user) {
+      return this.createResponse(request, 400, 'Bad Request', []);
+    }
+    
+    const aor = Registrar.getAOR(to.uri);
+    const callId = request.getCallId();
+    const cseq = request.getCSeq()?.sequence;
+    const contacts = request.getHeaders('contact');
+    const expiresHeader = request.getHeader('expires');
+    
+    // No Contact: just a query for the current bindings
+    if (contacts.length === 0) {
+      return this.createResponse(request, 200, 'OK', this.lookup(aor));
+    }
+    
+    // "Contact: *" with Expires: 0 removes every binding of the AOR
+    if (contacts.includes('*')) {
+      if (contacts.length !== 1 || expiresHeader === undefined || parseInt(expiresHeader) !== 0) {
+        return this.createResponse(request, 400, 'Bad Request', []);
+      }
+      
+      const existing = this.lookup(aor);
+      if (existing.some(binding => !this.isNewer(binding, callId, cseq))) {
+        return this.createResponse(request, 500, 'Server Internal Error', []);
+      }
+      for (const binding of existing) {
+        this.removeBinding(binding, 'unregistered');
+      }
+      return this.createResponse(request, 200, 'OK', []);
+    }
+    
+    // Validate every contact before changing anything
+    const updates = [];
+    for (const value of contacts) {
+      const contact = NameAddr.tryParse(value);
+      if (!contact) {
+        return this.createResponse(request, 400, 'Bad Request', []);
+      }
+      
+      const contactExpires = contact.getParam('expires') ?? expiresHeader;
+      let expires = contactExpires === undefined || contactExpires === null
+        ? this.defaultExpires
+        : parseInt(contactExpires);
+      if (isNaN(expires) || expires < 0) {
+        expires = this.defaultExpires;
+      }
+      
+      // Too short a registration would just cause a flood of refreshes
+      if (expires > 0 && expires < this.minExpires) {
+        const response = this.createResponse(request, 423, 'Interval Too Brief', []);
+        response.setHeader('min-expires', String(this.minExpires));
+        return response;
+      }
+      
+      const q = contact.getParam('q') !== undefined ? parseFloat(contact.getParam('q')) : 1;
+      if (isNaN(q) || q < 0 || q > 1) {
+        return this.createResponse(request, 400, 'Bad Request', []);
+      }
+      
+      const existing = this.getBinding(aor, contact.uri);
+      if (existing && !this.isNewer(existing, callId, cseq)) {
+        return this.createResponse(request, 500, 'Server Internal Error', []);
+      }
+      
+      updates.push({ contact, expires: Math.min(expires, this.maxExpires), q, existing });
+    }
+    
+    for (const { contact, expires, q, existing } of updates) {
+      if (expires === 0) {
+        if (existing) {
+          this.removeBinding(existing, 'unregistered');
+        }
+        continue;
+      }
+      
+      this.addBinding({
+        aor,
+        contact: contact.uri.toString(),
+        q,
+        expires,
+        callId,
+        cseq,
+        address: rinfo.address,
+        port: rinfo.port,
+        userAgent: request.getHeader('user-agent') || null
+      });
+    }
+    
+    return this.createResponse(request, 200, 'OK', this.lookup(aor));
+  }
+
+  /**
+   * Add or refresh a binding
+   */
+  addBinding({ aor, contact, q = 1, expires = this.defaultExpires, callId = null, cseq = 0, address, port, userAgent = null }) {
+    const now = Date.now();
+    const contactUri = SipUri.parse(contact);
+    const key = contactUri.toString();
+    
+    // An equivalent URI written differently refreshes the same binding
+    const existing = this.getBinding(aor, contactUri);
+    if (existing) {
+      this.store.remove(aor, existing.contact);
+    }
+    
+    const binding = {
+      aor,
+      username: SipUri.parse(aor).user,
+      contact: key,
+      q,
+      expires,
+      expiresAt: now + expires * 1000,
+      registeredAt: now,
+      callId,
+      cseq,
+      // Where the REGISTER came from, for reaching devices behind NAT
+      address: address || contactUri.host,
+      port: port || contactUri.getPort(),
+      userAgent
+    };
+    
+    this.store.put(binding);
+    this.emit('registered', binding);
+    
+    return binding;
+  }
+
+  /**
+   * Find a binding of an AOR by contact URI (RFC 3261 §19.1.4 comparison)
+   */
+  getBinding(aor, contactUri) {
+    return this.store.get(aor).find(binding => contactUri.equals(binding.contact)) || null;
+  }
+
+  /**
+   * Remove a binding and report why
+   */
+  removeBinding(binding, reason = 'unregistered') {
+    if (!this.store.remove(binding.aor, binding.contact)) return false;
+    
+    this.emit(reason, binding);
+    return true;
+  }
+
+  /**
+   * Remove all bindings of an AOR
+   */
+  removeAOR(aor) {
+    const bindings = this.lookup(aor);
+    for (const binding of bindings) {
+      this.removeBinding(binding, 'unregistered');
+    }
+    return bindings.length > 0;
+  }
+
+  /**
+   * Current bindings of an AOR, most preferred (highest q, then most recent) first
+   */
+  lookup(aor) {
+    const now = Date.now();
+    return this.store.get(Registrar.getAOR(aor))
+      .filter(binding => binding.expiresAt > now)
+      .sort((a, b) => b.q - a.q || b.registeredAt - a.registeredAt);
+  }
+
+  /**
+   * Get every current binding
+   */
+  getAllBindings() {
+    const now = Date.now();
+    return this.store.getAll().filter(binding => binding.expiresAt > now);
+  }
+
+  /**
+   * Number of AORs with at least one binding
+   */
+  getAORCount() {
+    return this.store.getAORCount();
+  }
+
+  /**
+   * Remove expired bindings
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    
+    for (const binding of this.store.getAll()) {
+      if (binding.expiresAt <= now) {
+        this.removeBinding(binding, 'expired');
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      console.log(`Registrar removed ${removed} expired binding(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Check whether a REGISTER may change a binding: a new Call-ID or a higher CSeq
+   */
+  isNewer(binding, callId, cseq) {
+    return binding.callId !== callId || cseq > binding.cseq;
+  }
+
+  /**
+   * Build a REGISTER response listing the current bindings
+   */
+  createResponse(request, statusCode, reasonPhrase, bindings) {
+    const response = request.createResponse(statusCode, reasonPhrase || SIPStatusCodes[statusCode]);
+    
+    if (statusCode === 200 && bindings.length > 0) {
+      const now = Date.now();
+      response.setHeader('contact', bindings.map(binding => {
+        const remaining = Math.max(0, Math.round((binding.expiresAt - now) / 1000));
+        return `<${binding.contact}>;expires=${remaining};q=${binding.q}`;
+      }));
+    }
+    response.setHeader('content-length', '0');
+    
+    return response;
+  }
+
+  /**
+   * Normalize a URI to the AOR used as the binding key
+   */
+  static getAOR(uri) {
+    return (uri instanceof SipUri ? uri : SipUri.parse(uri)).getAOR();
+  }
+}
+
+export const REGISTRAR_CONSTANTS = {
+  MIN_EXPIRES: 60,        // seconds
+  MAX_EXPIRES: 7200,      // seconds
+  DEFAULT_EXPIRES: 3600,  // seconds
+  SWEEP_INTERVAL: 30000   // ms
+};
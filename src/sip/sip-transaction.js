@@ -1,241 +1,494 @@
 /**
  * SIP Transaction Manager
  * Handles transaction state machines for reliable message delivery
- * 
- * Transaction Types:
- * - Client Transaction (for requests)
- * - Server Transaction (for responses)
+ *
+ * Transaction Types (RFC 3261 §17):
+ * - INVITE client transaction (ICT)
+ * - Non-INVITE client transaction (NICT)
+ * - INVITE server transaction (IST)
+ * - Non-INVITE server transaction (NIST)
+ *
+ * The INVITE transactions include the "Accepted" state from RFC 6026, so
+ * 2xx retransmissions and their ACKs are handled consistently.
+ *
+ * All timers assume an unreliable transport (UDP) and are derived from:
+ * - T1: RTT estimate (500ms)
+ * - T2: maximum retransmit interval for non-INVITE requests (4s)
+ * - T4: maximum time a message remains in the network (5s)
  */
 
 import { EventEmitter } from 'events';
-import { SIPMethods, SIPStatusCodes } from './sip-message.js';
+import { SIPMessage, SIPMethods } from './sip-message.js';
 
 export class SIPTransaction extends EventEmitter {
-  constructor(message, isClient = true) {
+  constructor(message, isClient = true, options = {}) {
     super();
     this.message = message;
     this.isClient = isClient;
-    this.state = isClient ? 'calling' : 'proceeding';
-    this.timerA = null;
-    this.timerB = null;
-    this.timerD = null;
-    this.timerF = null;
-    this.timerK = null;
+    this.transport = options.transport || null;
+    this.destination = options.destination || null;
+    this.timers = { ...TIMER_CONSTANTS, ...options.timers };
+    this.key = options.key || null;
+    this.state = null;
+    this.activeTimers = new Map();
     this.retransmitCount = 0;
-    this.maxRetransmits = 10;
-    this.branch = this.generateBranch();
   }
 
   /**
-   * Generate a unique branch parameter
+   * Start the transaction
    */
-  generateBranch() {
-    return 'z9hG4bK' + Math.random().toString(36).substr(2, 9);
+  start() {
+    throw new Error('start() must be implemented by the transaction type');
   }
 
   /**
-   * Start the transaction
+   * Move to a new state
    */
-  start() {
-    if (this.isClient) {
-      this.startClientTransaction();
-    } else {
-      this.startServerTransaction();
+  setState(state) {
+    if (this.state === state) return;
+    
+    this.state = state;
+    this.emit('stateChanged', state);
+    
+    if (state === 'terminated') {
+      this.clearTimers();
+      this.emit('terminated');
     }
   }
 
   /**
-   * Start client transaction state machine
+   * Send a message to the transaction's destination
    */
-  startClientTransaction() {
-    switch (this.message.method) {
-      case SIPMethods.INVITE:
-        this.startInviteClientTransaction();
-        break;
-      case SIPMethods.NON_INVITE:
-        this.startNonInviteClientTransaction();
-        break;
-      default:
-        this.startNonInviteClientTransaction();
+  send(message) {
+    try {
+      this.transport.sendSIPMessage(message, this.destination.address, this.destination.port);
+    } catch (error) {
+      // A transport failure ends the transaction (RFC 3261 §17.1.4, §17.2.4)
+      console.error(`Transaction ${this.key} transport error:`, error.message);
+      this.emit('transportError', error);
+      this.setState('terminated');
     }
   }
 
   /**
-   * Start INVITE client transaction
+   * Pass a response up to the transaction user
    */
-  startInviteClientTransaction() {
-    this.state = 'calling';
+  deliverResponse(response) {
+    const statusCode = response.statusCode;
     
-    // Start timer A (retransmit timer)
-    this.timerA = setTimeout(() => {
-      this.retransmit();
-    }, 500); // 500ms initial timeout
+    this.emit('response', response);
+    if (statusCode < 200) {
+      this.emit('provisional', response);
+    } else if (statusCode < 300) {
+      this.emit('success', response);
+    } else {
+      this.emit('failure', response);
+    }
+  }
 
-    // Start timer B (timeout timer)
-    this.timerB = setTimeout(() => {
-      this.timeout();
-    }, 32000); // 32 seconds timeout
+  /**
+   * Start a named timer, replacing any running timer with that name
+   */
+  startTimer(name, delay, callback) {
+    this.clearTimer(name);
+    this.activeTimers.set(name, setTimeout(() => {
+      this.activeTimers.delete(name);
+      callback();
+    }, delay));
+  }
 
-    this.emit('stateChanged', this.state);
+  /**
+   * Clear a named timer
+   */
+  clearTimer(name) {
+    const timer = this.activeTimers.get(name);
+    if (timer) {
+      clearTimeout(timer);
+      this.activeTimers.delete(name);
+    }
   }
 
   /**
-   * Start non-INVITE client transaction
+   * Clear all timers
    */
-  startNonInviteClientTransaction() {
-    this.state = 'trying';
-    
-    // Start timer F (timeout timer)
-    this.timerF = setTimeout(() => {
-      this.timeout();
-    }, 32000); // 32 seconds timeout
+  clearTimers() {
+    for (const timer of this.activeTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.activeTimers.clear();
+  }
+
+  /**
+   * Handle a timeout (Timer B, F or H)
+   */
+  timeout() {
+    this.emit('timeout');
+    this.setState('terminated');
+  }
 
-    this.emit('stateChanged', this.state);
+  /**
+   * Get transaction key for matching
+   */
+  getKey() {
+    return this.key;
   }
 
   /**
-   * Start server transaction state machine
+   * Check if transaction is terminated
    */
-  startServerTransaction() {
-    this.state = 'proceeding';
-    this.emit('stateChanged', this.state);
+  isTerminated() {
+    return this.state === 'terminated';
   }
 
   /**
-   * Handle incoming response (client transaction)
+   * Destroy the transaction
    */
-  handleResponse(response) {
-    if (!this.isClient) return;
+  destroy() {
+    this.clearTimers();
+    this.removeAllListeners();
+  }
+}
 
-    const statusCode = response.statusCode;
+/**
+ * INVITE client transaction (RFC 3261 §17.1.1, RFC 6026 §8.4)
+ * calling → proceeding → accepted | completed → terminated
+ */
+export class InviteClientTransaction extends SIPTransaction {
+  constructor(message, options = {}) {
+    super(message, true, options);
+  }
+
+  /**
+   * Send the INVITE and start Timers A and B
+   */
+  start() {
+    this.setState('calling');
+    this.send(this.message);
+    if (this.isTerminated()) return;
     
-    if (statusCode >= 100 && statusCode < 200) {
-      // Provisional response
+    this.scheduleRetransmit(this.timers.T1);
+    this.startTimer('B', 64 * this.timers.T1, () => {
       if (this.state === 'calling') {
-        this.state = 'proceeding';
-        this.emit('stateChanged', this.state);
+        this.timeout();
       }
-      this.emit('provisional', response);
-    } else if (statusCode >= 200 && statusCode < 300) {
-      // Success response
-      this.state = 'terminated';
-      this.clearTimers();
-      this.emit('success', response);
-      this.emit('stateChanged', this.state);
-    } else if (statusCode >= 300 && statusCode < 700) {
-      // Error response
-      this.state = 'terminated';
-      this.clearTimers();
-      this.emit('error', response);
-      this.emit('stateChanged', this.state);
-    }
+    });
   }
 
   /**
-   * Handle incoming request (server transaction)
+   * Timer A: retransmit the INVITE, doubling the interval each time
    */
-  handleRequest(request) {
-    if (this.isClient) return;
+  scheduleRetransmit(interval) {
+    this.startTimer('A', interval, () => {
+      if (this.state !== 'calling') return;
+      
+      this.retransmitCount++;
+      this.emit('retransmit', this.message);
+      this.send(this.message);
+      this.scheduleRetransmit(interval * 2);
+    });
+  }
 
-    // Update state based on request
-    if (request.method === SIPMethods.ACK) {
-      this.state = 'confirmed';
-      this.emit('stateChanged', this.state);
+  /**
+   * Handle a response matched to this transaction
+   */
+  handleResponse(response) {
+    const statusCode = response.statusCode;
+    
+    switch (this.state) {
+      case 'calling':
+      case 'proceeding':
+        this.clearTimer('A');
+        
+        if (statusCode < 200) {
+          this.setState('proceeding');
+        } else if (statusCode < 300) {
+          this.clearTimer('B');
+          this.setState('accepted');
+          // Timer M: absorb 2xx retransmissions and forked 2xx responses
+          this.startTimer('M', 64 * this.timers.T1, () => this.setState('terminated'));
+        } else {
+          this.clearTimer('B');
+          this.setState('completed');
+          this.send(this.createAck(response));
+          // Timer D: absorb retransmitted final responses
+          this.startTimer('D', this.timers.TIMER_D, () => this.setState('terminated'));
+        }
+        this.deliverResponse(response);
+        break;
+      
+      case 'accepted':
+        // Every 2xx goes up so the TU can ACK it
+        if (statusCode >= 200 && statusCode < 300) {
+          this.deliverResponse(response);
+        }
+        break;
       
-      // Start timer I for confirmed state
-      this.timerI = setTimeout(() => {
-        this.state = 'terminated';
-        this.emit('stateChanged', this.state);
-      }, 32000);
-    } else if (request.method === SIPMethods.CANCEL) {
-      this.state = 'cancelled';
-      this.emit('stateChanged', this.state);
+      case 'completed':
+        if (statusCode >= 300) {
+          this.send(this.createAck(response));
+        }
+        break;
     }
   }
 
   /**
-   * Retransmit the request
+   * Build the ACK for a non-2xx final response (RFC 3261 §17.1.1.3)
    */
-  retransmit() {
-    if (this.retransmitCount >= this.maxRetransmits) {
-      this.timeout();
-      return;
+  createAck(response) {
+    const ack = new SIPMessage();
+    ack.method = SIPMethods.ACK;
+    ack.uri = this.message.uri;
+    
+    ack.setHeader('via', this.message.getVias()[0]);
+    if (this.message.getHeader('route')) {
+      ack.setHeader('route', this.message.getHeaders('route'));
     }
+    ack.setHeader('max-forwards', '70');
+    ack.setHeader('from', this.message.getHeader('from'));
+    ack.setHeader('to', response.getHeader('to'));
+    ack.setHeader('call-id', this.message.getCallId());
+    ack.setHeader('cseq', `${this.message.getCSeq().sequence} ACK`);
+    ack.setHeader('content-length', '0');
+    
+    return ack;
+  }
+}
+
+/**
+ * Non-INVITE client transaction (RFC 3261 §17.1.2)
+ * trying → proceeding → completed → terminated
+ */
+export class NonInviteClientTransaction extends SIPTransaction {
+  constructor(message, options = {}) {
+    super(message, true, options);
+  }
 
-    this.retransmitCount++;
-    this.emit('retransmit', this.message);
+  /**
+   * Send the request and start Timers E and F
+   */
+  start() {
+    this.setState('trying');
+    this.send(this.message);
+    if (this.isTerminated()) return;
     
-    // Exponential backoff
-    const timeout = Math.min(500 * Math.pow(2, this.retransmitCount), 4000);
-    this.timerA = setTimeout(() => {
-      this.retransmit();
-    }, timeout);
+    this.scheduleRetransmit(this.timers.T1);
+    this.startTimer('F', 64 * this.timers.T1, () => {
+      if (this.state === 'trying' || this.state === 'proceeding') {
+        this.timeout();
+      }
+    });
   }
 
   /**
-   * Handle timeout
+   * Timer E: retransmit, doubling up to T2 while trying and at T2 once proceeding
    */
-  timeout() {
-    this.state = 'terminated';
-    this.clearTimers();
-    this.emit('timeout');
-    this.emit('stateChanged', this.state);
+  scheduleRetransmit(interval) {
+    this.startTimer('E', interval, () => {
+      if (this.state !== 'trying' && this.state !== 'proceeding') return;
+      
+      this.retransmitCount++;
+      this.emit('retransmit', this.message);
+      this.send(this.message);
+      
+      const next = this.state === 'trying'
+        ? Math.min(interval * 2, this.timers.T2)
+        : this.timers.T2;
+      this.scheduleRetransmit(next);
+    });
   }
 
   /**
-   * Clear all timers
+   * Handle a response matched to this transaction
    */
-  clearTimers() {
-    if (this.timerA) {
-      clearTimeout(this.timerA);
-      this.timerA = null;
+  handleResponse(response) {
+    if (this.state !== 'trying' && this.state !== 'proceeding') {
+      // Retransmitted final response
+      return;
     }
-    if (this.timerB) {
-      clearTimeout(this.timerB);
-      this.timerB = null;
+    
+    if (response.statusCode < 200) {
+      this.setState('proceeding');
+    } else {
+      this.clearTimer('E');
+      this.clearTimer('F');
+      this.setState('completed');
+      // Timer K: absorb retransmitted final responses
+      this.startTimer('K', this.timers.T4, () => this.setState('terminated'));
     }
-    if (this.timerD) {
-      clearTimeout(this.timerD);
-      this.timerD = null;
+    this.deliverResponse(response);
+  }
+}
+
+/**
+ * INVITE server transaction (RFC 3261 §17.2.1, RFC 6026 §8.5)
+ * proceeding → accepted | completed → confirmed → terminated
+ *
+ * A UAS core must retransmit its 2xx until the ACK arrives (RFC 3261 §13.3.1.4);
+ * the transaction does that on its behalf unless `retransmit2xx` is false,
+ * which is what a proxy wants since the 2xx is retransmitted end-to-end.
+ */
+export class InviteServerTransaction extends SIPTransaction {
+  constructor(message, options = {}) {
+    super(message, false, options);
+    this.retransmit2xx = options.retransmit2xx !== false;
+    this.lastResponse = null;
+    this.acknowledged = false;
+  }
+
+  /**
+   * Enter proceeding and send 100 Trying unless the TU responds within 200ms
+   */
+  start() {
+    this.setState('proceeding');
+    
+    this.startTimer('trying', 200, () => {
+      if (!this.lastResponse) {
+        const trying = this.message.createResponse(100, 'Trying');
+        trying.setHeader('content-length', '0');
+        this.respond(trying);
+      }
+    });
+  }
+
+  /**
+   * Send a response from the TU
+   */
+  respond(response) {
+    const statusCode = response.statusCode;
+    
+    if (this.state === 'accepted' && statusCode >= 200 && statusCode < 300) {
+      // A proxy relaying a 2xx retransmission
+      this.lastResponse = response;
+      this.send(response);
+      return;
     }
-    if (this.timerF) {
-      clearTimeout(this.timerF);
-      this.timerF = null;
+    
+    if (this.state !== 'proceeding') return;
+    
+    this.clearTimer('trying');
+    this.lastResponse = response;
+    this.send(response);
+    
+    if (statusCode < 200) return;
+    
+    if (statusCode < 300) {
+      this.setState('accepted');
+      if (this.retransmit2xx) {
+        this.scheduleRetransmit(this.timers.T1);
+      }
+      // Timer L: wait for the ACK and absorb INVITE retransmissions
+      this.startTimer('L', 64 * this.timers.T1, () => {
+        if (this.retransmit2xx && !this.acknowledged) {
+          this.emit('timeout');
+        }
+        this.setState('terminated');
+      });
+    } else {
+      this.setState('completed');
+      this.scheduleRetransmit(this.timers.T1);
+      this.startTimer('H', 64 * this.timers.T1, () => this.timeout());
     }
-    if (this.timerK) {
-      clearTimeout(this.timerK);
-      this.timerK = null;
+  }
+
+  /**
+   * Timer G: retransmit the final response, doubling up to T2
+   */
+  scheduleRetransmit(interval) {
+    this.startTimer('G', interval, () => {
+      const waiting = this.state === 'completed' ||
+        (this.state === 'accepted' && !this.acknowledged);
+      if (!waiting) return;
+      
+      this.retransmitCount++;
+      this.emit('retransmit', this.lastResponse);
+      this.send(this.lastResponse);
+      this.scheduleRetransmit(Math.min(interval * 2, this.timers.T2));
+    });
+  }
+
+  /**
+   * Handle a request matched to this transaction
+   * Returns true if the request was absorbed, false if the TU should see it
+   */
+  handleRequest(request) {
+    if (request.method === SIPMethods.ACK) {
+      if (this.state === 'completed') {
+        this.clearTimer('G');
+        this.clearTimer('H');
+        this.setState('confirmed');
+        // Timer I: absorb ACK retransmissions
+        this.startTimer('I', this.timers.T4, () => this.setState('terminated'));
+        return true;
+      }
+      
+      if (this.state === 'accepted') {
+        // The ACK for a 2xx belongs to the dialog
+        this.acknowledge();
+        return false;
+      }
+      
+      return true;
     }
-    if (this.timerI) {
-      clearTimeout(this.timerI);
-      this.timerI = null;
+    
+    // Retransmitted INVITE
+    if (this.lastResponse && this.state !== 'confirmed') {
+      this.send(this.lastResponse);
     }
+    return true;
   }
 
   /**
-   * Get transaction key for matching
+   * Stop retransmitting the 2xx once its ACK has arrived
    */
-  getKey() {
-    const cseq = this.message.getCSeq();
-    const callId = this.message.getCallId();
-    const from = this.message.getHeader('from');
-    
-    return `${this.branch}-${callId}-${cseq?.sequence}-${from}`;
+  acknowledge() {
+    this.acknowledged = true;
+    this.clearTimer('G');
+  }
+}
+
+/**
+ * Non-INVITE server transaction (RFC 3261 §17.2.2)
+ * trying → proceeding → completed → terminated
+ */
+export class NonInviteServerTransaction extends SIPTransaction {
+  constructor(message, options = {}) {
+    super(message, false, options);
+    this.lastResponse = null;
   }
 
   /**
-   * Check if transaction is terminated
+   * Enter the trying state
    */
-  isTerminated() {
-    return this.state === 'terminated';
+  start() {
+    this.setState('trying');
   }
 
   /**
-   * Destroy the transaction
+   * Send a response from the TU
    */
-  destroy() {
-    this.clearTimers();
-    this.removeAllListeners();
+  respond(response) {
+    if (this.state !== 'trying' && this.state !== 'proceeding') return;
+    
+    this.lastResponse = response;
+    this.send(response);
+    
+    if (response.statusCode < 200) {
+      this.setState('proceeding');
+    } else {
+      this.setState('completed');
+      // Timer J: absorb request retransmissions
+      this.startTimer('J', 64 * this.timers.T1, () => this.setState('terminated'));
+    }
+  }
+
+  /**
+   * Handle a retransmitted request; it never reaches the TU
+   */
+  handleRequest(request) {
+    if (this.lastResponse) {
+      this.send(this.lastResponse);
+    }
+    return true;
   }
 }
 
@@ -244,60 +497,205 @@ export class SIPTransaction extends EventEmitter {
  * Manages multiple transactions
  */
 export class TransactionManager extends EventEmitter {
-  constructor() {
+  constructor(transport = null, options = {}) {
     super();
-    this.transactions = new Map();
+    this.transport = transport;
+    this.timers = { ...TIMER_CONSTANTS, ...options.timers };
     this.clientTransactions = new Map();
     this.serverTransactions = new Map();
+    this.retransmissions = 0;
   }
 
   /**
-   * Create a new client transaction
+   * Create and start a client transaction for an outgoing request, with
+   * listeners for its events keyed by event name
    */
-  createClientTransaction(message) {
-    const transaction = new SIPTransaction(message, true);
-    const key = transaction.getKey();
-    
-    this.clientTransactions.set(key, transaction);
-    this.transactions.set(key, transaction);
+  createClientTransaction(request, destination, listeners = {}) {
+    const TransactionType = request.method === SIPMethods.INVITE
+      ? InviteClientTransaction
+      : NonInviteClientTransaction;
     
-    transaction.on('stateChanged', (state) => {
-      this.emit('transactionStateChanged', { key, state, isClient: true });
+    const transaction = new TransactionType(request, {
+      transport: this.transport,
+      destination,
+      timers: this.timers,
+      key: this.getClientKey(request)
     });
     
-    transaction.on('terminated', () => {
-      this.removeTransaction(key);
+    // Listeners go on before the first send, which can already end the transaction
+    for (const [event, listener] of Object.entries(listeners)) {
+      transaction.on(event, listener);
+    }
+    
+    this.addTransaction(this.clientTransactions, transaction);
+    transaction.start();
+    
+    return transaction;
+  }
+
+  /**
+   * Create and start a server transaction for an incoming request
+   */
+  createServerTransaction(request, rinfo, options = {}) {
+    const TransactionType = request.method === SIPMethods.INVITE
+      ? InviteServerTransaction
+      : NonInviteServerTransaction;
+    
+    const transaction = new TransactionType(request, {
+      ...options,
+      transport: this.transport,
+      destination: { address: rinfo.address, port: rinfo.port },
+      timers: this.timers,
+      key: this.getServerKey(request)
     });
     
+    this.addTransaction(this.serverTransactions, transaction);
+    transaction.start();
+    
     return transaction;
   }
 
   /**
-   * Create a new server transaction
+   * Track a transaction until it terminates
    */
-  createServerTransaction(message) {
-    const transaction = new SIPTransaction(message, false);
+  addTransaction(transactions, transaction) {
     const key = transaction.getKey();
+    const isClient = transaction.isClient;
     
-    this.serverTransactions.set(key, transaction);
-    this.transactions.set(key, transaction);
+    transactions.set(key, transaction);
     
     transaction.on('stateChanged', (state) => {
-      this.emit('transactionStateChanged', { key, state, isClient: false });
+      this.emit('transactionStateChanged', { key, state, isClient });
     });
     
-    transaction.on('terminated', () => {
-      this.removeTransaction(key);
+    transaction.on('retransmit', () => {
+      this.retransmissions++;
     });
     
+    transaction.on('terminated', () => {
+      this.removeTransaction(transaction);
+    });
+  }
+
+  /**
+   * Route an incoming response to its client transaction
+   * Returns the transaction, or null for a stray response
+   */
+  handleResponse(response) {
+    const transaction = this.matchClientTransaction(response);
+    if (transaction) {
+      transaction.handleResponse(response);
+    }
     return transaction;
   }
 
+  /**
+   * Route an incoming request to an existing server transaction
+   * Returns true if the transaction absorbed it (a retransmission)
+   */
+  handleRequest(request) {
+    const transaction = this.matchServerTransaction(request);
+    if (transaction) {
+      return transaction.handleRequest(request);
+    }
+    
+    // The ACK for a 2xx carries a new branch but still stops 2xx retransmission
+    if (request.method === SIPMethods.ACK) {
+      this.matchAcceptedInvite(request)?.acknowledge();
+    }
+    return false;
+  }
+
+  /**
+   * Send a response through the server transaction it belongs to
+   * Returns false if no transaction matches
+   */
+  respond(response) {
+    const transaction = this.matchServerTransaction(response);
+    if (!transaction) {
+      return false;
+    }
+    transaction.respond(response);
+    return true;
+  }
+
+  /**
+   * Get the client transaction key for a request or its response (RFC 3261 §17.1.3)
+   * The branch we generated is unique, and the CSeq method keeps a CANCEL
+   * apart from the INVITE it shares a branch with.
+   */
+  getClientKey(message) {
+    const branch = message.getTopVia()?.params.branch;
+    return `${branch}|${message.getCSeq()?.method}`;
+  }
+
+  /**
+   * Get the server transaction key for a request or response (RFC 3261 §17.2.3)
+   * An ACK matches the INVITE transaction whose non-2xx response it acknowledges,
+   * and `method` lets a CANCEL look up the INVITE it refers to.
+   */
+  getServerKey(message, method = message.getCSeq()?.method) {
+    const via = message.getTopVia();
+    const matchMethod = method === SIPMethods.ACK ? SIPMethods.INVITE : method;
+    const sentBy = `${via?.host}:${via?.port}`;
+    const branch = via?.params.branch;
+    
+    if (branch?.startsWith(BRANCH_MAGIC_COOKIE)) {
+      return `${branch}|${sentBy}|${matchMethod}`;
+    }
+    
+    // RFC 2543 peers have no unique branch; fall back to dialog and CSeq identifiers
+    const { fromTag } = message.getTags();
+    const cseq = message.getCSeq();
+    return `${message.getCallId()}|${fromTag}|${cseq?.sequence}|${sentBy}|${branch}|${matchMethod}`;
+  }
+
+  /**
+   * Find the client transaction a response belongs to
+   */
+  matchClientTransaction(response) {
+    return this.clientTransactions.get(this.getClientKey(response)) || null;
+  }
+
+  /**
+   * Find the server transaction a request or response belongs to
+   */
+  matchServerTransaction(message) {
+    return this.serverTransactions.get(this.getServerKey(message)) || null;
+  }
+
+  /**
+   * Find the INVITE server transaction a CANCEL refers to (RFC 3261 §9.2)
+   */
+  matchCancelledTransaction(cancel) {
+    return this.serverTransactions.get(this.getServerKey(cancel, SIPMethods.INVITE)) || null;
+  }
+
+  /**
+   * Find the accepted INVITE server transaction an ACK for a 2xx belongs to
+   */
+  matchAcceptedInvite(ack) {
+    const callId = ack.getCallId();
+    const sequence = ack.getCSeq()?.sequence;
+    const { fromTag } = ack.getTags();
+    
+    for (const transaction of this.serverTransactions.values()) {
+      const invite = transaction.message;
+      if (transaction.state === 'accepted' &&
+          invite.getCallId() === callId &&
+          invite.getCSeq()?.sequence === sequence &&
+          invite.getTags().fromTag === fromTag) {
+        return transaction;
+      }
+    }
+    return null;
+  }
+
   /**
    * Find transaction by key
    */
   findTransaction(key) {
-    return this.transactions.get(key);
+    return this.clientTransactions.get(key) || this.serverTransactions.get(key);
   }
 
   /**
@@ -317,21 +715,21 @@ export class TransactionManager extends EventEmitter {
   /**
    * Remove transaction
    */
-  removeTransaction(key) {
-    const transaction = this.transactions.get(key);
-    if (transaction) {
-      transaction.destroy();
-      this.transactions.delete(key);
-      this.clientTransactions.delete(key);
-      this.serverTransactions.delete(key);
+  removeTransaction(transaction) {
+    const transactions = transaction.isClient ? this.clientTransactions : this.serverTransactions;
+    const key = transaction.getKey();
+    
+    if (transactions.get(key) === transaction) {
+      transactions.delete(key);
     }
+    transaction.destroy();
   }
 
   /**
    * Get all active transactions
    */
   getActiveTransactions() {
-    return Array.from(this.transactions.values());
+    return [...this.clientTransactions.values(), ...this.serverTransactions.values()];
   }
 
   /**
@@ -339,9 +737,10 @@ export class TransactionManager extends EventEmitter {
    */
   getStats() {
     return {
-      total: this.transactions.size,
+      total: this.clientTransactions.size + this.serverTransactions.size,
       client: this.clientTransactions.size,
-      server: this.serverTransactions.size
+      server: this.serverTransactions.size,
+      retransmissions: this.retransmissions
     };
   }
 
@@ -349,9 +748,9 @@ export class TransactionManager extends EventEmitter {
    * Clean up terminated transactions
    */
   cleanup() {
-    for (const [key, transaction] of this.transactions) {
+    for (const transaction of this.getActiveTransactions()) {
       if (transaction.isTerminated()) {
-        this.removeTransaction(key);
+        this.removeTransaction(transaction);
       }
     }
   }
@@ -360,12 +759,22 @@ export class TransactionManager extends EventEmitter {
    * Destroy all transactions
    */
   destroy() {
-    for (const transaction of this.transactions.values()) {
+    for (const transaction of this.getActiveTransactions()) {
       transaction.destroy();
     }
-    this.transactions.clear();
     this.clientTransactions.clear();
     this.serverTransactions.clear();
     this.removeAllListeners();
   }
-} 
\ No newline at end of file
+}
+
+// Branches starting with this are unique per transaction (RFC 3261 §8.1.1.7)
+export const BRANCH_MAGIC_COOKIE = 'z9hG4bK';
+
+// RFC 3261 timer values (ms)
+export const TIMER_CONSTANTS = {
+  T1: 500,
+  T2: 4000,
+  T4: 5000,
+  TIMER_D: 32000
+};
@@ -0,0 +1,472 @@
+/**
+ * SIP URIs and name-addr values
+ * Parsing, serialization and comparison of sip:, sips: and tel: URIs (RFC 3261 §19.1, RFC 3966)
+ *
+ * URI format:
+ *   sip:user:password@host:port;uri-parameters?headers
+ *   tel:+1-201-555-0123;phone-context=example.com
+ *
+ * Header values such as From, To, Contact and Route wrap a URI in a name-addr:
+ *   "Display Name" <sip:alice@example.com>;tag=1928301774
+ */
+
+export class SipUri {
+  constructor(options = {}) {
+    this.scheme = options.scheme || 'sip';
+    this.user = options.user ?? null;
+    this.password = options.password ?? null;
+    this.host = options.host ?? null;
+    this.port = options.port ?? null;
+    this.params = { ...options.params };
+    this.headers = { ...options.headers };
+  }
+
+  /**
+   * Parse a URI string; throws on anything that isn't a sip:, sips: or tel: URI
+   */
+  static parse(value) {
+    if (value instanceof SipUri) {
+      return value.clone();
+    }
+    
+    const text = String(value).trim();
+    const colonIndex = text.indexOf(':');
+    const scheme = colonIndex > 0 ? text.substring(0, colonIndex).toLowerCase() : '';
+    
+    if (!SUPPORTED_SCHEMES.includes(scheme)) {
+      throw new Error(`Unsupported URI: ${text}`);
+    }
+    
+    let rest = text.substring(colonIndex + 1);
+    
+    if (scheme === 'tel') {
+      // tel: URIs have a number and parameters, no host (RFC 3966)
+      const [number, ...paramParts] = rest.split(';');
+      if (!number) {
+        throw new Error(`Invalid tel URI: ${text}`);
+      }
+      return new SipUri({ scheme, user: number, params: parseParams(paramParts) });
+    }
+    
+    // Headers come after the first "?"
+    let headers = {};
+    const questionIndex = rest.indexOf('?');
+    if (questionIndex !== -1) {
+      headers = parseUriHeaders(rest.substring(questionIndex + 1));
+      rest = rest.substring(0, questionIndex);
+    }
+    
+    // The user part may itself contain ";" (user parameters), so split on "@" first
+    let user = null;
+    let password = null;
+    const atIndex = rest.lastIndexOf('@');
+    if (atIndex !== -1) {
+      const userInfo = rest.substring(0, atIndex);
+      const passwordIndex = userInfo.indexOf(':');
+      user = passwordIndex === -1 ? userInfo : userInfo.substring(0, passwordIndex);
+      password = passwordIndex === -1 ? null : userInfo.substring(passwordIndex + 1);
+      rest = rest.substring(atIndex + 1);
+    }
+    
+    const [hostPort, ...paramParts] = rest.split(';');
+    const hostMatch = hostPort.match(/^(\[[0-9a-fA-F:.]+\]|[^:\[\]]+)(?::(\d+))?$/);
+    if (!hostMatch) {
+      throw new Error(`Invalid host in URI: ${text}`);
+    }
+    
+    return new SipUri({
+      scheme,
+      user: user === '' ? null : user,
+      password,
+      host: hostMatch[1].replace(/^\[|\]$/g, ''),
+      port: hostMatch[2] ? parseInt(hostMatch[2]) : null,
+      params: parseParams(paramParts),
+      headers
+    });
+  }
+
+  /**
+   * Parse a URI, returning null instead of throwing
+   */
+  static tryParse(value) {
+    try {
+      return SipUri.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the URI string
+   */
+  toString() {
+    if (this.scheme === 'tel') {
+      return `tel:${this.user}${formatParams(this.params)}`;
+    }
+    
+    let uri = `${this.scheme}:`;
+    
+    if (this.user !== null) {
+      uri += this.user;
+      if (this.password !== null) {
+        uri += `:${this.password}`;
+      }
+      uri += '@';
+    }
+    
+    uri += this.host.includes(':') ? `[${this.host}]` : this.host;
+    if (this.port !== null) {
+      uri += `:${this.port}`;
+    }
+    
+    uri += formatParams(this.params);
+    
+    const headerNames = Object.keys(this.headers);
+    if (headerNames.length > 0) {
+      uri += '?' + headerNames
+        .map(name => `${name}=${encodeURIComponent(this.headers[name])}`)
+        .join('&');
+    }
+    
+    return uri;
+  }
+
+  /**
+   * Get a URI parameter (null for flags like ";lr", undefined if absent)
+   */
+  getParam(name) {
+    return this.params[name.toLowerCase()];
+  }
+
+  /**
+   * Check if a URI parameter is present
+   */
+  hasParam(name) {
+    return name.toLowerCase() in this.params;
+  }
+
+  /**
+   * Set a URI parameter; pass null for a flag parameter
+   */
+  setParam(name, value = null) {
+    this.params[name.toLowerCase()] = value;
+    return this;
+  }
+
+  /**
+   * Remove a URI parameter
+   */
+  removeParam(name) {
+    delete this.params[name.toLowerCase()];
+    return this;
+  }
+
+  /**
+   * Check for the loose routing flag (RFC 3261 §16.12)
+   */
+  isLooseRouter() {
+    return this.hasParam('lr');
+  }
+
+  /**
+   * Check if this is a secure sips: URI
+   */
+  isSecure() {
+    return this.scheme === 'sips';
+  }
+
+  /**
+   * Port to send to, applying the scheme default when none is given
+   */
+  getPort() {
+    return this.port ?? (this.scheme === 'sips' ? 5061 : 5060);
+  }
+
+  /**
+   * Address-of-record form: scheme, user and host only
+   */
+  getAOR() {
+    if (this.scheme === 'tel') {
+      return `tel:${this.user}`;
+    }
+    return new SipUri({ scheme: this.scheme, user: this.user, host: this.host.toLowerCase() }).toString();
+  }
+
+  /**
+   * Copy the URI
+   */
+  clone() {
+    return new SipUri(this);
+  }
+
+  /**
+   * Compare with another URI using the rules of RFC 3261 §19.1.4
+   */
+  equals(other) {
+    const uri = other instanceof SipUri ? other : SipUri.tryParse(other);
+    if (!uri || uri.scheme !== this.scheme) {
+      return false;
+    }
+    
+    if (this.scheme === 'tel') {
+      // Visual separators don't change a telephone number (RFC 3966 §4)
+      return normalizeTelNumber(this.user) === normalizeTelNumber(uri.user) &&
+        compareParams(this.params, uri.params, Object.keys({ ...this.params, ...uri.params }));
+    }
+    
+    // User and password are case-sensitive, host is not
+    if (unescape(this.user) !== unescape(uri.user) ||
+        unescape(this.password) !== unescape(uri.password) ||
+        this.host.toLowerCase() !== uri.host.toLowerCase()) {
+      return false;
+    }
+    
+    // A missing port is not the same as the default port
+    if (this.port !== uri.port) {
+      return false;
+    }
+    
+    // These parameters must match whenever either side has them;
+    // any other parameter only has to match if both sides have it
+    const mustMatch = STRICT_URI_PARAMS.filter(name => name in this.params || name in uri.params);
+    const shared = Object.keys(this.params).filter(name => name in uri.params);
+    if (!compareParams(this.params, uri.params, [...mustMatch, ...shared])) {
+      return false;
+    }
+    
+    // Headers must match in both directions
+    const headerNames = new Set([...Object.keys(this.headers), ...Object.keys(uri.headers)]);
+    for (const name of headerNames) {
+      if (this.headers[name] !== uri.headers[name]) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+}
+
+export class NameAddr {
+  constructor(options = {}) {
+    this.displayName = options.displayName ?? null;
+    this.uri = options.uri instanceof SipUri ? options.uri : SipUri.parse(options.uri);
+    this.params = { ...options.params };
+  }
+
+  /**
+   * Parse a name-addr or addr-spec header value, e.g. a From, To, Contact or Route entry
+   */
+  static parse(value) {
+    const text = String(value).trim();
+    let displayName = null;
+    let uriText;
+    let paramText;
+    
+    let rest = text;
+    if (rest.startsWith('"')) {
+      // Quoted display name, may contain commas, "<" and escaped quotes
+      let i = 1;
+      let name = '';
+      while (i < rest.length && rest[i] !== '"') {
+        if (rest[i] === '\\' && i + 1 < rest.length) {
+          i++;
+        }
+        name += rest[i];
+        i++;
+      }
+      if (i >= rest.length) {
+        throw new Error(`Unterminated display name: ${text}`);
+      }
+      displayName = name;
+      rest = rest.substring(i + 1).trim();
+    }
+    
+    const openIndex = rest.indexOf('<');
+    if (openIndex !== -1) {
+      const closeIndex = rest.indexOf('>', openIndex);
+      if (closeIndex === -1) {
+        throw new Error(`Missing ">" in ${text}`);
+      }
+      if (displayName === null && openIndex > 0) {
+        displayName = rest.substring(0, openIndex).trim() || null;
+      }
+      uriText = rest.substring(openIndex + 1, closeIndex);
+      paramText = rest.substring(closeIndex + 1);
+    } else if (displayName === null) {
+      // addr-spec: anything after ";" belongs to the header, not the URI (RFC 3261 §20)
+      const semicolonIndex = rest.indexOf(';');
+      uriText = semicolonIndex === -1 ? rest : rest.substring(0, semicolonIndex);
+      paramText = semicolonIndex === -1 ? '' : rest.substring(semicolonIndex);
+    } else {
+      throw new Error(`Missing URI in ${text}`);
+    }
+    
+    const paramParts = splitParams(paramText.trim().replace(/^;/, ''));
+    
+    return new NameAddr({
+      displayName,
+      uri: SipUri.parse(uriText),
+      params: parseParams(paramParts)
+    });
+  }
+
+  /**
+   * Parse a header value, returning null instead of throwing
+   */
+  static tryParse(value) {
+    try {
+      return NameAddr.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the header value, always in name-addr form
+   */
+  toString() {
+    const name = this.displayName !== null
+      ? `"${this.displayName.replace(/(["\\])/g, '\\$1')}" `
+      : '';
+    return `${name}<${this.uri.toString()}>${formatParams(this.params)}`;
+  }
+
+  /**
+   * Get a header parameter (tag, expires, q, ...)
+   */
+  getParam(name) {
+    return this.params[name.toLowerCase()];
+  }
+
+  /**
+   * Set a header parameter; pass null for a flag parameter
+   */
+  setParam(name, value = null) {
+    this.params[name.toLowerCase()] = value;
+    return this;
+  }
+
+  /**
+   * Remove a header parameter
+   */
+  removeParam(name) {
+    delete this.params[name.toLowerCase()];
+    return this;
+  }
+
+  /**
+   * Get the tag parameter of a From or To header
+   */
+  getTag() {
+    return this.params.tag ?? null;
+  }
+
+  /**
+   * Copy the value
+   */
+  clone() {
+    return new NameAddr({ displayName: this.displayName, uri: this.uri.clone(), params: this.params });
+  }
+}
+
+/**
+ * Parse ";name=value" parts into an object with lower-case names
+ */
+function parseParams(parts) {
+  const params = {};
+  for (const part of parts) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    
+    const equalsIndex = trimmed.indexOf('=');
+    if (equalsIndex === -1) {
+      params[trimmed.toLowerCase()] = null;
+    } else {
+      const name = trimmed.substring(0, equalsIndex).trim().toLowerCase();
+      params[name] = trimmed.substring(equalsIndex + 1).trim();
+    }
+  }
+  return params;
+}
+
+/**
+ * Split header parameters on ";" outside quoted strings
+ */
+function splitParams(text) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ';' && !inQuotes) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Build a ";name=value" string from a params object
+ */
+function formatParams(params) {
+  return Object.entries(params)
+    .map(([name, value]) => (value === null || value === undefined ? `;${name}` : `;${name}=${value}`))
+    .join('');
+}
+
+/**
+ * Parse URI headers ("?subject=project&priority=urgent")
+ */
+function parseUriHeaders(text) {
+  const headers = {};
+  for (const pair of text.split('&')) {
+    if (!pair) continue;
+    const [name, value = ''] = pair.split('=');
+    headers[name] = unescape(value);
+  }
+  return headers;
+}
+
+/**
+ * Compare the named parameters case-insensitively
+ */
+function compareParams(a, b, names) {
+  return names.every(name => {
+    const first = a[name];
+    const second = b[name];
+    if (first === undefined || second === undefined) return false;
+    if (first === null || second === null) return first === second;
+    return unescape(first).toLowerCase() === unescape(second).toLowerCase();
+  });
+}
+
+/**
+ * Decode %HH escapes so that escaped and unescaped forms compare equal
+ */
+function unescape(value) {
+  if (value === null || value === undefined) return value;
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Remove visual separators from a telephone number
+ */
+function normalizeTelNumber(number) {
+  return number.replace(/[-.()]/g, '').toLowerCase();
+}
+
+export const SUPPORTED_SCHEMES = ['sip', 'sips', 'tel'];
+
+// URI parameters that must match if present in either URI (RFC 3261 §19.1.4)
+const STRICT_URI_PARAMS = ['user', 'ttl', 'method', 'maddr', 'transport'];